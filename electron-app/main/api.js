@@ -1,156 +1,409 @@
 /**
  * API Module
- * Handles communication with OpenAI Vision API for image analysis
+ * Handles communication with the configured vision provider for image analysis
  */
 
-const axios = require('axios');
 const { log } = require('./logger');
+const { DEFAULT_PROVIDER, getProvider } = require('./providers');
+const { readStreamBody } = require('./providers/sse');
+const { DEFAULT_SYSTEM_PROMPT, DEFAULT_USER_PROMPT } = require('./presets');
+const { ANALYSIS_SCHEMA, STRUCTURED_INSTRUCTIONS, parseStructured, toMarkdown } = require('./structured');
 
-// API configuration
-let apiKey = '';
-const API_URL = 'https://api.openai.com/v1/chat/completions';
-const MODEL = 'gpt-4o';  // Vision-capable model
+// Active provider configuration
+let providerConfig = {
+  provider: DEFAULT_PROVIDER,
+  baseUrl: '',
+  model: '',
+  apiKey: ''
+};
+
+const REQUEST_TIMEOUT = 60000;  // 60 second timeout
+
+// JSON spends tokens on syntax, so structured analyses get more room
+const MAX_TOKENS = 1000;
+const STRUCTURED_MAX_TOKENS = 1500;
+const DIGEST_MAX_TOKENS = 2000;
+
+// Automatic retries of rate-limited, overloaded and failed requests
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY = 1000;   // Doubled on every attempt
+const RETRY_MAX_DELAY = 30000;   // Longest backoff between attempts
+const MAX_RETRY_AFTER = 60000;   // Give up instead of waiting longer than a server asks for
+
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504, 529];
+
+// Connection failures that mean the provider is unreachable rather than slow
+const OFFLINE_ERROR_CODES = ['ENOTFOUND', 'EAI_AGAIN', 'ECONNREFUSED', 'ECONNRESET', 'ENETUNREACH', 'EHOSTUNREACH', 'ENETDOWN'];
+const TIMEOUT_ERROR_CODES = ['ETIMEDOUT', 'ECONNABORTED'];
+
+const FOLLOW_UP_INSTRUCTIONS = 'The user is asking follow-up questions about a screenshot you already analyzed. Answer based on the screenshot and the conversation so far.';
+
+/**
+ * Set the active provider configuration
+ * 
+ * @param {Object} config - { provider, baseUrl, model, apiKey }
+ */
+function setProviderConfig(config) {
+  providerConfig = { ...providerConfig, ...config };
+}
+
+/**
+ * Resolve a provider configuration, filling in provider defaults
+ * 
+ * @param {Object} config - { provider, baseUrl, model, apiKey }
+ * @returns {{provider: Object, settings: Object}} Provider and request settings
+ */
+function resolveConfig(config) {
+  const provider = getProvider(config.provider);
+  const baseUrl = (config.baseUrl || provider.defaultBaseUrl).trim().replace(/\/+$/, '');
+
+  return {
+    provider,
+    settings: {
+      baseUrl,
+      model: (config.model || provider.defaultModel).trim(),
+      apiKey: (config.apiKey || '').trim(),
+      timeout: REQUEST_TIMEOUT
+    }
+  };
+}
+
+/**
+ * Check whether a failed request is worth sending again
+ * 
+ * @param {Error} error - Axios error
+ * @returns {boolean} True for rate limits, server errors, timeouts and connection failures
+ */
+function isRetryable(error) {
+  if (error.response) {
+    return RETRYABLE_STATUSES.includes(error.response.status);
+  }
+  return OFFLINE_ERROR_CODES.includes(error.code) || TIMEOUT_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Work out how long to wait before the next attempt
+ * A Retry-After header (seconds or an HTTP date) wins over exponential backoff
+ * 
+ * @param {Error} error - Axios error
+ * @param {number} attempt - Zero-based number of the failed attempt
+ * @returns {number|null} Delay in ms, or null if the server asks for a longer wait than is worth it
+ */
+function getRetryDelay(error, attempt) {
+  const retryAfter = error.response?.headers?.['retry-after'];
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const delay = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+    if (!Number.isNaN(delay)) {
+      return delay > MAX_RETRY_AFTER ? null : Math.max(0, delay);
+    }
+  }
+
+  // Exponential backoff with jitter so parallel requests don't retry in lockstep
+  const backoff = Math.min(RETRY_BASE_DELAY * 2 ** attempt, RETRY_MAX_DELAY);
+  return Math.round(backoff * (0.75 + Math.random() * 0.5));
+}
+
+/**
+ * Describe why a request is being retried, e.g. "rate limited"
+ */
+function describeFailure(error) {
+  if (!error.response) {
+    return TIMEOUT_ERROR_CODES.includes(error.code) ? 'timed out' : 'connection failed';
+  }
+  return error.response.status === 429 ? 'rate limited' : `server error ${error.response.status}`;
+}
 
 /**
- * Set the OpenAI API key
+ * Send a provider request, retrying transient failures with backoff
+ * Streamed requests are only retried until the first token arrives, so text is never repeated
  * 
- * @param {string} key - OpenAI API key
+ * @param {Object} provider - Provider to send the request with
+ * @param {Object} settings - Resolved request settings
+ * @param {Object} request - Provider request; its onToken is wrapped to track streaming
+ * @param {Function} onRetry - Optional callback with { attempt, maxRetries, delay, reason }
+ * @returns {Promise<{text: string, usage: Object|null}>} Provider response
  */
-function setApiKey(key) {
-  apiKey = key;
+async function sendWithRetry(provider, settings, request, onRetry) {
+  let streamed = false;
+  const tracked = request.onToken
+    ? { ...request, onToken: (text) => { streamed = true; request.onToken(text); } }
+    : request;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await provider.analyze(settings, tracked);
+    } catch (error) {
+      const delay = attempt < MAX_RETRIES && !streamed && isRetryable(error)
+        ? getRetryDelay(error, attempt)
+        : null;
+      if (delay === null) throw error;
+
+      // Release the connection of a failed streaming response before trying again
+      if (typeof error.response?.data?.destroy === 'function') {
+        error.response.data.destroy();
+      }
+
+      const reason = describeFailure(error);
+      log('warn', `${provider.label} request ${reason}, retrying in ${delay}ms (${attempt + 1}/${MAX_RETRIES})`);
+      if (onRetry) {
+        onRetry({ attempt: attempt + 1, maxRetries: MAX_RETRIES, delay, reason });
+      }
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
 }
 
 /**
- * Analyze an image using OpenAI Vision API
+ * Translate a request failure into a user-facing error
+ * The result is flagged with offline when the provider could not be reached
+ * and retryable when a later attempt may succeed
  * 
- * @param {string} base64Image - Base64-encoded image data
+ * @param {Object} provider - Provider that made the request
+ * @param {Object} settings - Resolved request settings
+ * @param {Error} error - Original error
+ * @returns {Promise<Error>} Friendly error
+ */
+async function toFriendlyError(provider, settings, error) {
+  const friendly = await describeError(provider, settings, error);
+  friendly.offline = !error.response && OFFLINE_ERROR_CODES.includes(error.code);
+  friendly.retryable = isRetryable(error);
+  return friendly;
+}
+
+/**
+ * Build the user-facing error for a request failure
+ */
+async function describeError(provider, settings, error) {
+  if (error.response) {
+    // Streaming requests receive their error body as a stream too
+    if (typeof error.response.data?.pipe === 'function') {
+      error.response.data = await readStreamBody(error.response.data);
+    }
+
+    const message = error.response.data?.error?.message || 'Unknown API error';
+    log('error', `${provider.label} API error ${error.response.status}: ${message}`);
+    return provider.mapError(error, settings);
+  }
+
+  if (error.code === 'ECONNREFUSED') {
+    return provider.requiresApiKey
+      ? new Error('Network error. Please check your internet connection.')
+      : new Error(`Could not connect to ${settings.baseUrl}. Is the server running?`);
+  }
+  if (OFFLINE_ERROR_CODES.includes(error.code)) {
+    return new Error('Network error. Please check your internet connection.');
+  }
+  if (TIMEOUT_ERROR_CODES.includes(error.code)) {
+    return new Error('Request timed out. Please try again.');
+  }
+
+  return error;
+}
+
+/**
+ * Convert images into provider-neutral image parts
+ * 
+ * @param {string|Object|Array} images - One or more base64 PNG images, or images
+ *   prepared for upload as { data, mediaType, detail }
+ * @returns {Array} [{ data, mediaType, detail }]
+ */
+function toImageParts(images) {
+  return [].concat(images).map(image => (typeof image === 'string'
+    ? { data: image, mediaType: 'image/png' }
+    : { data: image.data, mediaType: image.mediaType, detail: image.detail }));
+}
+
+/**
+ * Estimate the input tokens the active provider charges for images
+ * 
+ * @param {Array} images - [{ width, height, detail }]
+ * @returns {number} Estimated tokens
+ */
+function estimateImageTokens(images) {
+  const { provider } = resolveConfig(providerConfig);
+  return images.reduce((total, image) => total + provider.estimateImageTokens(image), 0);
+}
+
+/**
+ * Analyze one or more images using the configured vision provider
+ * In structured mode the response is requested as JSON matching ANALYSIS_SCHEMA
+ * and isn't streamed; output that doesn't validate is returned as plain text
+ * with structured set to null
+ * 
+ * @param {string|Object|Array} base64Image - Base64-encoded PNG image data, an image prepared
+ *   for upload, or several images
  * @param {string} customPrompt - Optional custom analysis prompt
- * @returns {Promise<string>} Analysis result text
+ * @param {Object} options - Optional { systemPrompt, structured, onToken, onRetry } where onToken
+ *   streams partial text and onRetry is told about each automatic retry
+ * @returns {Promise<{text: string, structured: Object|null, usage: Object|null}>} Analysis text
+ *   (Markdown rendered from the structured analysis, if there is one), the structured analysis
+ *   and { inputTokens, outputTokens } if the provider reported usage
  */
-async function analyzeImage(base64Image, customPrompt = null) {
-  if (!apiKey) {
+async function analyzeImage(base64Image, customPrompt = null, options = {}) {
+  const { provider, settings } = resolveConfig(providerConfig);
+
+  if (provider.requiresApiKey && !settings.apiKey) {
     throw new Error('API key not configured');
   }
 
-  const systemPrompt = `You are an AI assistant analyzing the user's screen. 
-Your job is to:
-1. Describe what you see on the screen
-2. Identify any tasks or activities the user appears to be working on
-3. Provide helpful suggestions or insights
-4. If the user appears to be stuck or confused, offer guidance
-5. Be concise but thorough
+  const userPrompt = customPrompt || DEFAULT_USER_PROMPT;
+  const systemPrompt = options.systemPrompt || DEFAULT_SYSTEM_PROMPT;
+
+  try {
+    log('info', `Sending image to ${provider.label} (${settings.model})${options.structured ? ' for a structured analysis' : ''}...`);
+
+    const { text, usage } = await sendWithRetry(provider, settings, {
+      systemPrompt: options.structured ? `${systemPrompt}\n\n${STRUCTURED_INSTRUCTIONS}` : systemPrompt,
+      messages: [
+        {
+          role: 'user',
+          text: userPrompt,
+          images: toImageParts(base64Image)
+        }
+      ],
+      maxTokens: options.structured ? STRUCTURED_MAX_TOKENS : MAX_TOKENS,
+      // Partial JSON isn't worth showing, so structured analyses arrive in one piece
+      onToken: options.structured ? undefined : options.onToken,
+      responseSchema: options.structured ? { name: 'screen_analysis', schema: ANALYSIS_SCHEMA } : undefined
+    }, options.onRetry);
+
+    if (!text) {
+      throw new Error('No response content from API');
+    }
+
+    log('info', 'Analysis received successfully');
+    if (!options.structured) {
+      return { text, structured: null, usage: usage || null };
+    }
 
-Always be helpful and proactive in your analysis.`;
+    const structured = parseStructured(text);
+    if (!structured) {
+      log('warn', `${provider.label} returned an invalid structured analysis, keeping it as plain text`);
+      return { text, structured: null, usage: usage || null };
+    }
+    return { text: toMarkdown(structured), structured, usage: usage || null };
 
-  const userPrompt = customPrompt || 'Analyze this screenshot and provide helpful insights about what I\'m working on. If you see any issues or ways I could be more productive, let me know.';
+  } catch (error) {
+    throw await toFriendlyError(provider, settings, error);
+  }
+}
+
+/**
+ * Ask a follow-up question about a previously analyzed screenshot
+ * 
+ * @param {string|Object|Array|null} base64Image - Image(s) of the capture, null for digests
+ * @param {Object} context - { systemPrompt, prompt, analysis, thread } of the original capture
+ * @param {string} question - Follow-up question
+ * @param {Object} options - Optional { onToken, onRetry } to stream partial text and report retries
+ * @returns {Promise<{text: string, usage: Object|null}>} Answer text and token usage if reported
+ */
+async function askFollowUp(base64Image, context, question, options = {}) {
+  const { provider, settings } = resolveConfig(providerConfig);
+
+  if (provider.requiresApiKey && !settings.apiKey) {
+    throw new Error('API key not configured');
+  }
+
+  const originalPrompt = context.prompt || DEFAULT_USER_PROMPT;
+
+  // Replay the original capture and every previous turn as context; digests never had a screenshot
+  const firstMessage = { role: 'user', text: originalPrompt };
+  if (base64Image) {
+    firstMessage.images = toImageParts(base64Image);
+  }
+  const messages = [
+    firstMessage,
+    { role: 'assistant', text: context.analysis },
+    ...(context.thread || []).map(turn => ({ role: turn.role, text: turn.text })),
+    { role: 'user', text: question }
+  ];
 
   try {
-    log('info', 'Sending image to OpenAI Vision API...');
-
-    const response = await axios.post(
-      API_URL,
-      {
-        model: MODEL,
-        messages: [
-          {
-            role: 'system',
-            content: systemPrompt
-          },
-          {
-            role: 'user',
-            content: [
-              {
-                type: 'text',
-                text: userPrompt
-              },
-              {
-                type: 'image_url',
-                image_url: {
-                  url: `data:image/png;base64,${base64Image}`,
-                  detail: 'high'  // Use high detail for better analysis
-                }
-              }
-            ]
-          }
-        ],
-        max_tokens: 1000
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 60000  // 60 second timeout
-      }
-    );
+    log('info', `Sending follow-up question to ${provider.label} (${settings.model})...`);
+
+    const { text, usage } = await sendWithRetry(provider, settings, {
+      systemPrompt: `${context.systemPrompt || DEFAULT_SYSTEM_PROMPT}\n\n${FOLLOW_UP_INSTRUCTIONS}`,
+      messages,
+      maxTokens: MAX_TOKENS,
+      onToken: options.onToken
+    }, options.onRetry);
 
-    const result = response.data.choices[0]?.message?.content;
-    
-    if (!result) {
+    if (!text) {
       throw new Error('No response content from API');
     }
 
-    log('info', 'Analysis received successfully');
-    return result;
+    log('info', 'Follow-up answer received successfully');
+    return { text, usage: usage || null };
 
   } catch (error) {
-    // Handle specific error types
-    if (error.response) {
-      const status = error.response.status;
-      const message = error.response.data?.error?.message || 'Unknown API error';
-      
-      log('error', `API error ${status}: ${message}`);
-      
-      switch (status) {
-        case 401:
-          throw new Error('Invalid API key. Please check your OpenAI API key in Settings.');
-        case 429:
-          throw new Error('Rate limit exceeded. Please wait a moment before trying again.');
-        case 500:
-        case 502:
-        case 503:
-          throw new Error('OpenAI service is temporarily unavailable. Please try again later.');
-        default:
-          throw new Error(`API error: ${message}`);
-      }
-    } else if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
-      throw new Error('Network error. Please check your internet connection.');
-    } else if (error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED') {
-      throw new Error('Request timed out. Please try again.');
+    throw await toFriendlyError(provider, settings, error);
+  }
+}
+
+/**
+ * Summarize earlier analyses in a text-only request
+ * 
+ * @param {string} systemPrompt - Digest instructions
+ * @param {string} prompt - The analyses to summarize
+ * @param {Object} options - Optional { onRetry } to report retries
+ * @returns {Promise<{text: string, usage: Object|null}>} Digest text and token usage if reported
+ */
+async function summarizeAnalyses(systemPrompt, prompt, options = {}) {
+  const { provider, settings } = resolveConfig(providerConfig);
+
+  if (provider.requiresApiKey && !settings.apiKey) {
+    throw new Error('API key not configured');
+  }
+
+  try {
+    log('info', `Sending digest request to ${provider.label} (${settings.model})...`);
+
+    const { text, usage } = await sendWithRetry(provider, settings, {
+      systemPrompt,
+      messages: [{ role: 'user', text: prompt }],
+      maxTokens: DIGEST_MAX_TOKENS
+    }, options.onRetry);
+
+    if (!text) {
+      throw new Error('No response content from API');
     }
-    
-    throw error;
+
+    log('info', 'Digest received successfully');
+    return { text, usage: usage || null };
+
+  } catch (error) {
+    throw await toFriendlyError(provider, settings, error);
   }
 }
 
 /**
- * Test API connection with a simple request
+ * Test a provider connection with a lightweight request
  * 
+ * @param {Object} config - Optional configuration to test instead of the active one
  * @returns {Promise<boolean>} True if connection is successful
  */
-async function testConnection() {
-  if (!apiKey) {
+async function testConnection(config = providerConfig) {
+  const { provider, settings } = resolveConfig(config);
+
+  if (provider.requiresApiKey && !settings.apiKey) {
     throw new Error('API key not configured');
   }
 
   try {
-    await axios.get('https://api.openai.com/v1/models', {
-      headers: {
-        'Authorization': `Bearer ${apiKey}`
-      },
-      timeout: 10000
-    });
+    await provider.testConnection(settings);
+    log('info', `Connection to ${provider.label} at ${settings.baseUrl} succeeded`);
     return true;
   } catch (error) {
-    if (error.response?.status === 401) {
-      throw new Error('Invalid API key');
-    }
-    throw error;
+    throw await toFriendlyError(provider, settings, error);
   }
 }
 
 module.exports = {
-  setApiKey,
+  setProviderConfig,
   analyzeImage,
-  testConnection
+  askFollowUp,
+  summarizeAnalyses,
+  testConnection,
+  estimateImageTokens
 };
@@ -0,0 +1,409 @@
+/**
+ * Automation API Module
+ * Opt-in HTTP and WebSocket server on 127.0.0.1 for scripts and editor
+ * plugins. Every request needs the bearer token shown in Settings.
+ *
+ * Endpoints:
+ *   GET  /api/status              - { autoCapture, interval, capturing, queued, pause }
+ *   POST /api/capture             - Capture and analyze now; body { prompt?, presetId? }
+ *   GET  /api/analysis/latest     - Newest history entry
+ *   GET  /api/history             - History page; ?page=&pageSize=&query=&severity=&application=&thumbnails=1
+ *   GET  /api/history/:id         - One history entry
+ *   POST /api/auto-capture        - Turn auto-capture on or off; body { enabled }
+ *   GET  /api/events (WebSocket)  - Capture events as JSON messages { event, data }
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { log } = require('./logger');
+const { SEVERITIES } = require('./structured');
+
+const MAX_BODY_SIZE = 64 * 1024;
+const MAX_FRAME_BUFFER = 64 * 1024;
+
+// Handshake constant from RFC 6455
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODE_TEXT = 0x1;
+const OPCODE_CLOSE = 0x8;
+const OPCODE_PING = 0x9;
+const OPCODE_PONG = 0xa;
+
+let server = null;
+let serverStatus = { running: false, port: null, error: null };
+const clients = new Set();
+
+/**
+ * Compare a presented token with the expected one in constant time
+ */
+function tokensMatch(presented, expected) {
+  const a = Buffer.from(presented || '');
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Check a request's token, sent as "Authorization: Bearer <token>" or,
+ * for WebSocket clients that can't set headers, as ?token=<token>
+ */
+function isAuthorized(req, url, token) {
+  const header = req.headers.authorization || '';
+  const presented = header.startsWith('Bearer ') ? header.slice(7) : url.searchParams.get('token');
+  return tokensMatch(presented, token);
+}
+
+/**
+ * Reject requests addressed to another host name, which a web page could
+ * only send through DNS rebinding
+ */
+function isLocalHost(req) {
+  const host = (req.headers.host || '').replace(/:\d+$/, '');
+  return ['127.0.0.1', 'localhost', '[::1]'].includes(host);
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Read and parse a JSON request body
+ *
+ * @returns {Promise<Object>} Parsed body, {} when empty; rejects with a 400 status
+ *   unless it is a JSON object
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_SIZE) {
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      let parsed;
+      try {
+        parsed = body ? JSON.parse(body) : {};
+      } catch (error) {
+        reject(Object.assign(new Error('Invalid JSON body'), { status: 400 }));
+        return;
+      }
+
+      // Handlers read fields straight off the body
+      if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        reject(Object.assign(new Error('JSON body must be an object'), { status: 400 }));
+        return;
+      }
+      resolve(parsed);
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Route an authorized HTTP request to its handler
+ *
+ * @returns {Promise<Array>} [status, body]
+ */
+async function route(req, url, handlers) {
+  const { pathname } = url;
+
+  if (req.method === 'GET' && pathname === '/api/status') {
+    return [200, handlers.getStatus()];
+  }
+
+  if (req.method === 'POST' && pathname === '/api/capture') {
+    const body = await readJsonBody(req);
+    const result = await handlers.capture({
+      prompt: typeof body.prompt === 'string' && body.prompt.trim() ? body.prompt : null,
+      presetId: typeof body.presetId === 'string' ? body.presetId : null
+    });
+    if (!result) {
+      return [409, { error: 'A capture is already in progress' }];
+    }
+    return [result.success ? 200 : 502, result];
+  }
+
+  if (req.method === 'GET' && pathname === '/api/analysis/latest') {
+    const entry = handlers.getLatest();
+    return entry ? [200, entry] : [404, { error: 'No analyses yet' }];
+  }
+
+  if (req.method === 'GET' && pathname === '/api/history') {
+    const page = Math.max(0, parseInt(url.searchParams.get('page'), 10) || 0);
+    const pageSize = Math.min(100, Math.max(1, parseInt(url.searchParams.get('pageSize'), 10) || 20));
+    const severity = url.searchParams.get('severity');
+    if (severity && !SEVERITIES.includes(severity)) {
+      return [400, { error: `Unknown severity "${severity}"; use ${SEVERITIES.join(', ')}` }];
+    }
+    const result = handlers.listHistory({
+      page,
+      pageSize,
+      query: url.searchParams.get('query') || '',
+      severity,
+      application: url.searchParams.get('application')
+    });
+
+    // Thumbnails are data URLs, so leave them out unless asked for
+    if (url.searchParams.get('thumbnails') !== '1') {
+      result.items = result.items.map(({ thumbnail, ...item }) => item);
+    }
+    return [200, result];
+  }
+
+  const entryMatch = pathname.match(/^\/api\/history\/([\w-]+)$/);
+  if (req.method === 'GET' && entryMatch) {
+    const entry = handlers.getEntry(entryMatch[1]);
+    return entry ? [200, entry] : [404, { error: 'Entry not found' }];
+  }
+
+  if (req.method === 'POST' && pathname === '/api/auto-capture') {
+    const body = await readJsonBody(req);
+    if (typeof body.enabled !== 'boolean') {
+      return [400, { error: 'Body must be { "enabled": true | false }' }];
+    }
+    return [200, { autoCapture: await handlers.setAutoCapture(body.enabled) }];
+  }
+
+  return [404, { error: 'Not found' }];
+}
+
+/**
+ * Encode a WebSocket frame sent by the server (never masked)
+ *
+ * @param {number} opcode - Frame opcode
+ * @param {Buffer} payload - Frame payload
+ * @returns {Buffer} Encoded frame
+ */
+function encodeFrame(opcode, payload) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Handle frames from a WebSocket client
+ * The stream is one-way, so only close and ping frames are acted on
+ *
+ * @param {Object} client - { socket, buffer }
+ * @param {Buffer} chunk - Received data
+ */
+function readFrames(client, chunk) {
+  client.buffer = Buffer.concat([client.buffer, chunk]);
+  if (client.buffer.length > MAX_FRAME_BUFFER) {
+    client.socket.destroy();
+    return;
+  }
+
+  while (client.buffer.length >= 2) {
+    const buffer = client.buffer;
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+
+    if (length === 126) {
+      if (buffer.length < 4) return;
+      length = buffer.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buffer.length < 10) return;
+      length = Number(buffer.readBigUInt64BE(2));
+      offset = 10;
+    }
+
+    const mask = masked ? buffer.subarray(offset, offset + 4) : null;
+    if (masked) offset += 4;
+    if (buffer.length < offset + length) return;
+
+    const payload = Buffer.from(buffer.subarray(offset, offset + length));
+    if (mask) {
+      for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= mask[i % 4];
+      }
+    }
+    client.buffer = buffer.subarray(offset + length);
+
+    if (opcode === OPCODE_CLOSE) {
+      client.socket.end(encodeFrame(OPCODE_CLOSE, Buffer.alloc(0)));
+      return;
+    }
+    if (opcode === OPCODE_PING) {
+      client.socket.write(encodeFrame(OPCODE_PONG, payload));
+    }
+  }
+}
+
+/**
+ * Accept a WebSocket connection to the event stream
+ */
+function handleUpgrade(req, socket, token) {
+  const url = new URL(req.url, 'http://127.0.0.1');
+  const key = req.headers['sec-websocket-key'];
+
+  let failure = null;
+  if (!isLocalHost(req)) failure = '403 Forbidden';
+  else if (!isAuthorized(req, url, token)) failure = '401 Unauthorized';
+  else if (url.pathname !== '/api/events') failure = '404 Not Found';
+  else if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') failure = '400 Bad Request';
+
+  if (failure) {
+    socket.end(`HTTP/1.1 ${failure}\r\nConnection: close\r\n\r\n`);
+    return;
+  }
+
+  const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '',
+    ''
+  ].join('\r\n'));
+
+  const client = { socket, buffer: Buffer.alloc(0) };
+  clients.add(client);
+  socket.on('data', chunk => readFrames(client, chunk));
+  socket.on('close', () => clients.delete(client));
+  socket.on('error', () => clients.delete(client));
+}
+
+/**
+ * Start the automation server, replacing a running one
+ *
+ * @param {Object} options - { port, token, handlers } where handlers are { getStatus,
+ *   capture({ prompt, presetId }), getLatest, listHistory(options), getEntry(id),
+ *   setAutoCapture(enabled) }; capture resolves to null when a capture is already running
+ * @returns {Promise<Object>} Server status { running, port, error }
+ */
+async function startAutomationServer({ port, token, handlers }) {
+  await stopAutomationServer();
+
+  if (!token) {
+    serverStatus = { running: false, port, error: 'No access token' };
+    return serverStatus;
+  }
+
+  const httpServer = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://127.0.0.1');
+
+    if (!isLocalHost(req)) {
+      sendJson(res, 403, { error: 'Forbidden' });
+      return;
+    }
+    if (!isAuthorized(req, url, token)) {
+      sendJson(res, 401, { error: 'Missing or invalid token' });
+      return;
+    }
+
+    try {
+      const [status, body] = await route(req, url, handlers);
+      sendJson(res, status, body);
+    } catch (error) {
+      if (!error.status) {
+        log('error', `Automation API ${req.method} ${url.pathname} failed: ${error.message}`);
+      }
+      sendJson(res, error.status || 500, { error: error.message });
+    }
+  });
+
+  httpServer.on('upgrade', (req, socket) => handleUpgrade(req, socket, token));
+
+  serverStatus = await new Promise((resolve) => {
+    httpServer.once('error', (error) => {
+      const message = error.code === 'EADDRINUSE' ? `Port ${port} is already in use` : error.message;
+      log('error', `Automation API could not start: ${message}`);
+      resolve({ running: false, port, error: message });
+    });
+    httpServer.listen(port, '127.0.0.1', () => {
+      log('info', `Automation API listening on http://127.0.0.1:${port}`);
+      resolve({ running: true, port, error: null });
+    });
+  });
+
+  if (serverStatus.running) {
+    server = httpServer;
+  }
+  return serverStatus;
+}
+
+/**
+ * Stop the automation server and disconnect event stream clients
+ *
+ * @returns {Promise<void>}
+ */
+function stopAutomationServer() {
+  for (const client of clients) {
+    client.socket.destroy();
+  }
+  clients.clear();
+  serverStatus = { running: false, port: null, error: null };
+
+  if (!server) return Promise.resolve();
+  const closing = server;
+  server = null;
+  return new Promise(resolve => {
+    closing.close(() => {
+      log('info', 'Automation API stopped');
+      resolve();
+    });
+    // Idle keep-alive connections would otherwise hold the port open
+    closing.closeAllConnections();
+  });
+}
+
+/**
+ * Send an event to every connected WebSocket client
+ *
+ * @param {string} event - Event name, e.g. 'capture-complete'
+ * @param {*} data - Event payload
+ */
+function broadcastEvent(event, data) {
+  if (clients.size === 0) return;
+
+  const frame = encodeFrame(OPCODE_TEXT, Buffer.from(JSON.stringify({ event, data: data === undefined ? null : data })));
+  for (const client of clients) {
+    client.socket.write(frame);
+  }
+}
+
+/**
+ * Get the state of the automation server for the settings panel
+ *
+ * @returns {Object} { running, port, error }
+ */
+function getAutomationStatus() {
+  return serverStatus;
+}
+
+/**
+ * Create a random access token
+ *
+ * @returns {string} URL-safe token
+ */
+function generateToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+module.exports = {
+  startAutomationServer,
+  stopAutomationServer,
+  broadcastEvent,
+  getAutomationStatus,
+  generateToken
+};
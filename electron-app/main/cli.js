@@ -0,0 +1,163 @@
+/**
+ * Command Line Module
+ * Flags for one-shot captures that run without showing a window, and
+ * the output and exit code of their result
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const EXIT_CODES = {
+  SUCCESS: 0,
+  FAILED: 1,          // Capture or analysis failed
+  USAGE: 2,           // Invalid flags
+  NO_PERMISSION: 3,   // Screen capture permission missing
+  BUSY: 4,            // The running instance was already capturing
+  QUEUED: 5           // Provider unreachable, capture queued for later
+};
+
+const FORMATS = ['text', 'markdown', 'json'];
+const DISPLAY_MODES = ['primary', 'cursor', 'stitched', 'separate'];
+
+// Flags that take a value, mapped to their option name
+const VALUE_FLAGS = {
+  '--prompt': 'prompt',
+  '--preset': 'presetId',
+  '--display': 'display',
+  '--format': 'format',
+  '--output': 'output'
+};
+
+const HELP_TEXT = `Usage: ai-screen-assistant --capture-once [options]
+
+Capture the screen, analyze it and exit without showing a window.
+If the app is already running, the capture is done by that instance.
+
+Options:
+  --prompt <text>     Question to ask instead of the preset's prompt
+  --preset <id>       Prompt preset to use (default: the selected preset)
+  --display <n>       Display number (1, 2, ...) or primary, cursor, stitched, separate
+                      (default: the display set in Settings)
+  --format <format>   text, markdown or json (default: text)
+  --output <file>     Write the result to a file instead of standard output
+  --help              Show this help
+
+Exit codes:
+  0  Analysis written
+  1  Capture or analysis failed
+  2  Invalid options
+  3  Screen capture permission missing
+  4  Another capture is in progress
+  5  Provider unreachable; the capture was queued and will be analyzed by the app
+`;
+
+/**
+ * Parse command line flags
+ * Arguments that aren't ours (Electron and Chromium switches, the app path) are ignored
+ *
+ * @param {Array<string>} argv - process.argv
+ * @returns {Object|null} { help, prompt, presetId, display, format, output, error }, or null
+ *   for a normal launch. display is a 1-based display number or a display mode.
+ */
+function parseArgs(argv) {
+  const options = { help: false, prompt: null, presetId: null, display: null, format: 'text', output: null, error: null };
+  let captureOnce = false;
+  let isCli = false;
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+
+    if (flag === '--capture-once') {
+      captureOnce = true;
+      isCli = true;
+    } else if (flag === '--help') {
+      options.help = true;
+      isCli = true;
+    } else if (VALUE_FLAGS[flag]) {
+      isCli = true;
+      const value = inlineValue !== undefined ? inlineValue : argv[++i];
+      if (value === undefined || (inlineValue === undefined && value.startsWith('--'))) {
+        options.error = `${flag} needs a value`;
+        break;
+      }
+      options[VALUE_FLAGS[flag]] = value;
+    }
+  }
+
+  if (!isCli) return null;
+  if (options.error || options.help) return options;
+
+  if (!captureOnce) {
+    options.error = 'Options need --capture-once';
+  } else if (!FORMATS.includes(options.format)) {
+    options.error = `Unknown format "${options.format}"; use ${FORMATS.join(', ')}`;
+  } else if (options.display !== null) {
+    if (/^\d+$/.test(options.display) && Number(options.display) > 0) {
+      options.display = Number(options.display);
+    } else if (!DISPLAY_MODES.includes(options.display)) {
+      options.error = `Unknown display "${options.display}"; use a display number or ${DISPLAY_MODES.join(', ')}`;
+    }
+  }
+  return options;
+}
+
+/**
+ * Get the exit code of a capture result
+ *
+ * @param {Object} result - 'capture-complete' payload
+ * @returns {number} Exit code
+ */
+function exitCodeFor(result) {
+  if (result.success) return EXIT_CODES.SUCCESS;
+  if (result.queued) return EXIT_CODES.QUEUED;
+  return EXIT_CODES.FAILED;
+}
+
+/**
+ * Format a capture result for output
+ *
+ * @param {Object} result - 'capture-complete' payload
+ * @param {string} format - 'text', 'markdown' or 'json'
+ * @returns {string} Output ending in a newline
+ */
+function formatResult(result, format) {
+  if (format === 'json') {
+    return JSON.stringify(result, null, 2) + '\n';
+  }
+  if (!result.success) {
+    return `Error: ${result.error}\n`;
+  }
+  if (format === 'markdown') {
+    const source = [result.presetName, result.display, result.model].filter(Boolean).join(' · ');
+    return `## ${new Date(result.timestamp).toLocaleString()}\n\n*${source}*\n\n${result.analysis.trim()}\n`;
+  }
+  return result.analysis.trim() + '\n';
+}
+
+/**
+ * Write a response to the --output file or standard output
+ * Usage errors and failures in text formats go to standard error instead,
+ * so they never end up in the output file or a pipe
+ *
+ * @param {Object} response - { exitCode, text }
+ * @param {Object} options - Parsed options { output, format }
+ * @param {string} cwd - Directory a relative --output path is resolved against
+ */
+function writeOutput({ exitCode, text }, { output, format }, cwd) {
+  if (exitCode === EXIT_CODES.USAGE || (exitCode !== EXIT_CODES.SUCCESS && format !== 'json')) {
+    process.stderr.write(text);
+  } else if (output) {
+    fs.writeFileSync(path.resolve(cwd, output), text, 'utf8');
+  } else {
+    process.stdout.write(text);
+  }
+}
+
+module.exports = {
+  EXIT_CODES,
+  HELP_TEXT,
+  parseArgs,
+  exitCodeFor,
+  formatResult,
+  writeOutput
+};
@@ -0,0 +1,193 @@
+/**
+ * Digest Module
+ * Consolidated summaries of the analyses in a time window (what was worked
+ * on, blockers and open follow-ups), and the timer that generates them on
+ * an hourly or daily schedule
+ */
+
+const { log } = require('./logger');
+
+const DIGEST_SYSTEM_PROMPT = `You write work digests from a series of screen analyses taken while someone used their computer. The analyses are in chronological order and often repeat each other.
+
+Write a concise Markdown digest with these sections:
+## Worked On
+What the person worked on, grouped by task or project, with rough times.
+## Blockers
+Errors, problems and obstacles encountered, and whether they appear to have been resolved.
+## Open Follow-ups
+Unfinished work and suggested next steps.
+
+Merge repeated observations instead of listing every analysis. Leave a section out if there is nothing to report. Don't invent details that aren't in the analyses.`;
+
+// Larger windows are sampled evenly so the request stays a reasonable size
+const MAX_DIGEST_ENTRIES = 120;
+const MAX_ENTRY_LENGTH = 1200;
+
+const HOUR = 60 * 60 * 1000;
+
+// mode is off, hourly or daily; daily digests run at time and cover the 24 hours before
+const DEFAULT_DIGEST_SCHEDULE = { mode: 'off', time: '18:00' };
+
+let digestStore = null;
+let runDigest = null;
+let digestTimer = null;
+
+/**
+ * Format a time for range labels
+ */
+function formatLabelTime(date) {
+  return date.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Resolve the time window of a digest
+ *
+ * @param {Object} range - { window: 'hour'|'today'|'day'|'custom', from, to } where from and
+ *   to are ISO times used by custom ranges, and 'day' is the 24 hours before now
+ * @param {Date} now - Current time
+ * @returns {Object} { from, to, label } with ISO bounds (to is exclusive)
+ */
+function resolveDigestRange(range, now = new Date()) {
+  switch (range.window) {
+    case 'hour':
+      return { from: new Date(now - HOUR).toISOString(), to: now.toISOString(), label: 'Last hour' };
+    case 'today': {
+      const midnight = new Date(now);
+      midnight.setHours(0, 0, 0, 0);
+      return { from: midnight.toISOString(), to: now.toISOString(), label: 'Today' };
+    }
+    case 'day':
+      return { from: new Date(now - 24 * HOUR).toISOString(), to: now.toISOString(), label: 'Last 24 hours' };
+    case 'custom': {
+      const from = new Date(range.from);
+      const to = new Date(range.to);
+      if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+        throw new Error('Choose a start time before the end time');
+      }
+      return {
+        from: from.toISOString(),
+        to: to.toISOString(),
+        label: `${formatLabelTime(from)} – ${formatLabelTime(to)}`
+      };
+    }
+    default:
+      throw new Error(`Unknown digest range: ${range.window}`);
+  }
+}
+
+/**
+ * Pick at most max entries spread evenly over the list, keeping the first and last
+ */
+function sampleEntries(entries, max) {
+  if (entries.length <= max) return entries;
+  const step = (entries.length - 1) / (max - 1);
+  return Array.from({ length: max }, (_, index) => entries[Math.round(index * step)]);
+}
+
+/**
+ * Build the user prompt listing the analyses to summarize
+ *
+ * @param {Array} entries - History entries, oldest first
+ * @param {string} label - Description of the time window
+ * @returns {string} Prompt
+ */
+function buildDigestPrompt(entries, label) {
+  const sampled = sampleEntries(entries, MAX_DIGEST_ENTRIES);
+  const note = sampled.length < entries.length
+    ? ` (${sampled.length} of ${entries.length} shown, evenly spread)`
+    : '';
+
+  const sections = sampled.map(entry => {
+    const source = [entry.structured?.application, entry.presetName].filter(Boolean).join(' · ');
+    const analysis = entry.analysis.length > MAX_ENTRY_LENGTH
+      ? `${entry.analysis.slice(0, MAX_ENTRY_LENGTH)}…`
+      : entry.analysis;
+    return `### ${new Date(entry.timestamp).toLocaleString()}${source ? ` (${source})` : ''}\n${analysis.trim()}`;
+  });
+
+  return `Period: ${label}\n\nWrite a digest of these ${entries.length} screen analyses${note}:\n\n${sections.join('\n\n')}`;
+}
+
+/**
+ * Find when a scheduled digest runs next
+ *
+ * @param {Object} schedule - { mode, time }
+ * @param {Date} now - Current time
+ * @returns {Date|null} Next run, or null if digests aren't scheduled
+ */
+function nextDigestTime(schedule, now = new Date()) {
+  const next = new Date(now);
+
+  if (schedule && schedule.mode === 'hourly') {
+    next.setHours(now.getHours() + 1, 0, 0, 0);
+    return next;
+  }
+  if (!schedule || schedule.mode !== 'daily') return null;
+
+  const [hours, minutes] = String(schedule.time).split(':').map(Number);
+  next.setHours(hours || 0, minutes || 0, 0, 0);
+  if (next <= now) {
+    next.setDate(next.getDate() + 1);
+  }
+  return next;
+}
+
+/**
+ * Schedule the next digest from the saved schedule, replacing any pending one
+ */
+function rescheduleDigest() {
+  if (digestTimer) {
+    clearTimeout(digestTimer);
+    digestTimer = null;
+  }
+  if (!digestStore) return;
+
+  const schedule = digestStore.get('digestSchedule');
+  const next = nextDigestTime(schedule);
+  if (!next) return;
+
+  digestTimer = setTimeout(async () => {
+    digestTimer = null;
+    try {
+      await runDigest({ window: schedule.mode === 'hourly' ? 'hour' : 'day' });
+    } catch (error) {
+      log('warn', `Scheduled digest not generated: ${error.message}`);
+    }
+    rescheduleDigest();
+  }, next - Date.now());
+
+  log('info', `Next ${schedule.mode} digest at ${next.toLocaleString()}`);
+}
+
+/**
+ * Start generating digests on the saved schedule
+ *
+ * @param {Store} store - Electron store instance with digestSchedule
+ * @param {Function} run - Async function generating a digest for a range ({ window })
+ */
+function initDigestScheduler(store, run) {
+  digestStore = store;
+  runDigest = run;
+  rescheduleDigest();
+}
+
+/**
+ * Stop the digest timer
+ */
+function stopDigestScheduler() {
+  if (digestTimer) {
+    clearTimeout(digestTimer);
+    digestTimer = null;
+  }
+  digestStore = null;
+}
+
+module.exports = {
+  DIGEST_SYSTEM_PROMPT,
+  DEFAULT_DIGEST_SCHEDULE,
+  resolveDigestRange,
+  buildDigestPrompt,
+  initDigestScheduler,
+  rescheduleDigest,
+  stopDigestScheduler
+};
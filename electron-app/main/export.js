@@ -0,0 +1,282 @@
+/**
+ * Export Module
+ * Writes history entries to Markdown, a standalone HTML report or JSON,
+ * with screenshots embedded, linked as files next to the export, or left out
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { app } = require('electron');
+const { readEntryImage } = require('./history');
+const markdown = require('../shared/markdown');
+
+const FORMATS = {
+  markdown: { name: 'Markdown', extensions: ['md'] },
+  html: { name: 'HTML report', extensions: ['html'] },
+  json: { name: 'JSON', extensions: ['json'] }
+};
+
+const IMAGE_MODES = ['embed', 'link', 'none'];
+
+// Fields copied from history entries into JSON exports
+const JSON_FIELDS = [
+  'id', 'type', 'timestamp', 'presetId', 'presetName', 'systemPrompt', 'prompt', 'question',
+  'provider', 'model', 'display', 'analysis', 'structured', 'digest', 'thread'
+];
+
+/**
+ * Escape text for HTML
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Format a timestamp for headings
+ */
+function formatTimestamp(timestamp) {
+  return new Date(timestamp).toLocaleString();
+}
+
+/**
+ * Describe where an analysis came from, e.g. "Display 1 · openai / gpt-4o",
+ * or the window a digest covers
+ */
+function describeSource(entry) {
+  const model = [entry.provider, entry.model].filter(Boolean).join(' / ');
+  return [entry.display || (entry.digest && entry.digest.label), model].filter(Boolean).join(' · ');
+}
+
+/**
+ * Resolve the image of every entry for the chosen image mode
+ * Linked images are written to a folder next to the export file
+ *
+ * @returns {Map} Entry id -> { src, mediaType, data, path } where src is a data URL or
+ *   relative URL, and path the relative file path of linked images
+ */
+function prepareImages(entries, filePath, mode) {
+  const images = new Map();
+  if (mode === 'none') return images;
+
+  const baseName = path.basename(filePath, path.extname(filePath));
+  const folderName = `${baseName}-images`;
+  let folderCreated = false;
+
+  for (const entry of entries) {
+    const image = readEntryImage(entry);
+    if (!image) continue;
+
+    if (mode === 'embed') {
+      const data = image.data.toString('base64');
+      images.set(entry.id, {
+        src: `data:${image.mediaType};base64,${data}`,
+        mediaType: image.mediaType,
+        data
+      });
+      continue;
+    }
+
+    if (!folderCreated) {
+      fs.mkdirSync(path.join(path.dirname(filePath), folderName), { recursive: true });
+      folderCreated = true;
+    }
+    const fileName = `${entry.id}.${image.extension}`;
+    fs.writeFileSync(path.join(path.dirname(filePath), folderName, fileName), image.data);
+    // The folder is named after the export file, which may contain spaces, # or ?
+    images.set(entry.id, {
+      src: `${encodeURIComponent(folderName)}/${fileName}`,
+      mediaType: image.mediaType,
+      path: `${folderName}/${fileName}`
+    });
+  }
+
+  return images;
+}
+
+/**
+ * Build a Markdown document
+ */
+function toMarkdown(entries, images) {
+  const lines = [
+    '# AI Screen Assistant Export',
+    '',
+    `Exported ${formatTimestamp(Date.now())} · ${entries.length} ${entries.length === 1 ? 'analysis' : 'analyses'}`
+  ];
+
+  for (const entry of entries) {
+    lines.push('', '---', '', `## ${formatTimestamp(entry.timestamp)}${entry.presetName ? ` — ${entry.presetName}` : ''}`);
+
+    const source = describeSource(entry);
+    if (source) {
+      lines.push('', `*${source}*`);
+    }
+
+    const image = images.get(entry.id);
+    if (image) {
+      lines.push('', `![Screenshot](<${image.src}>)`);
+    }
+
+    if (entry.question) {
+      lines.push('', `**Question:** ${entry.question.trim()}`);
+    }
+
+    lines.push('', entry.analysis.trim());
+
+    const thread = entry.thread || [];
+    if (thread.length > 0) {
+      lines.push('', '### Follow-up');
+      for (const turn of thread) {
+        lines.push('', `**${turn.role === 'user' ? 'You' : 'Assistant'}:** ${turn.text.trim()}`);
+      }
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Build a standalone HTML report with inline styles
+ */
+function toHtml(entries, images) {
+  const sections = entries.map(entry => {
+    const image = images.get(entry.id);
+    const source = describeSource(entry);
+    // Answers are Markdown, rendered the same way as in the app; questions are plain text
+    const thread = (entry.thread || []).map(turn => `
+        <div class="turn ${turn.role === 'user' ? 'user' : 'assistant'}">
+          <strong>${turn.role === 'user' ? 'You' : 'Assistant'}</strong>
+          ${turn.role === 'user'
+            ? `<div class="text">${escapeHtml(turn.text.trim())}</div>`
+            : `<div class="markdown">${markdown.render(turn.text)}</div>`}
+        </div>`).join('');
+
+    return `
+    <section>
+      <h2>${escapeHtml(formatTimestamp(entry.timestamp))}${entry.presetName ? ` — ${escapeHtml(entry.presetName)}` : ''}</h2>
+      ${source ? `<p class="meta">${escapeHtml(source)}</p>` : ''}
+      ${image ? `<img src="${escapeHtml(image.src)}" alt="Screenshot">` : ''}
+      ${entry.question ? `<p class="question"><strong>Question:</strong> ${escapeHtml(entry.question.trim())}</p>` : ''}
+      <div class="markdown">${markdown.render(entry.analysis)}</div>
+      ${thread ? `<div class="thread"><h3>Follow-up</h3>${thread}</div>` : ''}
+    </section>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>AI Screen Assistant Export</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 860px; margin: 0 auto; padding: 32px 24px; color: #1f2937; line-height: 1.6; }
+    header { border-bottom: 1px solid #e5e7eb; margin-bottom: 24px; }
+    section { border-bottom: 1px solid #e5e7eb; padding: 16px 0 24px; }
+    h2 { font-size: 18px; margin: 0 0 4px; }
+    h3 { font-size: 14px; margin: 16px 0 8px; }
+    .meta { color: #6b7280; font-size: 13px; margin: 0 0 12px; }
+    img { max-width: 100%; border: 1px solid #e5e7eb; border-radius: 6px; margin-bottom: 12px; }
+    .text { white-space: pre-wrap; }
+    .question { background: #eef2ff; padding: 8px 12px; border-radius: 6px; }
+    .turn { padding: 8px 12px; border-radius: 6px; margin-bottom: 8px; background: #f3f4f6; }
+    .turn.user { background: #eef2ff; }
+    .markdown > :first-child { margin-top: 0; }
+    .markdown > :last-child { margin-bottom: 0; }
+    .markdown p, .markdown ul, .markdown ol, .markdown blockquote, .markdown .code-block, .markdown .table-wrap { margin: 0 0 12px; }
+    .markdown h1, .markdown h2, .markdown h3, .markdown h4, .markdown h5, .markdown h6 { margin: 18px 0 8px; line-height: 1.3; font-size: 1em; }
+    .markdown h1 { font-size: 1.35em; }
+    .markdown h2 { font-size: 1.2em; }
+    .markdown h3 { font-size: 1.08em; }
+    .markdown ul, .markdown ol { padding-left: 24px; }
+    .markdown a { color: #7c3aed; }
+    .markdown hr { border: none; border-top: 1px solid #e5e7eb; margin: 16px 0; }
+    .markdown blockquote { padding-left: 12px; border-left: 3px solid #e5e7eb; color: #6b7280; }
+    .markdown code { font-family: 'SF Mono', Menlo, Consolas, monospace; font-size: 0.9em; padding: 1px 5px; background: #f3f4f6; border-radius: 4px; }
+    .markdown .code-block { border: 1px solid #e5e7eb; border-radius: 6px; overflow: hidden; }
+    .markdown .code-header { padding: 4px 12px; font-size: 12px; color: #6b7280; background: #f3f4f6; border-bottom: 1px solid #e5e7eb; }
+    .markdown .copy-code, .markdown .code-header:has(> span:empty) { display: none; }
+    .markdown pre { margin: 0; padding: 12px; overflow-x: auto; background: #fafafa; }
+    .markdown pre code { padding: 0; background: none; font-size: 13px; line-height: 1.5; }
+    .markdown .table-wrap { overflow-x: auto; }
+    .markdown table { border-collapse: collapse; font-size: 0.92em; }
+    .markdown th, .markdown td { padding: 6px 10px; border: 1px solid #e5e7eb; }
+    .markdown th { background: #f3f4f6; }
+    .hl-keyword { color: #7c3aed; }
+    .hl-string { color: #15803d; }
+    .hl-number { color: #b45309; }
+    .hl-comment { color: #9ca3af; font-style: italic; }
+    .hl-function { color: #2563eb; }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>AI Screen Assistant Export</h1>
+    <p class="meta">Exported ${escapeHtml(formatTimestamp(Date.now()))} · ${entries.length} ${entries.length === 1 ? 'analysis' : 'analyses'}</p>
+  </header>
+${sections}
+</body>
+</html>
+`;
+}
+
+/**
+ * Build a JSON document
+ */
+function toJson(entries, images) {
+  const data = {
+    app: 'AI Screen Assistant',
+    version: app.getVersion(),
+    exportedAt: new Date().toISOString(),
+    entries: entries.map(entry => {
+      const item = {};
+      for (const field of JSON_FIELDS) {
+        if (entry[field] !== undefined) item[field] = entry[field];
+      }
+
+      const image = images.get(entry.id);
+      if (image) {
+        item.image = image.data
+          ? { mediaType: image.mediaType, data: image.data }
+          : { mediaType: image.mediaType, path: image.path };
+      }
+      return item;
+    })
+  };
+
+  return JSON.stringify(data, null, 2) + '\n';
+}
+
+/**
+ * Write entries to an export file
+ *
+ * @param {string} filePath - Destination file
+ * @param {Array} entries - History entries, in the order they should appear
+ * @param {Object} options - { format: 'markdown'|'html'|'json', images: 'embed'|'link'|'none' }
+ */
+function exportEntries(filePath, entries, { format = 'markdown', images = 'embed' } = {}) {
+  if (!FORMATS[format]) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+  if (!IMAGE_MODES.includes(images)) {
+    throw new Error(`Unknown image mode: ${images}`);
+  }
+
+  const resolvedImages = prepareImages(entries, filePath, images);
+  const builders = { markdown: toMarkdown, html: toHtml, json: toJson };
+  fs.writeFileSync(filePath, builders[format](entries, resolvedImages), 'utf8');
+}
+
+/**
+ * Get the save dialog filter for a format
+ */
+function getFileFilter(format) {
+  return FORMATS[format];
+}
+
+module.exports = {
+  exportEntries,
+  getFileFilter
+};
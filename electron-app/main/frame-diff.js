@@ -0,0 +1,142 @@
+/**
+ * Frame Diff Module
+ * Cheap perceptual comparison of screenshots, used to skip analyzing
+ * frames that have not meaningfully changed
+ */
+
+const { nativeImage } = require('electron');
+
+// Screenshots are compared as small grayscale thumbnails
+const SAMPLE_SIZE = 64;
+
+// Luminance difference (0-255) below which a sample counts as unchanged,
+// so compression noise and cursor blinking are ignored
+const PIXEL_TOLERANCE = 24;
+
+// Hash bits that may flip between otherwise identical frames
+const HASH_NOISE_BITS = 6;
+
+/**
+ * Convert a BGRA bitmap to luminance values
+ * 
+ * @param {Buffer} bitmap - Raw BGRA pixels
+ * @returns {Uint8Array} Luminance per pixel
+ */
+function toLuminance(bitmap) {
+  const luma = new Uint8Array(bitmap.length / 4);
+  for (let i = 0; i < luma.length; i++) {
+    const offset = i * 4;
+    luma[i] = Math.round(0.114 * bitmap[offset] + 0.587 * bitmap[offset + 1] + 0.299 * bitmap[offset + 2]);
+  }
+  return luma;
+}
+
+/**
+ * Compute a 64-bit difference hash (dHash) from the luminance thumbnail
+ * Each bit records whether a 9x8 grid cell is brighter than its right neighbour
+ * 
+ * @param {Uint8Array} luma - SAMPLE_SIZE x SAMPLE_SIZE luminance values
+ * @returns {Array<number>} 64 hash bits
+ */
+function differenceHash(luma) {
+  const columns = 9;
+  const rows = 8;
+  const cellWidth = SAMPLE_SIZE / columns;
+  const cellHeight = SAMPLE_SIZE / rows;
+
+  const cellAverage = (column, row) => {
+    const x0 = Math.floor(column * cellWidth);
+    const x1 = Math.floor((column + 1) * cellWidth);
+    const y0 = Math.floor(row * cellHeight);
+    const y1 = Math.floor((row + 1) * cellHeight);
+    let sum = 0;
+    for (let y = y0; y < y1; y++) {
+      for (let x = x0; x < x1; x++) {
+        sum += luma[y * SAMPLE_SIZE + x];
+      }
+    }
+    return sum / ((x1 - x0) * (y1 - y0));
+  };
+
+  const bits = [];
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns - 1; column++) {
+      bits.push(cellAverage(column, row) > cellAverage(column + 1, row) ? 1 : 0);
+    }
+  }
+  return bits;
+}
+
+/**
+ * Create a fingerprint of a screenshot for later comparison
+ * 
+ * @param {string} base64Image - Base64-encoded image data
+ * @returns {Object} { luma, hash }
+ */
+function createFingerprint(base64Image) {
+  const thumbnail = nativeImage
+    .createFromBuffer(Buffer.from(base64Image, 'base64'))
+    .resize({ width: SAMPLE_SIZE, height: SAMPLE_SIZE, quality: 'good' });
+
+  const luma = toLuminance(thumbnail.toBitmap());
+  return {
+    luma,
+    hash: differenceHash(luma)
+  };
+}
+
+/**
+ * Measure how much two screenshots differ
+ * 
+ * @param {Object} previous - Fingerprint of the earlier frame
+ * @param {Object} current - Fingerprint of the new frame
+ * @returns {Object} { change, pixelChange, hashDistance } with change as a 0-1 ratio
+ */
+function compareFingerprints(previous, current) {
+  let changedPixels = 0;
+  for (let i = 0; i < current.luma.length; i++) {
+    if (Math.abs(current.luma[i] - previous.luma[i]) > PIXEL_TOLERANCE) {
+      changedPixels++;
+    }
+  }
+
+  let hashDistance = 0;
+  for (let i = 0; i < current.hash.length; i++) {
+    if (current.hash[i] !== previous.hash[i]) {
+      hashDistance++;
+    }
+  }
+
+  const pixelChange = changedPixels / current.luma.length;
+
+  // The hash catches layout shifts (scrolling) that move content without
+  // changing much of the thumbnail's brightness. A few flipped bits are
+  // normal in flat areas, so only large distances count.
+  const hashChange = hashDistance > HASH_NOISE_BITS ? hashDistance / current.hash.length : 0;
+
+  return {
+    change: Math.max(pixelChange, hashChange),
+    pixelChange,
+    hashDistance
+  };
+}
+
+/**
+ * Measure how much a multi-image capture differs from an earlier one
+ * 
+ * @param {Array<Object>} previous - Fingerprints of the earlier capture's images
+ * @param {Array<Object>} current - Fingerprints of the new capture's images
+ * @returns {number} Largest change ratio (0-1); 1 if the captures aren't comparable
+ */
+function compareFingerprintSets(previous, current) {
+  if (!previous || !current || previous.length !== current.length) {
+    return 1;
+  }
+  return Math.max(...current.map((fingerprint, index) => compareFingerprints(previous[index], fingerprint).change));
+}
+
+module.exports = {
+  createFingerprint,
+  compareFingerprints,
+  compareFingerprintSets
+};
@@ -0,0 +1,760 @@
+/**
+ * History Module
+ * Persistent capture history under userData: every entry is a JSON file of
+ * its own, listed in an index of short summaries that is kept in memory and
+ * written in batches. Each capture gets a small JPEG thumbnail on disk, plus
+ * full screenshots when enabled. Skipped and failed captures are recorded
+ * separately as capture events for the timeline, also kept in memory and
+ * written in batches.
+ */
+
+const { app, nativeImage } = require('electron');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { log } = require('./logger');
+const { severityRank, highestSeverity } = require('./structured');
+
+const MAX_ENTRIES = 5000;
+const MAX_EVENTS = 2000;
+const THUMBNAIL_WIDTH = 320;
+const THUMBNAIL_QUALITY = 70;
+const SCREENSHOT_QUALITY = 85;
+const PREVIEW_LENGTH = 160;
+
+// Changes to the index and capture events are written together after this delay
+const WRITE_DELAY = 2000;
+
+// Entry ids end up in file names
+const ID_PATTERN = /^[A-Za-z0-9-]{1,64}$/;
+
+// Entry summaries, newest first; see toSummary
+let index = [];
+let indexFile = null;
+
+// Skipped and failed captures, oldest first
+let events = [];
+let eventFile = null;
+
+// Entry id -> lowercase text searched by listEntries, read from the entry files on the first search
+let searchTexts = null;
+
+let entryDir = null;
+let thumbnailDir = null;
+let screenshotDir = null;
+
+/**
+ * Initialize the history store
+ * Must be called after the app is ready
+ */
+function initHistory() {
+  const historyDir = path.join(app.getPath('userData'), 'history');
+  entryDir = path.join(historyDir, 'entries');
+  thumbnailDir = path.join(historyDir, 'thumbnails');
+  screenshotDir = path.join(historyDir, 'screenshots');
+  fs.mkdirSync(entryDir, { recursive: true });
+  fs.mkdirSync(thumbnailDir, { recursive: true });
+  fs.mkdirSync(screenshotDir, { recursive: true });
+
+  const indexPath = path.join(historyDir, 'index.json');
+  index = readList(indexPath, 'entries', 'History index');
+  indexFile = createBatchedFile(indexPath, 'history index', () => ({ entries: index }));
+  reconcileIndex();
+
+  // Skipped captures can come every few seconds, so they are kept apart from entries
+  const eventPath = path.join(historyDir, 'events.json');
+  events = readList(eventPath, 'events', 'Capture events');
+  eventFile = createBatchedFile(eventPath, 'capture events', () => ({ events }));
+
+  log('info', `History loaded: ${index.length} entries`);
+}
+
+/**
+ * Read a list saved by a batched file
+ * 
+ * @param {string} filePath - JSON file
+ * @param {string} field - Property holding the list
+ * @param {string} label - What the file holds, for log messages
+ * @returns {Array} The list, empty if there is no readable file
+ */
+function readList(filePath, field, label) {
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return Array.isArray(data[field]) ? data[field] : [];
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      log('warn', `${label} unreadable, starting over: ${error.message}`);
+    }
+    return [];
+  }
+}
+
+/**
+ * Keep a JSON file in step with data held in memory
+ * Changes are written together in the background after WRITE_DELAY, through
+ * a temporary file so a crash never leaves half a file
+ * 
+ * @param {string} filePath - File to write
+ * @param {string} label - What the file holds, for log messages
+ * @param {Function} getData - Returns the data to write
+ * @returns {Object} { schedule, flush } where schedule writes soon, together with any
+ *   other changes made until then, and flush writes pending changes right away and
+ *   stops later writes
+ */
+function createBatchedFile(filePath, label, getData) {
+  let timer = null;
+  let isWriting = false;
+  let isFlushed = false;
+
+  const schedule = () => {
+    if (timer || isFlushed) return;
+    timer = setTimeout(write, WRITE_DELAY);
+  };
+
+  const write = () => {
+    timer = null;
+    if (isWriting) {
+      schedule();
+      return;
+    }
+
+    isWriting = true;
+    const tempPath = `${filePath}.tmp`;
+    fs.promises.writeFile(tempPath, JSON.stringify(getData()), 'utf8')
+      // A flush on quit has written newer data in the meantime
+      .then(() => (isFlushed ? fs.promises.rm(tempPath, { force: true }) : fs.promises.rename(tempPath, filePath)))
+      .catch(error => log('warn', `Could not save the ${label}: ${error.message}`))
+      .finally(() => {
+        isWriting = false;
+      });
+  };
+
+  const flush = () => {
+    if (isFlushed) return;
+    if (timer || isWriting) {
+      clearTimeout(timer);
+      timer = null;
+      try {
+        const tempPath = `${filePath}.flush.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(getData()), 'utf8');
+        fs.renameSync(tempPath, filePath);
+      } catch (error) {
+        log('warn', `Could not save the ${label}: ${error.message}`);
+      }
+    }
+    isFlushed = true;
+  };
+
+  return { schedule, flush };
+}
+
+/**
+ * Write pending index and capture event changes right away
+ * Called before the app exits; entries added later are picked up from their
+ * files on the next start
+ */
+function flushHistory() {
+  if (!indexFile) return;
+  indexFile.flush();
+  eventFile.flush();
+}
+
+/**
+ * Get the file of an entry
+ */
+function entryPath(id) {
+  return path.join(entryDir, `${id}.json`);
+}
+
+/**
+ * Read a full entry from its file
+ * 
+ * @param {string} id - Entry id
+ * @returns {Object|null} Entry, or null if it is missing or unreadable
+ */
+function readEntry(id) {
+  if (typeof id !== 'string' || !ID_PATTERN.test(id)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(entryPath(id), 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Save a full entry to its file, replacing the previous version
+ * 
+ * @param {Object} entry - Entry with an id
+ */
+function writeEntry(entry) {
+  const tempPath = `${entryPath(entry.id)}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(entry), 'utf8');
+  fs.renameSync(tempPath, entryPath(entry.id));
+}
+
+/**
+ * Bring the index in line with the entry files: entries saved after the last
+ * index write (e.g. before a crash) are added and entries without a file dropped
+ */
+function reconcileIndex() {
+  const ids = new Set(fs.readdirSync(entryDir)
+    .filter(fileName => fileName.endsWith('.json'))
+    .map(fileName => fileName.slice(0, -'.json'.length)));
+
+  const indexed = new Set(index.map(item => item.id));
+  const kept = index.filter(item => ids.has(item.id));
+  const found = Array.from(ids)
+    .filter(id => !indexed.has(id))
+    .map(readEntry)
+    .filter(Boolean)
+    .map(toSummary);
+  if (kept.length === index.length && found.length === 0) return;
+
+  index = kept.concat(found).sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  if (index.length > MAX_ENTRIES) {
+    removeFiles(index.splice(MAX_ENTRIES));
+  }
+  log('info', `History index updated: ${found.length} entries added, ${indexed.size - kept.length} missing`);
+  indexFile.schedule();
+}
+
+/**
+ * Save a JPEG thumbnail of a screenshot
+ * 
+ * @param {string} id - Entry id, used as file name
+ * @param {string} base64Image - Base64 image data
+ * @returns {string|null} Thumbnail file name, or null on failure
+ */
+function saveThumbnail(id, base64Image) {
+  try {
+    const image = nativeImage.createFromBuffer(Buffer.from(base64Image, 'base64'));
+    const thumbnail = image.getSize().width > THUMBNAIL_WIDTH
+      ? image.resize({ width: THUMBNAIL_WIDTH, quality: 'good' })
+      : image;
+
+    const fileName = `${id}.jpg`;
+    fs.writeFileSync(path.join(thumbnailDir, fileName), thumbnail.toJPEG(THUMBNAIL_QUALITY));
+    return fileName;
+  } catch (error) {
+    log('warn', `Could not save thumbnail: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Save full-size JPEG copies of a capture's screenshots
+ * 
+ * @param {string} id - Entry id, used in the file names
+ * @param {Array<string>} screenshots - Base64 images
+ * @returns {Array<string>} File names of the saved screenshots
+ */
+function saveScreenshots(id, screenshots) {
+  const fileNames = [];
+  screenshots.forEach((base64Image, position) => {
+    try {
+      const image = nativeImage.createFromBuffer(Buffer.from(base64Image, 'base64'));
+      const fileName = `${id}-${position + 1}.jpg`;
+      fs.writeFileSync(path.join(screenshotDir, fileName), image.toJPEG(SCREENSHOT_QUALITY));
+      fileNames.push(fileName);
+    } catch (error) {
+      log('warn', `Could not save screenshot: ${error.message}`);
+    }
+  });
+  return fileNames;
+}
+
+/**
+ * Read a thumbnail as a data URL for the renderer
+ * 
+ * @param {string|null} fileName - Thumbnail file name
+ * @returns {string|null} Data URL, or null if missing
+ */
+function readThumbnail(fileName) {
+  if (!fileName) return null;
+  try {
+    const data = fs.readFileSync(path.join(thumbnailDir, fileName));
+    return `data:image/jpeg;base64,${data.toString('base64')}`;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Delete the files belonging to entries and forget their search text
+ * 
+ * @param {Array} entries - Entries or their summaries
+ */
+function removeFiles(entries) {
+  for (const entry of entries) {
+    fs.rm(entryPath(entry.id), { force: true }, () => {});
+    if (searchTexts) {
+      searchTexts.delete(entry.id);
+    }
+    if (entry.thumbnail) {
+      fs.rm(path.join(thumbnailDir, entry.thumbnail), { force: true }, () => {});
+    }
+    for (const fileName of entry.screenshots || []) {
+      fs.rm(path.join(screenshotDir, fileName), { force: true }, () => {});
+    }
+  }
+}
+
+/**
+ * Add a capture to history
+ * 
+ * @param {Object} entry - { id?, timestamp, presetId, presetName, systemPrompt, prompt, question,
+ *   provider, model, display, analysis, structured, type, digest } where question is the user's
+ *   own question, if one replaced the preset's prompt, structured is the structured analysis, if
+ *   one was requested and valid, and digests have type 'digest' and digest: { from, to, label, count }
+ *   describing the summarized window
+ * @param {Array<string>} screenshots - Base64 images of the capture; the first becomes the thumbnail
+ * @param {Object} options - Optional { keepScreenshots } to also save the screenshots at full size
+ * @returns {Object} The stored entry
+ */
+function addEntry(entry, screenshots = [], options = {}) {
+  const id = entry.id || crypto.randomUUID();
+  const stored = {
+    thread: [],
+    ...entry,
+    id,
+    thumbnail: screenshots.length > 0 ? saveThumbnail(id, screenshots[0]) : null,
+    screenshots: options.keepScreenshots ? saveScreenshots(id, screenshots) : []
+  };
+
+  writeEntry(stored);
+  if (searchTexts) {
+    searchTexts.set(id, searchTextOf(stored));
+  }
+
+  // Queued captures are analyzed late, so insert by capture time to stay newest first
+  const position = index.findIndex(item => item.timestamp < stored.timestamp);
+  index.splice(position === -1 ? index.length : position, 0, toSummary(stored));
+
+  // Drop the oldest entries beyond the limit
+  if (index.length > MAX_ENTRIES) {
+    removeFiles(index.splice(MAX_ENTRIES));
+  }
+
+  indexFile.schedule();
+  return stored;
+}
+
+/**
+ * Copy the fields older versions kept in localStorage from an imported entry
+ * Everything else, file names in particular, is dropped because the data
+ * comes from the renderer
+ * 
+ * @param {Object} entry - Legacy entry
+ * @returns {Object|null} History entry, or null if it has no analysis
+ */
+function fromLegacyEntry(entry) {
+  if (!entry || typeof entry.analysis !== 'string' || !entry.analysis) return null;
+  if (Number.isNaN(new Date(entry.timestamp).getTime())) return null;
+
+  const text = (value) => (typeof value === 'string' ? value : null);
+  return {
+    id: typeof entry.id === 'string' && ID_PATTERN.test(entry.id) ? entry.id : crypto.randomUUID(),
+    timestamp: new Date(entry.timestamp).toISOString(),
+    presetName: text(entry.presetName),
+    systemPrompt: text(entry.systemPrompt),
+    prompt: text(entry.prompt),
+    display: text(entry.display),
+    analysis: entry.analysis,
+    thread: (Array.isArray(entry.thread) ? entry.thread : [])
+      .filter(turn => turn && (turn.role === 'user' || turn.role === 'assistant') && typeof turn.text === 'string')
+      .map(turn => ({ role: turn.role, text: turn.text })),
+    thumbnail: null,
+    screenshots: []
+  };
+}
+
+/**
+ * Import entries saved by older versions in renderer localStorage
+ * 
+ * @param {Array} legacyEntries - [{ analysis, timestamp, ... }]
+ * @returns {number} Number of imported entries
+ */
+function importEntries(legacyEntries) {
+  const known = new Set(index.map(item => item.id));
+
+  const imported = (Array.isArray(legacyEntries) ? legacyEntries : [])
+    .map(fromLegacyEntry)
+    .filter(entry => entry && !known.has(entry.id));
+
+  for (const entry of imported) {
+    writeEntry(entry);
+    if (searchTexts) {
+      searchTexts.set(entry.id, searchTextOf(entry));
+    }
+  }
+
+  index = index.concat(imported.map(toSummary))
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+  // Drop the oldest entries beyond the limit
+  if (index.length > MAX_ENTRIES) {
+    removeFiles(index.splice(MAX_ENTRIES));
+  }
+  indexFile.schedule();
+
+  log('info', `Imported ${imported.length} history entries`);
+  return imported.length;
+}
+
+/**
+ * Get the text of an entry that searches look through, lowercased
+ */
+function searchTextOf(entry) {
+  return [
+    entry.analysis,
+    entry.prompt,
+    entry.presetName,
+    entry.display,
+    entry.digest?.label,
+    entry.model,
+    ...(entry.thread || []).map(turn => turn.text)
+  ].filter(Boolean).join('\n').toLowerCase();
+}
+
+/**
+ * Get the search text of every entry, reading the entry files on first use
+ * 
+ * @returns {Map} Entry id -> search text
+ */
+function getSearchTexts() {
+  if (!searchTexts) {
+    searchTexts = new Map();
+    for (const item of index) {
+      const entry = readEntry(item.id);
+      if (entry) {
+        searchTexts.set(item.id, searchTextOf(entry));
+      }
+    }
+  }
+  return searchTexts;
+}
+
+/**
+ * Check whether an entry passes the structured filters
+ * Entries without a structured analysis never match an active filter
+ * 
+ * @param {Object} item - Entry summary
+ */
+function matchesFilters(item, { severity, application }) {
+  if (severity && severityRank(item.severity) < severityRank(severity)) {
+    return false;
+  }
+  if (application && (item.application || '').toLowerCase() !== application.toLowerCase()) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Get the start of an entry's analysis for previews
+ */
+function previewOf(entry) {
+  return (entry.structured ? entry.structured.activity : entry.analysis).substring(0, PREVIEW_LENGTH);
+}
+
+/**
+ * Summarize an entry for the index
+ * Holds what list views, filters and the timeline need, plus the file names
+ */
+function toSummary(entry) {
+  return {
+    id: entry.id,
+    type: entry.type || 'capture',
+    timestamp: entry.timestamp,
+    presetName: entry.presetName,
+    display: entry.display,
+    model: entry.model,
+    question: entry.question || null,
+    preview: previewOf(entry),
+    application: entry.structured?.application || null,
+    range: entry.digest?.label || null,
+    severity: highestSeverity(entry.structured),
+    threadLength: (entry.thread || []).length,
+    thumbnail: entry.thumbnail || null,
+    screenshots: entry.screenshots || []
+  };
+}
+
+/**
+ * Turn an entry summary into a list item with its thumbnail
+ */
+function toListItem(item) {
+  const { thumbnail, screenshots, ...listItem } = item;
+  return { ...listItem, thumbnail: readThumbnail(thumbnail) };
+}
+
+/**
+ * Find the summary of an entry
+ */
+function findSummary(id) {
+  return index.find(item => item.id === id) || null;
+}
+
+/**
+ * List history entries, newest first
+ * 
+ * @param {Object} options - { page, pageSize, query, severity, application } with a zero-based
+ *   page, a full-text query whose whitespace-separated terms must all match, the lowest problem
+ *   severity to include and the application of structured analyses
+ * @returns {Object} { items, total, page, pageSize }
+ */
+function listEntries({ page = 0, pageSize = 20, query = '', severity = null, application = null } = {}) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const texts = terms.length > 0 ? getSearchTexts() : null;
+  const matchesQuery = (item) => !texts || terms.every(term => (texts.get(item.id) || '').includes(term));
+  const matches = terms.length > 0 || severity || application
+    ? index.filter(item => matchesQuery(item) && matchesFilters(item, { severity, application }))
+    : index;
+
+  return {
+    items: matches.slice(page * pageSize, (page + 1) * pageSize).map(toListItem),
+    total: matches.length,
+    page,
+    pageSize
+  };
+}
+
+/**
+ * List the applications named by structured analyses, most frequent first
+ * 
+ * @returns {Array} [{ name, count }]
+ */
+function listApplications() {
+  const counts = new Map();
+  for (const item of index) {
+    const name = item.application;
+    if (name) {
+      counts.set(name, (counts.get(name) || 0) + 1);
+    }
+  }
+  return Array.from(counts, ([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+/**
+ * Get a full entry including its thumbnail
+ * 
+ * @param {string} id - Entry id
+ * @returns {Object|null} Entry with thumbnailUrl, or null if not found
+ */
+function getEntry(id) {
+  const entry = findSummary(id) && readEntry(id);
+  if (!entry) return null;
+  return { ...entry, thumbnailUrl: readThumbnail(entry.thumbnail) };
+}
+
+/**
+ * Get the entries captured within a time range
+ * 
+ * @param {string|null} from - ISO start (inclusive), or null for no lower bound
+ * @param {string|null} to - ISO end (exclusive), or null for no upper bound
+ * @returns {Array} Entries, oldest first
+ */
+function getEntriesInRange(from, to) {
+  const start = from ? new Date(from).getTime() : -Infinity;
+  const end = to ? new Date(to).getTime() : Infinity;
+
+  return index
+    .filter(item => {
+      const time = new Date(item.timestamp).getTime();
+      return time >= start && time < end;
+    })
+    .reverse()
+    .map(item => readEntry(item.id))
+    .filter(Boolean);
+}
+
+/**
+ * Read the stored image of an entry: its first full screenshot if one was
+ * saved, otherwise its thumbnail
+ * 
+ * @param {Object} entry - History entry
+ * @returns {Object|null} { data: Buffer, mediaType, extension }, or null if there is none
+ */
+function readEntryImage(entry) {
+  const file = entry.screenshots && entry.screenshots.length > 0
+    ? path.join(screenshotDir, entry.screenshots[0])
+    : entry.thumbnail && path.join(thumbnailDir, entry.thumbnail);
+  if (!file) return null;
+  try {
+    return {
+      data: fs.readFileSync(file),
+      mediaType: 'image/jpeg',
+      extension: 'jpg'
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Read the full screenshots saved with an entry
+ * 
+ * @param {string} id - Entry id
+ * @returns {Array<string>} Data URLs, empty if none were saved
+ */
+function readScreenshots(id) {
+  const item = findSummary(id);
+  if (!item) return [];
+
+  return item.screenshots.map(fileName => {
+    try {
+      return `data:image/jpeg;base64,${fs.readFileSync(path.join(screenshotDir, fileName)).toString('base64')}`;
+    } catch (error) {
+      return null;
+    }
+  }).filter(Boolean);
+}
+
+/**
+ * Read the thumbnails of several entries
+ * 
+ * @param {Array<string>} ids - Entry ids
+ * @returns {Object} Entry id -> data URL, for entries that have a thumbnail
+ */
+function readThumbnails(ids) {
+  const wanted = new Set(ids);
+  const thumbnails = {};
+  for (const item of index) {
+    if (wanted.has(item.id)) {
+      const thumbnail = readThumbnail(item.thumbnail);
+      if (thumbnail) thumbnails[item.id] = thumbnail;
+    }
+  }
+  return thumbnails;
+}
+
+/**
+ * Record a capture that produced no analysis
+ * Captures queued while offline aren't recorded; they become entries once analyzed
+ * 
+ * @param {Object} event - { timestamp, status: 'skipped'|'error', change, error, display }
+ */
+function addCaptureEvent(event) {
+  events.push({ id: crypto.randomUUID(), ...event });
+  if (events.length > MAX_EVENTS) {
+    events.splice(0, events.length - MAX_EVENTS);
+  }
+  eventFile.schedule();
+}
+
+/**
+ * List analyses and capture events within a time range for the timeline
+ * Digests aren't captures and are left out
+ * 
+ * @param {string} from - ISO start (inclusive)
+ * @param {string} to - ISO end (exclusive)
+ * @returns {Array} Oldest first: analyses as { id, status: 'analyzed', timestamp, presetName,
+ *   display, preview, severity, hasThumbnail } and capture events as
+ *   { id, status: 'skipped'|'error', timestamp, display, change, error }
+ */
+function getTimeline(from, to) {
+  const start = new Date(from).getTime();
+  const end = new Date(to).getTime();
+  const inRange = (item) => {
+    const time = new Date(item.timestamp).getTime();
+    return time >= start && time < end;
+  };
+
+  const analyzed = index
+    .filter(item => item.type !== 'digest' && inRange(item))
+    .map(item => ({
+      id: item.id,
+      status: 'analyzed',
+      timestamp: item.timestamp,
+      presetName: item.presetName,
+      display: item.display,
+      preview: item.preview,
+      severity: item.severity,
+      hasThumbnail: Boolean(item.thumbnail)
+    }));
+  const inWindow = events.filter(inRange);
+
+  return analyzed.concat(inWindow)
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
+
+/**
+ * Get the most recent entries
+ * 
+ * @param {number} count - Number of entries
+ * @returns {Array} Entries, newest first
+ */
+function getRecentEntries(count) {
+  return index.slice(0, count)
+    .map(item => readEntry(item.id))
+    .filter(Boolean);
+}
+
+/**
+ * Append turns to an entry's follow-up thread
+ * 
+ * @param {string} id - Entry id
+ * @param {Array} turns - [{ role, text }]
+ * @returns {Object|null} Updated entry, or null if not found
+ */
+function appendToThread(id, turns) {
+  const item = findSummary(id);
+  const entry = item && readEntry(id);
+  if (!entry) return null;
+
+  entry.thread = (entry.thread || []).concat(turns);
+  writeEntry(entry);
+  if (searchTexts) {
+    searchTexts.set(id, searchTextOf(entry));
+  }
+
+  item.threadLength = entry.thread.length;
+  indexFile.schedule();
+  return entry;
+}
+
+/**
+ * Delete an entry
+ * 
+ * @param {string} id - Entry id
+ */
+function deleteEntry(id) {
+  const position = index.findIndex(item => item.id === id);
+  if (position === -1) return;
+
+  removeFiles(index.splice(position, 1));
+  indexFile.schedule();
+}
+
+/**
+ * Delete all entries
+ */
+function clearHistory() {
+  removeFiles(index);
+  index = [];
+  indexFile.schedule();
+  events = [];
+  eventFile.schedule();
+  log('info', 'History cleared');
+}
+
+module.exports = {
+  initHistory,
+  addEntry,
+  importEntries,
+  listEntries,
+  listApplications,
+  getEntry,
+  getEntriesInRange,
+  readEntryImage,
+  readScreenshots,
+  readThumbnails,
+  addCaptureEvent,
+  getTimeline,
+  getRecentEntries,
+  appendToThread,
+  deleteEntry,
+  clearHistory,
+  flushHistory
+};
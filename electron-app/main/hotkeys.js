@@ -0,0 +1,115 @@
+/**
+ * Hotkeys Module
+ * System-wide shortcuts registered with globalShortcut, so captures can be
+ * triggered while another application is focused
+ */
+
+const { globalShortcut } = require('electron');
+const { log } = require('./logger');
+
+// Actions that can be bound, with their default accelerators
+const HOTKEY_ACTIONS = [
+  { id: 'captureNow', label: 'Capture now', defaultAccelerator: 'CommandOrControl+Shift+C' },
+  { id: 'captureRegion', label: 'Capture region', defaultAccelerator: 'CommandOrControl+Alt+R' },
+  { id: 'toggleAutoCapture', label: 'Toggle auto-capture', defaultAccelerator: 'CommandOrControl+Alt+A' },
+  { id: 'toggleWindow', label: 'Show/hide window', defaultAccelerator: 'CommandOrControl+Alt+S' }
+];
+
+const DEFAULT_HOTKEYS = Object.fromEntries(
+  HOTKEY_ACTIONS.map(action => [action.id, action.defaultAccelerator])
+);
+
+// Registration result of each action from the last registerHotkeys call
+let hotkeyStatus = {};
+
+/**
+ * Normalize an accelerator for comparison, e.g. "shift+ctrl+c" === "Ctrl+Shift+C"
+ */
+function normalizeAccelerator(accelerator) {
+  return accelerator
+    .split('+')
+    .map(part => part.trim().toLowerCase())
+    .map(part => (part === 'cmdorctrl' ? 'commandorcontrol' : part))
+    .sort()
+    .join('+');
+}
+
+/**
+ * Register the global shortcuts, replacing any registered before
+ * A binding fails when its accelerator is invalid, is bound to another action,
+ * or is already taken by another application
+ *
+ * @param {Object} bindings - Action id -> accelerator ('' leaves the action unbound)
+ * @param {Object} handlers - Action id -> function run when the shortcut is pressed
+ * @returns {Object} Action id -> { accelerator, registered, error }
+ */
+function registerHotkeys(bindings, handlers) {
+  globalShortcut.unregisterAll();
+  hotkeyStatus = {};
+
+  const claimed = new Map();
+
+  for (const action of HOTKEY_ACTIONS) {
+    const binding = bindings[action.id] !== undefined ? bindings[action.id] : action.defaultAccelerator;
+    const accelerator = binding.trim();
+    const status = { accelerator, registered: false, error: null };
+    hotkeyStatus[action.id] = status;
+
+    if (!accelerator) continue;
+
+    const key = normalizeAccelerator(accelerator);
+    if (claimed.has(key)) {
+      status.error = `Already used for "${claimed.get(key)}"`;
+      continue;
+    }
+    claimed.set(key, action.label);
+
+    try {
+      status.registered = globalShortcut.register(accelerator, () => {
+        log('info', `Hotkey pressed: ${action.id}`);
+        handlers[action.id]();
+      });
+      if (!status.registered) {
+        status.error = 'In use by another application';
+      }
+    } catch (error) {
+      status.error = 'Not a valid shortcut';
+    }
+
+    if (status.error) {
+      log('warn', `Could not register hotkey ${accelerator} for ${action.id}: ${status.error}`);
+    }
+  }
+
+  return hotkeyStatus;
+}
+
+/**
+ * List the bindable actions with their current registration status
+ *
+ * @returns {Array} [{ id, label, defaultAccelerator, accelerator, registered, error }]
+ */
+function listHotkeys() {
+  return HOTKEY_ACTIONS.map(action => ({
+    ...action,
+    accelerator: '',
+    registered: false,
+    error: null,
+    ...hotkeyStatus[action.id]
+  }));
+}
+
+/**
+ * Unregister all global shortcuts
+ */
+function unregisterHotkeys() {
+  globalShortcut.unregisterAll();
+  hotkeyStatus = {};
+}
+
+module.exports = {
+  DEFAULT_HOTKEYS,
+  registerHotkeys,
+  listHotkeys,
+  unregisterHotkeys
+};
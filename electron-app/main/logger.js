@@ -12,8 +12,11 @@ let logger = null;
 /**
  * Initialize the logging system
  * Creates log files in the user data directory
+ * 
+ * @param {Object} options - Optional { quiet }; quiet keeps the console to warnings
+ *   and errors on standard error, leaving standard output to command line results
  */
-function initLogger() {
+function initLogger(options = {}) {
   // Get user data path for log storage
   const logDir = path.join(app.getPath('userData'), 'logs');
   
@@ -32,6 +35,7 @@ function initLogger() {
     transports: [
       // Console output (for development)
       new winston.transports.Console({
+        ...(options.quiet && { level: 'warn', stderrLevels: ['error', 'warn'] }),
         format: winston.format.combine(
           winston.format.colorize(),
           winston.format.printf(({ level, message, timestamp }) => {
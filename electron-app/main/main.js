@@ -3,14 +3,33 @@
  * Handles application lifecycle, window management, and IPC communication
  */
 
-const { app, BrowserWindow, ipcMain, systemPreferences, dialog } = require('electron');
+const { app, BrowserWindow, ipcMain, systemPreferences, dialog, nativeImage, clipboard, shell, net } = require('electron');
 const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
 const Store = require('electron-store');
 
 // Import custom modules
-const { createTray, updateTrayMenu } = require('./tray');
-const { captureScreen } = require('./screenshot');
-const { analyzeImage, setApiKey } = require('./api');
+const { createTray, updateTray } = require('./tray');
+const { captureScreen, listDisplayOptions } = require('./screenshot');
+const { analyzeImage, askFollowUp, summarizeAnalyses, setProviderConfig, testConnection, estimateImageTokens } = require('./api');
+const { getProvider, listProviders } = require('./providers');
+const { listPresets, getPreset, savePreset, deletePreset, usesVariables, renderTemplate } = require('./presets');
+const { getActiveWindowInfo } = require('./window-info');
+const { selectRegion } = require('./region');
+const { redactImage, masksForDisplay } = require('./redaction');
+const { preprocessImages } = require('./preprocess');
+const history = require('./history');
+const { exportEntries, getFileFilter } = require('./export');
+const { createFingerprint, compareFingerprintSets } = require('./frame-diff');
+const { DEFAULT_HOTKEYS, registerHotkeys, listHotkeys, unregisterHotkeys } = require('./hotkeys');
+const { initUsage, recordUsage, getUsageSummary, checkBudgets } = require('./usage');
+const queue = require('./queue');
+const { DIGEST_SYSTEM_PROMPT, DEFAULT_DIGEST_SCHEDULE, resolveDigestRange, buildDigestPrompt, initDigestScheduler, rescheduleDigest, stopDigestScheduler } = require('./digest');
+const { DEFAULT_SCHEDULE, initPauseMonitor, stopPauseMonitor, checkPause, snooze, getPauseState } = require('./schedule');
+const { startAutomationServer, stopAutomationServer, broadcastEvent, getAutomationStatus, generateToken } = require('./automation');
+const { EXIT_CODES, HELP_TEXT, parseArgs, exitCodeFor, formatResult, writeOutput } = require('./cli');
+const { getKeyStorageStatus, getApiKey, setApiKey, clearApiKey, listKeyStatus, migrateApiKeys } = require('./secrets');
 const { initLogger, log } = require('./logger');
 
 // Initialize persistent storage
@@ -18,17 +37,129 @@ const store = new Store({
   defaults: {
     captureInterval: 10000,        // 10 seconds default
     autoCapture: false,            // Auto-capture disabled by default
-    openaiApiKey: '',              // User's OpenAI API key
+    provider: 'openai',            // Active vision provider id
+    providerSettings: {},          // Per-provider { baseUrl, model }
+    apiKeys: {},                   // Per-provider key, encrypted with safeStorage (see secrets.js)
+    customPresets: [],             // User-defined prompt presets
+    selectedPreset: 'general',     // Preset used by "Help Me Now"
+    autoCapturePreset: 'general',  // Preset used by auto-capture
     minimizeToTray: true,          // Minimize to tray instead of closing
-    showNotifications: true        // Show system notifications
+    showNotifications: true,       // Show system notifications
+    displayMode: 'primary',        // primary, display, cursor, stitched or separate
+    displayId: null,               // Display captured in "display" mode
+    watchRegion: null,             // Region auto-capture is limited to, if set
+    redactionMasks: [],            // Rectangles blacked out or blurred before upload
+    skipUnchanged: true,           // Skip auto-captures when the screen hasn't changed
+    changeThreshold: 2,            // Minimum screen change (%) worth analyzing
+    hotkeys: DEFAULT_HOTKEYS,      // Global shortcut accelerator per action
+    dailyBudget: 0,                // Estimated USD per day before auto-capture stops (0 = none)
+    monthlyBudget: 0,              // Estimated USD per month before auto-capture stops (0 = none)
+    imageMaxWidth: 2048,           // Screenshots are scaled down to fit these before upload (0 = no limit)
+    imageMaxHeight: 2048,
+    imageFormat: 'jpeg',           // png, jpeg or webp
+    imageQuality: 85,              // JPEG/WebP quality (1-100)
+    imageGrayscale: false,         // Upload screenshots in grayscale
+    imageDetail: 'auto',           // auto, low or high detail (OpenAI)
+    automationEnabled: false,      // Local HTTP/WebSocket automation API
+    automationPort: 17321,         // Port on 127.0.0.1
+    automationToken: '',           // Bearer token, generated on first launch
+    schedule: DEFAULT_SCHEDULE,    // Active hours per weekday for auto-capture
+    pauseWhenIdle: true,           // Pause auto-capture while nobody uses the computer
+    idleMinutes: 5,                // Idle time before auto-capture pauses
+    adaptiveInterval: false,       // Adjust the auto-capture interval to screen activity
+    captureIntervalMin: 5000,      // Adaptive interval bounds
+    captureIntervalMax: 120000,
+    structuredOutput: false,       // Ask for JSON analyses (activity, problems, next steps) shown as cards
+    digestSchedule: DEFAULT_DIGEST_SCHEDULE,  // Hourly or daily digest of recent analyses
+    keepScreenshots: false,        // Save full screenshots in history, not just thumbnails
+    recentQuestions: [],           // Questions asked from the question box, newest first
   }
 });
 
+// Flags of a one-shot command line run, null for a normal launch
+const cliOptions = parseArgs(process.argv);
+
+// How long a forwarded command line run waits for the running instance
+const CLI_RESPONSE_TIMEOUT = 5 * 60 * 1000;
+const CLI_POLL_INTERVAL = 250;
+const CLI_RESPONSE_PREFIX = 'ai-screen-assistant-cli-';
+
 // Global references
 let mainWindow = null;
 let tray = null;
-let captureIntervalId = null;
+let captureTimerId = null;
 let isCapturing = false;
+let isGeneratingDigest = false;
+
+// Number of analyses listed under "Recent Results" in the tray
+const TRAY_RECENT_COUNT = 5;
+
+// Number of questions remembered by the question box
+const MAX_RECENT_QUESTIONS = 10;
+
+// Uploaded images of recent captures, kept in memory for follow-up questions
+const MAX_RECENT_SCREENSHOTS = 10;
+const recentScreenshots = new Map();
+
+// Fingerprints of the last successfully analyzed capture's images
+let lastAnalyzedFingerprints = null;
+
+// Interval until the next auto-capture; changes with screen activity in adaptive mode
+let effectiveInterval = null;
+
+// Adaptive mode lengthens the interval by this factor after a frame that
+// barely changed, and shortens it after one that changed this many times the
+// skip threshold
+const ADAPTIVE_SLOWDOWN = 1.5;
+const ADAPTIVE_SPEEDUP = 0.5;
+const ADAPTIVE_ACTIVE_FACTOR = 5;
+
+// How often queued captures are retried while the provider is unreachable
+const QUEUE_RETRY_INTERVAL = 30000;
+let queueRetryId = null;
+let isProcessingQueue = false;
+
+/**
+ * Move settings from older versions into their current shape
+ */
+function migrateSettings() {
+  // Versions before provider selection stored a single OpenAI key
+  const legacyKey = store.get('openaiApiKey');
+  if (legacyKey) {
+    const providerSettings = store.get('providerSettings');
+    providerSettings.openai = { ...providerSettings.openai, apiKey: legacyKey };
+    store.set('providerSettings', providerSettings);
+    store.delete('openaiApiKey');
+    log('info', 'Migrated OpenAI API key to provider settings');
+  }
+}
+
+/**
+ * Get the stored configuration of the active provider
+ * 
+ * @returns {Object} { provider, baseUrl, model, apiKey }
+ */
+function getProviderConfig() {
+  const provider = store.get('provider');
+  const settings = store.get('providerSettings')[provider] || {};
+  return { provider, ...settings, apiKey: getApiKey(store, provider) };
+}
+
+/**
+ * Copy per-provider settings without any API keys
+ * Keys are only stored and changed through the secrets module
+ * 
+ * @param {Object} providerSettings - Provider id -> settings
+ * @returns {Object} Provider id -> { baseUrl, model }
+ */
+function withoutApiKeys(providerSettings) {
+  const result = {};
+  for (const [providerId, settings] of Object.entries(providerSettings || {})) {
+    const { apiKey, ...rest } = settings || {};
+    result[providerId] = rest;
+  }
+  return result;
+}
 
 /**
  * Request screen capture permission on macOS
@@ -91,6 +222,20 @@ function createWindow() {
     mainWindow.show();
   });
 
+  // Links in rendered analyses open in the default browser, never in the app
+  mainWindow.webContents.setWindowOpenHandler(({ url }) => {
+    if (/^(https?:|mailto:)/i.test(url)) {
+      shell.openExternal(url);
+    }
+    return { action: 'deny' };
+  });
+
+  mainWindow.webContents.on('will-navigate', (event, url) => {
+    if (url !== mainWindow.webContents.getURL()) {
+      event.preventDefault();
+    }
+  });
+
   // Handle window close - minimize to tray if enabled
   mainWindow.on('close', (event) => {
     if (store.get('minimizeToTray') && !app.isQuitting) {
@@ -106,162 +251,1209 @@ function createWindow() {
   });
 }
 
+/**
+ * Load the active provider configuration into the API module
+ * Throws if the provider needs a key that is not configured
+ * 
+ * @returns {Object} { provider, model } ids used for the request, and free
+ *   when the request goes to a server on this machine
+ */
+function applyProviderConfig() {
+  const providerConfig = getProviderConfig();
+  const provider = getProvider(providerConfig.provider);
+  if (provider.requiresApiKey && !providerConfig.apiKey) {
+    throw new Error(`${provider.label} API key not configured. Please add your API key in Settings.`);
+  }
+  setProviderConfig(providerConfig);
+
+  // Requests to a server on this machine cost nothing
+  const baseUrl = (providerConfig.baseUrl || provider.defaultBaseUrl).trim();
+  return {
+    provider: provider.id,
+    model: providerConfig.model || provider.defaultModel,
+    free: !provider.requiresApiKey && /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:|\/|$)/i.test(baseUrl)
+  };
+}
+
+/**
+ * Resolve a preset and render its prompt templates
+ * Template variables: {{time}}, {{date}}, {{datetime}}, {{platform}}, {{windowTitle}}, {{appName}}
+ * 
+ * @param {string} presetId - Preset identifier
+ * @returns {Promise<Object>} { preset, systemPrompt, userPrompt }
+ */
+async function resolvePrompts(presetId) {
+  const preset = getPreset(store, presetId);
+  const now = new Date();
+
+  const variables = {
+    time: now.toLocaleTimeString(),
+    date: now.toLocaleDateString(),
+    datetime: now.toLocaleString(),
+    platform: process.platform
+  };
+
+  // Looking up the foreground window spawns a process, so only do it when needed
+  if (usesVariables(preset.systemPrompt + preset.userPrompt, ['windowTitle', 'appName'])) {
+    Object.assign(variables, await getActiveWindowInfo());
+  }
+
+  return {
+    preset,
+    systemPrompt: renderTemplate(preset.systemPrompt, variables),
+    userPrompt: renderTemplate(preset.userPrompt, variables)
+  };
+}
+
+/**
+ * Let the user drag a region and capture it
+ * The main window is hidden while selecting so it doesn't cover the screen
+ * 
+ * @returns {Promise<boolean>} True if a region was captured
+ */
+async function performRegionCapture() {
+  if (isCapturing) return false;
+
+  const wasVisible = Boolean(mainWindow && mainWindow.isVisible());
+  const restoreWindow = () => {
+    if (wasVisible && mainWindow) {
+      mainWindow.show();
+    }
+  };
+
+  if (wasVisible) {
+    mainWindow.hide();
+  }
+
+  const selection = await selectRegion();
+  if (!selection) {
+    restoreWindow();
+    return false;
+  }
+
+  if (selection.watch) {
+    store.set('watchRegion', selection.region);
+    log('info', 'Saved watch region for auto-capture');
+    if (mainWindow) {
+      mainWindow.webContents.send('watch-region-changed', selection.region);
+    }
+  }
+
+  // Give the compositor a moment to remove the overlay before capturing
+  await new Promise(resolve => setTimeout(resolve, 200));
+
+  await performCapture({
+    manual: true,
+    region: selection.region,
+    onCaptured: restoreWindow
+  });
+  restoreWindow();
+  return true;
+}
+
+/**
+ * Build the per-display redaction step of the capture pipeline
+ * 
+ * @param {Array} masks - Redaction masks
+ * @returns {Function} (base64Image, displayId) => redacted base64 image
+ */
+function redactWith(masks) {
+  return (image, displayId) => redactImage(image, masksForDisplay(masks, displayId));
+}
+
+/**
+ * Fingerprint a capture's screenshots for change detection
+ * 
+ * @param {Array<string>} screenshots - Base64 image data
+ * @returns {Array<Object>|null} Fingerprints, or null if an image could not be decoded
+ */
+function fingerprintScreenshots(screenshots) {
+  try {
+    return screenshots.map(createFingerprint);
+  } catch (error) {
+    log('warn', `Could not fingerprint screenshot: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Move a question to the top of the recent questions, dropping the oldest
+ *
+ * @param {string} question - Question typed into the question box
+ */
+function rememberQuestion(question) {
+  const recent = store.get('recentQuestions').filter(item => item !== question);
+  store.set('recentQuestions', [question, ...recent].slice(0, MAX_RECENT_QUESTIONS));
+}
+
+/**
+ * Keep a capture's uploaded images for follow-up questions, dropping the oldest
+ * 
+ * @param {string} captureId - Capture identifier
+ * @param {Array<Object>} screenshots - Images prepared for upload
+ */
+function rememberScreenshots(captureId, screenshots) {
+  recentScreenshots.set(captureId, screenshots);
+  if (recentScreenshots.size > MAX_RECENT_SCREENSHOTS) {
+    recentScreenshots.delete(recentScreenshots.keys().next().value);
+  }
+}
+
+/**
+ * Format a byte count for logs, e.g. "1.4 MB"
+ */
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return `${Math.round(bytes / 1024)} KB`;
+}
+
+/**
+ * Check whether follow-up questions about an entry can still include its screenshot
+ * Digests never had one and are always open for follow-ups
+ * 
+ * @param {Object} entry - History entry
+ * @returns {boolean} Whether the upload is in memory or full screenshots were saved
+ */
+function canFollowUp(entry) {
+  return entry.type === 'digest'
+    || recentScreenshots.has(entry.id)
+    || (entry.screenshots || []).length > 0;
+}
+
+/**
+ * Get the images a follow-up question about a capture is sent with: the
+ * upload kept in memory, or the full screenshots saved with the entry
+ * 
+ * @param {Object} entry - History entry
+ * @returns {Promise<Array<Object>|null>} Images prepared for upload, or null if none are left
+ */
+async function followUpImages(entry) {
+  const uploaded = recentScreenshots.get(entry.id);
+  if (uploaded) return uploaded;
+
+  const saved = history.readScreenshots(entry.id);
+  if (saved.length === 0) return null;
+
+  const images = await prepareForUpload(saved.map(dataUrl => dataUrl.slice(dataUrl.indexOf(',') + 1)));
+  rememberScreenshots(entry.id, images);
+  return images;
+}
+
+/**
+ * Resize and re-encode screenshots for upload with the image settings
+ * Logs the size reduction and estimated image tokens of the capture
+ * 
+ * @param {Array<string>} screenshots - Base64 PNG screenshots
+ * @returns {Promise<Array<Object>>} Images prepared for upload
+ */
+async function prepareForUpload(screenshots) {
+  const images = await preprocessImages(screenshots, {
+    maxWidth: store.get('imageMaxWidth'),
+    maxHeight: store.get('imageMaxHeight'),
+    format: store.get('imageFormat'),
+    quality: store.get('imageQuality'),
+    grayscale: store.get('imageGrayscale'),
+    detail: store.get('imageDetail')
+  });
+
+  const originalBytes = images.reduce((total, image) => total + image.original.bytes, 0);
+  const bytes = images.reduce((total, image) => total + image.bytes, 0);
+  const sizes = images
+    .map(image => `${image.original.width}x${image.original.height} → ${image.width}x${image.height}`)
+    .join(', ');
+  log('info', `Prepared ${images.length} image(s) for upload: ${sizes}, ${images[0].mediaType}, ` +
+    `${formatBytes(originalBytes)} → ${formatBytes(bytes)}, ${images.map(image => image.detail).join('/')} detail, ` +
+    `~${estimateImageTokens(images)} image tokens`);
+
+  return images;
+}
+
+/**
+ * Send an event to the renderer and to automation API clients
+ * 
+ * @param {string} channel - Event name
+ * @param {*} payload - Event payload
+ */
+function emitEvent(channel, payload) {
+  if (mainWindow) {
+    mainWindow.webContents.send(channel, payload);
+  }
+  broadcastEvent(channel, payload);
+}
+
+/**
+ * Start or stop the automation API to match the settings
+ * 
+ * @returns {Promise<Object>} Server status { running, port, error }
+ */
+async function applyAutomationServer() {
+  if (!store.get('automationEnabled')) {
+    await stopAutomationServer();
+    return getAutomationStatus();
+  }
+
+  return startAutomationServer({
+    port: store.get('automationPort'),
+    token: store.get('automationToken'),
+    handlers: {
+      getStatus: () => ({
+        autoCapture: Boolean(captureTimerId),
+        interval: captureTimerId ? effectiveInterval : null,
+        capturing: isCapturing,
+        queued: queue.getQueueLength(),
+        pause: getPauseState()
+      }),
+      capture: async ({ prompt, presetId }) => {
+        if (isCapturing) return null;
+        if (!await requestScreenCapturePermission()) {
+          return { success: false, error: 'Screen capture permission required' };
+        }
+        return (await performCapture({ manual: true, prompt, presetId })) || null;
+      },
+      getLatest: () => {
+        const [latest] = history.getRecentEntries(1);
+        return latest ? history.getEntry(latest.id) : null;
+      },
+      listHistory: (options) => history.listEntries(options),
+      getEntry: (id) => history.getEntry(id),
+      setAutoCapture: async (enabled) => {
+        if (!enabled) {
+          stopAutoCapture();
+          return false;
+        }
+        return await requestScreenCapturePermission() && startAutoCapture();
+      }
+    }
+  });
+}
+
+/**
+ * Show and focus the main window, re-creating it if it was closed
+ * 
+ * @param {string} channel - Optional event sent to the renderer once it is loaded
+ * @param {*} payload - Event payload
+ */
+function showMainWindow(channel, payload) {
+  if (!mainWindow) {
+    createWindow();
+    if (channel) {
+      mainWindow.webContents.once('did-finish-load', () => {
+        mainWindow.webContents.send(channel, payload);
+      });
+    }
+  } else if (channel) {
+    mainWindow.webContents.send(channel, payload);
+  }
+
+  mainWindow.show();
+  mainWindow.focus();
+}
+
+/**
+ * Show and focus the main window, or hide it if it is already in front
+ */
+function toggleWindow() {
+  if (mainWindow && mainWindow.isVisible() && mainWindow.isFocused()) {
+    mainWindow.hide();
+  } else {
+    showMainWindow();
+  }
+}
+
+/**
+ * Capture and analyze the screen from a hotkey or the tray
+ */
+async function triggerCapture() {
+  if (await requestScreenCapturePermission()) {
+    await performCapture({ manual: true });
+  }
+}
+
+/**
+ * Select and analyze a region from a hotkey or the tray
+ */
+async function triggerRegionCapture() {
+  if (await requestScreenCapturePermission()) {
+    await performRegionCapture();
+  }
+}
+
+/**
+ * Turn auto-capture on or off from a hotkey or the tray
+ */
+async function toggleAutoCapture() {
+  if (captureTimerId) {
+    stopAutoCapture();
+  } else if (await requestScreenCapturePermission()) {
+    startAutoCapture();
+  }
+}
+
+/**
+ * Copy the newest analysis to the clipboard
+ */
+function copyLastAnalysis() {
+  const [latest] = history.getRecentEntries(1);
+  if (latest) {
+    clipboard.writeText(latest.analysis);
+    log('info', 'Copied last analysis to clipboard');
+  }
+}
+
+/**
+ * Show the newest analyses in the tray menu
+ */
+function refreshTrayResults() {
+  updateTray({ recent: history.getRecentEntries(TRAY_RECENT_COUNT) });
+}
+
+/**
+ * Register the configured global hotkeys
+ * 
+ * @returns {Object} Registration status per action
+ */
+function applyHotkeys() {
+  return registerHotkeys(store.get('hotkeys'), {
+    captureNow: triggerCapture,
+    captureRegion: triggerRegionCapture,
+    toggleAutoCapture,
+    toggleWindow
+  });
+}
+
+/**
+ * Tell the user about a budget warning or overrun
+ * 
+ * @param {Object} status - { period, level, spent, budget } from checkBudgets
+ * @param {boolean} autoCaptureStopped - Whether auto-capture was stopped because of it
+ */
+function sendBudgetAlert(status, autoCaptureStopped) {
+  const name = status.period === 'daily' ? 'Daily' : 'Monthly';
+  const amounts = `$${status.spent.toFixed(2)} of $${status.budget.toFixed(2)}`;
+  const message = status.level === 'exceeded'
+    ? `${name} budget exceeded (${amounts}).${autoCaptureStopped ? ' Auto-capture has been stopped.' : ''}`
+    : `${name} budget ${Math.round(status.spent / status.budget * 100)}% used (${amounts}).`;
+
+  log('warn', message);
+
+  const { Notification } = require('electron');
+  new Notification({ title: 'AI Screen Assistant Budget', body: message }).show();
+
+  if (mainWindow) {
+    mainWindow.webContents.send('budget-alert', { ...status, message, autoCaptureStopped });
+  }
+}
+
+/**
+ * Record the token usage of a request and enforce the budgets
+ * Auto-capture is stopped as soon as a budget is exceeded
+ * 
+ * @param {Object} request - { provider, model, free } from applyProviderConfig
+ * @param {Object|null} reported - { inputTokens, outputTokens } reported by the provider
+ * @returns {Object} { inputTokens, outputTokens, cost } of the request
+ */
+function trackUsage({ provider, model, free }, reported) {
+  const recorded = recordUsage({ provider, model, usage: reported, free });
+
+  const statuses = checkBudgets({ daily: store.get('dailyBudget'), monthly: store.get('monthlyBudget') });
+  const exceeded = statuses.find(status => status.level === 'exceeded');
+  const stopping = Boolean(exceeded && captureTimerId);
+  if (stopping) {
+    stopAutoCapture();
+  }
+
+  for (const status of statuses) {
+    if (status.isNew || (stopping && status === exceeded)) {
+      sendBudgetAlert(status, stopping && status === exceeded);
+    }
+  }
+
+  if (mainWindow) {
+    mainWindow.webContents.send('usage-updated');
+  }
+  return recorded;
+}
+
+/**
+ * Find a budget that has been exceeded
+ * 
+ * @returns {Object|undefined} Budget status from checkBudgets, if any is exceeded
+ */
+function findExceededBudget() {
+  return checkBudgets({ daily: store.get('dailyBudget'), monthly: store.get('monthlyBudget') })
+    .find(status => status.level === 'exceeded');
+}
+
 /**
  * Start automatic screenshot capture
+ * Refuses to start while a budget is exceeded
+ * 
+ * @returns {boolean} Whether auto-capture is running
  */
 function startAutoCapture() {
-  if (captureIntervalId) {
-    clearInterval(captureIntervalId);
+  const exceeded = findExceededBudget();
+  if (exceeded) {
+    stopAutoCapture();
+    sendBudgetAlert(exceeded, true);
+    return false;
   }
 
-  const interval = store.get('captureInterval');
-  log('info', `Starting auto-capture with interval: ${interval}ms`);
+  if (captureTimerId) {
+    clearTimeout(captureTimerId);
+  }
 
-  captureIntervalId = setInterval(async () => {
-    if (!isCapturing) {
-      await performCapture();
-    }
-  }, interval);
+  // Adaptive mode starts fast and slows down while the screen stays the same
+  const adaptive = store.get('adaptiveInterval');
+  setEffectiveInterval(adaptive ? store.get('captureIntervalMin') : store.get('captureInterval'));
+  log('info', adaptive
+    ? `Starting auto-capture with adaptive interval: ${store.get('captureIntervalMin')}-${store.get('captureIntervalMax')}ms`
+    : `Starting auto-capture with interval: ${effectiveInterval}ms`);
+
+  captureTimerId = setTimeout(runAutoCapture, effectiveInterval);
 
   store.set('autoCapture', true);
-  updateTrayMenu(tray, true, store);
+  updateTray({ autoCapture: true });
   
-  if (mainWindow) {
-    mainWindow.webContents.send('auto-capture-status', true);
-  }
+  emitEvent('auto-capture-status', true);
+  return true;
 }
 
 /**
  * Stop automatic screenshot capture
  */
 function stopAutoCapture() {
-  if (captureIntervalId) {
-    clearInterval(captureIntervalId);
-    captureIntervalId = null;
+  if (captureTimerId) {
+    clearTimeout(captureTimerId);
+    captureTimerId = null;
   }
 
   log('info', 'Stopped auto-capture');
   store.set('autoCapture', false);
-  updateTrayMenu(tray, false, store);
+  updateTray({ autoCapture: false });
   
+  emitEvent('auto-capture-status', false);
+}
+
+/**
+ * Run one auto-capture and schedule the next
+ * Each capture is scheduled after the previous one finished; paused
+ * captures are skipped and keep the interval
+ */
+async function runAutoCapture() {
+  const timerId = captureTimerId;
+
+  let result = null;
+  if (!isCapturing && !checkPause().paused) {
+    result = await performCapture({ presetId: store.get('autoCapturePreset'), manual: false });
+  }
+
+  // Auto-capture was stopped or restarted during the capture
+  if (captureTimerId !== timerId) return;
+
+  if (store.get('adaptiveInterval') && result && typeof result.change === 'number') {
+    setEffectiveInterval(adaptInterval(effectiveInterval, result.change));
+  }
+  captureTimerId = setTimeout(runAutoCapture, effectiveInterval);
+}
+
+/**
+ * Work out the next adaptive interval from how much the screen changed
+ * 
+ * @param {number} interval - Current interval in ms
+ * @param {number} change - Screen change of the last capture in percent
+ * @returns {number} Next interval in ms, within the configured bounds
+ */
+function adaptInterval(interval, change) {
+  const threshold = store.get('changeThreshold');
+  let next = interval;
+  if (change < threshold) {
+    next = interval * ADAPTIVE_SLOWDOWN;
+  } else if (change >= threshold * ADAPTIVE_ACTIVE_FACTOR) {
+    next = interval * ADAPTIVE_SPEEDUP;
+  }
+
+  const min = store.get('captureIntervalMin');
+  const max = Math.max(min, store.get('captureIntervalMax'));
+  return Math.round(Math.min(max, Math.max(min, next)));
+}
+
+/**
+ * Change the interval until the next auto-capture and show it in the window
+ * 
+ * @param {number} interval - Interval in ms
+ */
+function setEffectiveInterval(interval) {
+  if (interval === effectiveInterval) return;
+  effectiveInterval = interval;
+  emitEvent('capture-interval', { interval, adaptive: store.get('adaptiveInterval') });
+}
+
+/**
+ * Show a changed pause state in the tray and the window
+ * 
+ * @param {Object} pause - { paused, reason, message, until } from the schedule module
+ */
+function handlePauseChange(pause) {
+  updateTray({ pause: pause.paused ? pause : null });
+  emitEvent('auto-capture-pause', pause);
+}
+
+/**
+ * Tell the renderer how many captures are waiting
+ * 
+ * @param {number} analyzed - Queued captures analyzed since the last update
+ */
+function sendQueueStatus(analyzed = 0) {
   if (mainWindow) {
-    mainWindow.webContents.send('auto-capture-status', false);
+    mainWindow.webContents.send('queue-updated', { ...queue.getQueueStatus(), analyzed });
   }
 }
 
+/**
+ * Retry queued captures periodically while any are waiting
+ * Attempts are skipped while the system reports no network connection
+ */
+function scheduleQueueRetry() {
+  if (queue.getQueueLength() === 0) {
+    if (queueRetryId) {
+      clearInterval(queueRetryId);
+      queueRetryId = null;
+    }
+    return;
+  }
+
+  if (!queueRetryId) {
+    queueRetryId = setInterval(() => {
+      if (net.isOnline()) {
+        processQueue();
+      }
+    }, QUEUE_RETRY_INTERVAL);
+  }
+}
+
+/**
+ * Keep a capture that could not be sent for analysis once the connection returns
+ * 
+ * @param {Object} pending - { capture, screenshots } of the failed capture
+ * @returns {boolean} Whether the capture was queued
+ */
+function queueCapture({ capture, screenshots }) {
+  try {
+    queue.enqueueCapture(capture, screenshots);
+  } catch (error) {
+    log('error', `Could not queue capture: ${error.message}`);
+    return false;
+  }
+  scheduleQueueRetry();
+  sendQueueStatus();
+  return true;
+}
+
+/**
+ * Analyze queued captures, oldest first, and add them to history
+ * Stops at the first failure that may go away on its own and drops captures
+ * the provider rejects outright
+ */
+async function processQueue() {
+  // Command line runs exit right after their capture and leave the queue to the app
+  if (cliOptions || isProcessingQueue || queue.getQueueLength() === 0) return;
+  isProcessingQueue = true;
+
+  let analyzed = 0;
+  try {
+    let item;
+    while ((item = queue.peekQueue())) {
+      if (findExceededBudget()) {
+        log('info', 'Queued captures waiting: budget exceeded');
+        break;
+      }
+
+      let request;
+      try {
+        request = applyProviderConfig();
+      } catch (error) {
+        log('info', `Queued captures waiting: ${error.message}`);
+        break;
+      }
+
+      try {
+        const images = await prepareForUpload(item.screenshots);
+        const { text: analysis, structured, usage: reportedUsage } = await analyzeImage(images, item.prompt, {
+          systemPrompt: item.systemPrompt,
+          structured: store.get('structuredOutput')
+        });
+        const usage = trackUsage(request, reportedUsage);
+
+        const entry = history.addEntry({
+          timestamp: item.timestamp,
+          presetId: item.presetId,
+          presetName: item.presetName,
+          systemPrompt: item.systemPrompt,
+          prompt: item.prompt,
+          question: item.question || null,
+          provider: request.provider,
+          model: request.model,
+          display: item.display,
+          analysis,
+          structured,
+          usage
+        }, item.screenshots, { keepScreenshots: store.get('keepScreenshots') });
+        rememberScreenshots(entry.id, images);
+        queue.discardQueued(item.id);
+        analyzed++;
+      } catch (error) {
+        if (error.offline || error.retryable) {
+          log('info', `Queued captures waiting: ${error.message}`);
+          break;
+        }
+        log('error', `Dropped queued capture from ${item.timestamp}: ${error.message}`);
+        queue.discardQueued(item.id);
+      }
+    }
+  } finally {
+    isProcessingQueue = false;
+  }
+
+  if (analyzed > 0) {
+    log('info', `Analyzed ${analyzed} queued captures`);
+    refreshTrayResults();
+  }
+  scheduleQueueRetry();
+  sendQueueStatus(analyzed);
+}
+
 /**
  * Perform a single screenshot capture and analysis
+ * 
+ * @param {Object} options - Optional { presetId, prompt, manual, region, display, notify, onCaptured };
+ *   presetId defaults to the selected preset, prompt is a question that replaces the preset's
+ *   user prompt and is saved with the answer in history, manual captures (the default) never
+ *   skip unchanged frames, region limits the capture to part of a display, display
+ *   ({ mode, displayId }) replaces the configured display, notify: false suppresses the
+ *   desktop notification and onCaptured runs once the screenshot is taken.
+ *   Auto-captures use the watch region when one is saved.
+ *   Captures that can't be sent because the provider is unreachable are queued.
+ * @returns {Promise<Object|undefined>} The 'capture-complete' payload with the screen change in
+ *   percent since the last analyzed capture, a skipped result
+ *   { success: false, skipped, change, timestamp }, or undefined if a capture was already running
  */
-async function performCapture() {
+async function performCapture(options = {}) {
   if (isCapturing) return;
   
   isCapturing = true;
   log('info', 'Performing screen capture...');
 
+  // Capture that can be queued if the provider turns out to be unreachable
+  let pending = null;
+
   try {
-    // Notify renderer that capture is starting
-    if (mainWindow) {
-      mainWindow.webContents.send('capture-started');
+    // Render prompts first so window variables describe the screen being captured
+    const { preset, systemPrompt, userPrompt: presetPrompt } = await resolvePrompts(options.presetId || store.get('selectedPreset'));
+    const userPrompt = options.prompt || presetPrompt;
+    // A custom prompt is the user's own question, kept with the answer in history
+    const question = options.prompt || null;
+    log('info', `Using prompt preset: ${preset.name}`);
+
+    const manual = options.manual !== false;
+
+    // Manual captures get feedback right away; auto-captures only announce
+    // themselves once the frame is known to be worth analyzing
+    if (manual) {
+      updateTray({ status: 'capturing' });
+      emitEvent('capture-started');
     }
 
-    // Capture the screen
-    const screenshot = await captureScreen();
+    // Capture the requested region or the configured display(s)
+    const region = options.region || (!manual && store.get('watchRegion'));
+    const capture = await captureScreen({
+      ...(region
+        ? { mode: 'region', region }
+        : options.display || { mode: store.get('displayMode'), displayId: store.get('displayId') }),
+      processDisplayImage: redactWith(store.get('redactionMasks'))
+    });
+    const screenshots = capture.images;
+
+    if (options.onCaptured) {
+      options.onCaptured();
+    }
     
-    if (!screenshot) {
+    if (screenshots.length === 0) {
       throw new Error('Failed to capture screenshot');
     }
 
-    log('info', 'Screenshot captured successfully');
+    log('info', `Screenshot captured successfully: ${capture.display}`);
+
+    const fingerprints = fingerprintScreenshots(screenshots);
+    const change = compareFingerprintSets(lastAnalyzedFingerprints, fingerprints);
+    const changePercent = Math.round(change * 1000) / 10;
+
+    if (!manual && store.get('skipUnchanged') && change * 100 < store.get('changeThreshold')) {
+      log('info', `Skipped analysis: screen changed ${changePercent}% (threshold ${store.get('changeThreshold')}%)`);
+
+      const skipped = { change: changePercent, timestamp: new Date().toISOString() };
+      history.addCaptureEvent({ ...skipped, status: 'skipped', display: capture.display });
+      emitEvent('capture-skipped', skipped);
+      return { success: false, skipped: true, ...skipped };
+    }
 
-    // Check if API key is configured
-    const apiKey = store.get('openaiApiKey');
-    if (!apiKey) {
-      throw new Error('OpenAI API key not configured. Please add your API key in Settings.');
+    if (!manual) {
+      updateTray({ status: 'capturing' });
+      emitEvent('capture-started');
     }
 
-    // Set the API key for the request
-    setApiKey(apiKey);
+    // Use the active provider for the request
+    const request = applyProviderConfig();
+
+    pending = {
+      capture: {
+        timestamp: new Date().toISOString(),
+        presetId: preset.id,
+        presetName: preset.name,
+        systemPrompt,
+        prompt: userPrompt,
+        question,
+        display: capture.display
+      },
+      screenshots,
+      fingerprints
+    };
 
     // Send to AI for analysis
-    if (mainWindow) {
-      mainWindow.webContents.send('analyzing');
-    }
+    emitEvent('analyzing');
 
-    const analysis = await analyzeImage(screenshot);
+    const images = await prepareForUpload(screenshots);
+
+    // Stream partial text to the renderer as it arrives
+    const { text: analysis, structured, usage: reportedUsage } = await analyzeImage(images, userPrompt, {
+      systemPrompt,
+      structured: store.get('structuredOutput'),
+      onToken: (text) => {
+        emitEvent('analysis-chunk', { text });
+      },
+      onRetry: (retry) => {
+        emitEvent('analysis-retry', retry);
+      }
+    });
     
     log('info', 'Analysis complete');
+    lastAnalyzedFingerprints = fingerprints;
+    const usage = trackUsage(request, reportedUsage);
+
+    const entry = history.addEntry({
+      timestamp: new Date().toISOString(),
+      presetId: preset.id,
+      presetName: preset.name,
+      systemPrompt,
+      prompt: userPrompt,
+      question,
+      provider: request.provider,
+      model: request.model,
+      display: capture.display,
+      analysis,
+      structured,
+      usage
+    }, screenshots, { keepScreenshots: store.get('keepScreenshots') });
+    rememberScreenshots(entry.id, images);
+    updateTray({ status: 'idle', error: null });
+    refreshTrayResults();
+
+    // The provider is reachable again, so catch up on anything queued
+    processQueue();
 
     // Send results to renderer
-    if (mainWindow) {
-      mainWindow.webContents.send('capture-complete', {
-        success: true,
-        analysis: analysis,
-        timestamp: new Date().toISOString()
-      });
-    }
+    const result = {
+      success: true,
+      id: entry.id,
+      presetName: entry.presetName,
+      display: entry.display,
+      model: entry.model,
+      usage: entry.usage,
+      question,
+      analysis: analysis,
+      structured,
+      change: changePercent,
+      timestamp: entry.timestamp
+    };
+    emitEvent('capture-complete', result);
 
     // Show notification if enabled
-    if (store.get('showNotifications')) {
+    if (options.notify !== false && store.get('showNotifications')) {
       const { Notification } = require('electron');
+      const summary = structured ? structured.activity : analysis;
       new Notification({
         title: 'AI Analysis Complete',
-        body: analysis.substring(0, 100) + (analysis.length > 100 ? '...' : '')
+        body: summary.substring(0, 100) + (summary.length > 100 ? '...' : '')
       }).show();
     }
 
+    return result;
   } catch (error) {
     log('error', `Capture/analysis error: ${error.message}`);
-    
-    if (mainWindow) {
-      mainWindow.webContents.send('capture-complete', {
-        success: false,
-        error: error.message
+
+    const queued = Boolean(error.offline && pending && queueCapture(pending));
+    const message = queued
+      ? `${error.message} The capture was queued and will be analyzed once the connection returns.`
+      : error.message;
+    if (queued) {
+      // Don't queue the same unchanged screen again on the next auto-capture
+      lastAnalyzedFingerprints = pending.fingerprints;
+    } else {
+      history.addCaptureEvent({
+        timestamp: new Date().toISOString(),
+        status: 'error',
+        error: error.message,
+        display: pending ? pending.capture.display : null
       });
     }
+
+    updateTray({ status: 'error', error: queued ? 'Offline, capture queued' : error.message });
+    
+    const result = {
+      success: false,
+      queued,
+      error: message
+    };
+    emitEvent('capture-complete', result);
+    return result;
   } finally {
     isCapturing = false;
   }
 }
 
+/**
+ * Summarize the analyses of a time window and save the digest to history
+ * Earlier digests in the window are left out of the summary
+ * 
+ * @param {Object} range - { window: 'hour'|'today'|'day'|'custom', from, to }, see resolveDigestRange
+ * @param {Object} options - Optional { scheduled } for digests generated by the schedule
+ * @returns {Promise<Object>} The stored history entry
+ */
+async function generateDigest(range, options = {}) {
+  if (isGeneratingDigest) {
+    throw new Error('A digest is already being generated');
+  }
+  if (options.scheduled && findExceededBudget()) {
+    throw new Error('Budget exceeded');
+  }
+
+  const { from, to, label } = resolveDigestRange(range);
+  const entries = history.getEntriesInRange(from, to).filter(entry => entry.type !== 'digest');
+  if (entries.length === 0) {
+    throw new Error(`No analyses to summarize in this period (${label})`);
+  }
+
+  isGeneratingDigest = true;
+  try {
+    const request = applyProviderConfig();
+    log('info', `Generating digest of ${entries.length} analyses (${label})`);
+
+    const { text: analysis, usage: reportedUsage } = await summarizeAnalyses(
+      DIGEST_SYSTEM_PROMPT,
+      buildDigestPrompt(entries, label)
+    );
+    const usage = trackUsage(request, reportedUsage);
+
+    // The full prompt repeats every analysis, so only a description of it is kept
+    const entry = history.addEntry({
+      timestamp: new Date().toISOString(),
+      type: 'digest',
+      presetName: 'Digest',
+      systemPrompt: DIGEST_SYSTEM_PROMPT,
+      prompt: `Period: ${label}\n\nWrite a digest of ${entries.length} screen analyses.`,
+      provider: request.provider,
+      model: request.model,
+      analysis,
+      digest: { from, to, label, count: entries.length },
+      usage
+    });
+    refreshTrayResults();
+    emitEvent('digest-complete', { id: entry.id, scheduled: Boolean(options.scheduled), label, count: entries.length });
+
+    if (options.scheduled && store.get('showNotifications')) {
+      const { Notification } = require('electron');
+      new Notification({
+        title: 'Digest Ready',
+        body: `${label}: ${entries.length} ${entries.length === 1 ? 'analysis' : 'analyses'} summarized`
+      }).show();
+    }
+    return entry;
+  } finally {
+    isGeneratingDigest = false;
+  }
+}
+
+/**
+ * Run a one-shot capture for the command line
+ * 
+ * @param {Object} options - Parsed flags from cli.js
+ * @returns {Promise<Object>} { exitCode, text } where text is the formatted output
+ */
+async function runCliCapture(options) {
+  const fail = (exitCode, error) => ({ exitCode, text: formatResult({ success: false, error }, options.format) });
+
+  if (process.platform === 'darwin' && systemPreferences.getMediaAccessStatus('screen') !== 'granted') {
+    return fail(EXIT_CODES.NO_PERMISSION,
+      'Screen Recording permission is required. Grant it in System Settings > Privacy & Security > Screen Recording.');
+  }
+
+  if (options.presetId && !listPresets(store).some(preset => preset.id === options.presetId)) {
+    return fail(EXIT_CODES.USAGE, `Unknown preset "${options.presetId}"`);
+  }
+
+  let display = null;
+  if (typeof options.display === 'number') {
+    const displays = await listDisplayOptions();
+    const match = displays[options.display - 1];
+    if (!match) {
+      return fail(EXIT_CODES.USAGE, `Display ${options.display} not found (${displays.length} connected)`);
+    }
+    display = { mode: 'display', displayId: match.id };
+  } else if (options.display) {
+    display = { mode: options.display };
+  }
+
+  log('info', 'Running capture from the command line');
+  const result = await performCapture({
+    manual: true,
+    prompt: options.prompt,
+    presetId: options.presetId,
+    display,
+    notify: false
+  });
+  if (!result) {
+    return fail(EXIT_CODES.BUSY, 'A capture is already in progress');
+  }
+  return { exitCode: exitCodeFor(result), text: formatResult(result, options.format) };
+}
+
+/**
+ * Handle a launch of the app while this instance is running
+ * Command line runs are captured here and answered through their response
+ * file; other launches bring up the window
+ */
+async function handleSecondInstance(event, argv, workingDirectory, additionalData) {
+  const request = additionalData || {};
+  if (!request.cli) {
+    showMainWindow();
+    return;
+  }
+
+  // Only answer into fresh files in the temp directory
+  const responseFile = path.resolve(String(request.responseFile));
+  if (path.dirname(responseFile) !== path.resolve(app.getPath('temp'))
+      || !path.basename(responseFile).startsWith(CLI_RESPONSE_PREFIX)) {
+    log('warn', `Ignored command line run with invalid response file: ${responseFile}`);
+    return;
+  }
+
+  const response = await runCliCapture(request.cli);
+  try {
+    fs.writeFileSync(`${responseFile}.tmp`, JSON.stringify(response), { flag: 'wx' });
+    fs.renameSync(`${responseFile}.tmp`, responseFile);
+  } catch (error) {
+    log('error', `Could not answer command line run: ${error.message}`);
+  }
+}
+
+/**
+ * Wait for the running instance to answer a forwarded command line run,
+ * then write its output and exit with its code
+ * 
+ * @param {string} responseFile - File the running instance writes { exitCode, text } to
+ */
+function waitForCliResponse(responseFile) {
+  const startedAt = Date.now();
+  const timer = setInterval(() => {
+    let response;
+    try {
+      response = JSON.parse(fs.readFileSync(responseFile, 'utf8'));
+    } catch (error) {
+      if (Date.now() - startedAt < CLI_RESPONSE_TIMEOUT) return;
+      response = {
+        exitCode: EXIT_CODES.FAILED,
+        text: formatResult({ success: false, error: 'The running instance did not respond' }, cliOptions.format)
+      };
+    }
+
+    clearInterval(timer);
+    fs.rmSync(responseFile, { force: true });
+    finishCli(response);
+  }, CLI_POLL_INTERVAL);
+}
+
+/**
+ * Write the output of a command line run and exit with its code
+ * 
+ * @param {Object} response - { exitCode, text }
+ */
+function finishCli(response) {
+  let exitCode = response.exitCode;
+  try {
+    writeOutput(response, cliOptions, process.cwd());
+  } catch (error) {
+    process.stderr.write(`Could not write ${cliOptions.output}: ${error.message}\n`);
+    exitCode = EXIT_CODES.FAILED;
+  }
+  history.flushHistory();
+  app.exit(exitCode);
+}
+
+/**
+ * Capture once without a window, tray or background services, then exit
+ */
+async function runHeadless() {
+  if (app.dock) {
+    app.dock.hide();
+  }
+  initLogger({ quiet: true });
+  migrateSettings();
+  migrateApiKeys(store);
+  history.initHistory();
+  initUsage();
+  queue.initQueue();
+
+  finishCli(await runCliCapture(cliOptions));
+}
+
 /**
  * Set up IPC handlers for renderer communication
  */
 function setupIPC() {
-  // Handle immediate capture request ("Help me now" button)
-  ipcMain.handle('capture-now', async () => {
+  // Handle immediate capture request ("Help me now" button and question box)
+  ipcMain.handle('capture-now', async (event, options = {}) => {
+    const question = typeof options.question === 'string' ? options.question.trim() : '';
+    if (question) {
+      rememberQuestion(question);
+    }
+
     const hasPermission = await requestScreenCapturePermission();
     if (hasPermission) {
-      await performCapture();
+      await performCapture({ presetId: options.presetId, prompt: question || null, manual: true });
     }
     return hasPermission;
   });
 
+  // Questions asked from the question box, newest first
+  ipcMain.handle('get-recent-questions', () => {
+    return store.get('recentQuestions');
+  });
+
+  // Drag-to-select region capture
+  ipcMain.handle('capture-region', async () => {
+    const hasPermission = await requestScreenCapturePermission();
+    if (!hasPermission) return false;
+    return performRegionCapture();
+  });
+
+  // Stop limiting auto-capture to the watch region
+  ipcMain.handle('clear-watch-region', () => {
+    store.set('watchRegion', null);
+    log('info', 'Cleared watch region');
+    return true;
+  });
+
+  // Preview a display with redaction masks applied, exactly as it would be uploaded
+  ipcMain.handle('preview-redaction', async (event, { masks, displayId }) => {
+    const hasPermission = await requestScreenCapturePermission();
+    if (!hasPermission) {
+      return { success: false, error: 'Screen capture permission required' };
+    }
+
+    try {
+      const capture = await captureScreen({
+        mode: displayId ? 'display' : 'primary',
+        displayId,
+        processDisplayImage: redactWith(masks)
+      });
+
+      // A scaled-down preview is plenty for checking mask placement
+      const image = nativeImage.createFromBuffer(Buffer.from(capture.images[0], 'base64'));
+      const preview = image.getSize().width > 1280 ? image.resize({ width: 1280, quality: 'good' }) : image;
+      return { success: true, dataUrl: preview.toDataURL(), display: capture.display };
+    } catch (error) {
+      log('error', `Redaction preview failed: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Why auto-capture is paused, if it is
+  ipcMain.handle('get-pause-state', () => {
+    return getPauseState();
+  });
+
+  // Pause auto-capture for a number of minutes; 0 resumes it
+  ipcMain.handle('snooze-auto-capture', (event, minutes) => {
+    return snooze(Math.max(0, Number(minutes) || 0));
+  });
+
   // Toggle auto-capture
   ipcMain.handle('toggle-auto-capture', async (event, enabled) => {
     const hasPermission = await requestScreenCapturePermission();
     if (!hasPermission) return false;
 
     if (enabled) {
-      startAutoCapture();
-    } else {
-      stopAutoCapture();
+      return startAutoCapture();
     }
-    return enabled;
+    stopAutoCapture();
+    return false;
   });
 
   // Get current settings
   ipcMain.handle('get-settings', () => {
     return {
       captureInterval: store.get('captureInterval'),
+      adaptiveInterval: store.get('adaptiveInterval'),
+      captureIntervalMin: store.get('captureIntervalMin'),
+      captureIntervalMax: store.get('captureIntervalMax'),
+      effectiveInterval: captureTimerId ? effectiveInterval : null,
       autoCapture: store.get('autoCapture'),
-      openaiApiKey: store.get('openaiApiKey'),
+      provider: store.get('provider'),
+      providerSettings: withoutApiKeys(store.get('providerSettings')),
+      apiKeys: listKeyStatus(store),
+      keyStorage: getKeyStorageStatus(),
       minimizeToTray: store.get('minimizeToTray'),
-      showNotifications: store.get('showNotifications')
+      showNotifications: store.get('showNotifications'),
+      selectedPreset: store.get('selectedPreset'),
+      autoCapturePreset: store.get('autoCapturePreset'),
+      displayMode: store.get('displayMode'),
+      displayId: store.get('displayId'),
+      watchRegion: store.get('watchRegion'),
+      redactionMasks: store.get('redactionMasks'),
+      skipUnchanged: store.get('skipUnchanged'),
+      changeThreshold: store.get('changeThreshold'),
+      hotkeys: store.get('hotkeys'),
+      dailyBudget: store.get('dailyBudget'),
+      monthlyBudget: store.get('monthlyBudget'),
+      schedule: store.get('schedule'),
+      pauseWhenIdle: store.get('pauseWhenIdle'),
+      idleMinutes: store.get('idleMinutes'),
+      imageMaxWidth: store.get('imageMaxWidth'),
+      imageMaxHeight: store.get('imageMaxHeight'),
+      imageFormat: store.get('imageFormat'),
+      imageQuality: store.get('imageQuality'),
+      imageGrayscale: store.get('imageGrayscale'),
+      imageDetail: store.get('imageDetail'),
+      structuredOutput: store.get('structuredOutput'),
+      digestSchedule: store.get('digestSchedule'),
+      keepScreenshots: store.get('keepScreenshots'),
+      automationEnabled: store.get('automationEnabled'),
+      automationPort: store.get('automationPort'),
+      automationToken: store.get('automationToken'),
+      automationStatus: getAutomationStatus()
     };
   });
 
   // Update settings
-  ipcMain.handle('update-settings', (event, settings) => {
+  ipcMain.handle('update-settings', async (event, settings) => {
+    if (settings.adaptiveInterval !== undefined) {
+      store.set('adaptiveInterval', settings.adaptiveInterval);
+    }
+    if (settings.captureIntervalMin !== undefined) {
+      store.set('captureIntervalMin', settings.captureIntervalMin);
+    }
+    if (settings.captureIntervalMax !== undefined) {
+      store.set('captureIntervalMax', settings.captureIntervalMax);
+    }
     if (settings.captureInterval !== undefined) {
       store.set('captureInterval', settings.captureInterval);
       // Restart auto-capture if active
@@ -269,8 +1461,11 @@ function setupIPC() {
         startAutoCapture();
       }
     }
-    if (settings.openaiApiKey !== undefined) {
-      store.set('openaiApiKey', settings.openaiApiKey);
+    if (settings.provider !== undefined) {
+      store.set('provider', getProvider(settings.provider).id);
+    }
+    if (settings.providerSettings !== undefined) {
+      store.set('providerSettings', withoutApiKeys(settings.providerSettings));
     }
     if (settings.minimizeToTray !== undefined) {
       store.set('minimizeToTray', settings.minimizeToTray);
@@ -278,11 +1473,359 @@ function setupIPC() {
     if (settings.showNotifications !== undefined) {
       store.set('showNotifications', settings.showNotifications);
     }
+    if (settings.selectedPreset !== undefined) {
+      store.set('selectedPreset', settings.selectedPreset);
+    }
+    if (settings.autoCapturePreset !== undefined) {
+      store.set('autoCapturePreset', settings.autoCapturePreset);
+    }
+    if (settings.displayMode !== undefined) {
+      store.set('displayMode', settings.displayMode);
+    }
+    if (settings.displayId !== undefined) {
+      store.set('displayId', settings.displayId);
+    }
+    if (settings.redactionMasks !== undefined) {
+      store.set('redactionMasks', settings.redactionMasks);
+    }
+    if (settings.skipUnchanged !== undefined) {
+      store.set('skipUnchanged', settings.skipUnchanged);
+    }
+    if (settings.changeThreshold !== undefined) {
+      store.set('changeThreshold', settings.changeThreshold);
+    }
+    if (settings.dailyBudget !== undefined) {
+      store.set('dailyBudget', settings.dailyBudget);
+    }
+    if (settings.monthlyBudget !== undefined) {
+      store.set('monthlyBudget', settings.monthlyBudget);
+    }
+    if (settings.schedule !== undefined) {
+      store.set('schedule', settings.schedule);
+    }
+    if (settings.pauseWhenIdle !== undefined) {
+      store.set('pauseWhenIdle', settings.pauseWhenIdle);
+    }
+    if (settings.idleMinutes !== undefined) {
+      store.set('idleMinutes', settings.idleMinutes);
+    }
+    if (settings.imageMaxWidth !== undefined) {
+      store.set('imageMaxWidth', settings.imageMaxWidth);
+    }
+    if (settings.imageMaxHeight !== undefined) {
+      store.set('imageMaxHeight', settings.imageMaxHeight);
+    }
+    if (settings.imageFormat !== undefined) {
+      store.set('imageFormat', settings.imageFormat);
+    }
+    if (settings.imageQuality !== undefined) {
+      store.set('imageQuality', settings.imageQuality);
+    }
+    if (settings.imageGrayscale !== undefined) {
+      store.set('imageGrayscale', settings.imageGrayscale);
+    }
+    if (settings.imageDetail !== undefined) {
+      store.set('imageDetail', settings.imageDetail);
+    }
+    if (settings.structuredOutput !== undefined) {
+      store.set('structuredOutput', settings.structuredOutput);
+    }
+    if (settings.keepScreenshots !== undefined) {
+      store.set('keepScreenshots', settings.keepScreenshots);
+    }
+    if (settings.digestSchedule !== undefined) {
+      store.set('digestSchedule', settings.digestSchedule);
+      rescheduleDigest();
+    }
+    if (settings.hotkeys !== undefined) {
+      store.set('hotkeys', settings.hotkeys);
+      applyHotkeys();
+    }
+    // Restarting the automation API disconnects its clients, so only do it on a change
+    const automationChanged =
+      (settings.automationEnabled !== undefined && settings.automationEnabled !== store.get('automationEnabled')) ||
+      (settings.automationPort !== undefined && settings.automationPort !== store.get('automationPort'));
+    if (settings.automationEnabled !== undefined) {
+      store.set('automationEnabled', settings.automationEnabled);
+    }
+    if (settings.automationPort !== undefined) {
+      store.set('automationPort', settings.automationPort);
+    }
+    if (automationChanged) {
+      await applyAutomationServer();
+    }
+    // The schedule and idle settings may pause or resume auto-capture right away
+    checkPause();
     
     log('info', 'Settings updated');
     return true;
   });
 
+  // Follow-up question about a previous capture
+  ipcMain.handle('ask-follow-up', async (event, request) => {
+    try {
+      const entry = history.getEntry(request.captureId);
+      if (!entry) {
+        throw new Error('This analysis is no longer in history');
+      }
+
+      const providerRequest = applyProviderConfig();
+
+      // Answering without the screenshot would only repeat the analysis
+      let images = null;
+      if (entry.type !== 'digest') {
+        images = await followUpImages(entry);
+        if (!images) {
+          throw new Error('The screenshot of this capture is no longer available, so follow-up questions are turned off. Turn on "Save full screenshots in history" in Settings to keep asking about older captures.');
+        }
+      }
+
+      const { text: answer, usage: reportedUsage } = await askFollowUp(
+        images,
+        entry,
+        request.question,
+        {
+          onToken: (text) => {
+            event.sender.send('follow-up-chunk', { captureId: request.captureId, text });
+          }
+        }
+      );
+
+      trackUsage(providerRequest, reportedUsage);
+
+      history.appendToThread(entry.id, [
+        { role: 'user', text: request.question },
+        { role: 'assistant', text: answer }
+      ]);
+
+      return { success: true, answer };
+    } catch (error) {
+      log('error', `Follow-up error: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Capture history
+  ipcMain.handle('history-list', (event, options) => {
+    return history.listEntries(options);
+  });
+
+  // Digest of the analyses in a time window, saved as a history entry
+  ipcMain.handle('generate-digest', async (event, range) => {
+    try {
+      const entry = await generateDigest(range);
+      return { success: true, entry: history.getEntry(entry.id) };
+    } catch (error) {
+      log('error', `Digest error: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('history-applications', () => {
+    return history.listApplications();
+  });
+
+  // Timeline of analyses, skipped and failed captures, with thumbnails loaded on demand
+  ipcMain.handle('history-timeline', (event, range) => {
+    // Invalid dates match nothing, so only a missing range needs a check
+    if (!range) {
+      return [];
+    }
+    return history.getTimeline(range.from, range.to);
+  });
+
+  ipcMain.handle('history-thumbnails', (event, ids) => {
+    return history.readThumbnails(ids);
+  });
+
+  // Largest screenshots available for an entry: saved ones, the images of a
+  // recent upload kept for follow-ups, or the thumbnail
+  ipcMain.handle('history-screenshots', (event, id) => {
+    const saved = history.readScreenshots(id);
+    if (saved.length > 0) {
+      return { images: saved, source: 'saved' };
+    }
+
+    const uploaded = recentScreenshots.get(id);
+    if (uploaded) {
+      return { images: uploaded.map(image => `data:${image.mediaType};base64,${image.data}`), source: 'upload' };
+    }
+
+    const entry = history.getEntry(id);
+    return { images: entry && entry.thumbnailUrl ? [entry.thumbnailUrl] : [], source: 'thumbnail' };
+  });
+
+  ipcMain.handle('history-get', (event, id) => {
+    const entry = history.getEntry(id);
+    return entry && { ...entry, canFollowUp: canFollowUp(entry) };
+  });
+
+  ipcMain.handle('history-delete', (event, id) => {
+    history.deleteEntry(id);
+    refreshTrayResults();
+    return true;
+  });
+
+  ipcMain.handle('history-clear', () => {
+    history.clearHistory();
+    refreshTrayResults();
+    return true;
+  });
+
+  // One-time import of the history older versions kept in localStorage
+  ipcMain.handle('history-import', (event, entries) => {
+    const imported = history.importEntries(entries);
+    refreshTrayResults();
+    return imported;
+  });
+
+  // Export a single analysis ({ id }) or a date range ({ from, to }) through a save dialog
+  ipcMain.handle('history-export', async (event, request) => {
+    try {
+      const entries = request.id
+        ? [history.getEntry(request.id)].filter(Boolean)
+        : history.getEntriesInRange(request.from, request.to);
+
+      if (entries.length === 0) {
+        return { success: false, error: 'No analyses to export' };
+      }
+
+      const filter = getFileFilter(request.format);
+      if (!filter) {
+        return { success: false, error: `Unknown export format: ${request.format}` };
+      }
+
+      const firstDate = entries[0].timestamp.slice(0, 10);
+      const lastDate = entries[entries.length - 1].timestamp.slice(0, 10);
+      const baseName = entries.length === 1
+        ? `analysis-${firstDate}`
+        : `analyses-${firstDate}${lastDate !== firstDate ? `-to-${lastDate}` : ''}`;
+
+      const result = await dialog.showSaveDialog(mainWindow, {
+        title: 'Export Analyses',
+        defaultPath: path.join(app.getPath('documents'), `${baseName}.${filter.extensions[0]}`),
+        filters: [filter]
+      });
+
+      if (result.canceled || !result.filePath) {
+        return { success: false, canceled: true };
+      }
+
+      exportEntries(result.filePath, entries, { format: request.format, images: request.images });
+      log('info', `Exported ${entries.length} analyses to ${result.filePath}`);
+      return { success: true, count: entries.length, filePath: result.filePath };
+    } catch (error) {
+      log('error', `Export failed: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Token usage and estimated cost for the usage panel
+  ipcMain.handle('get-usage', () => {
+    return {
+      ...getUsageSummary(),
+      budgets: {
+        daily: store.get('dailyBudget'),
+        monthly: store.get('monthlyBudget')
+      }
+    };
+  });
+
+  // Captures waiting for the connection to return
+  ipcMain.handle('get-queue', () => {
+    return queue.getQueueStatus();
+  });
+
+  ipcMain.handle('queue-retry', async () => {
+    await processQueue();
+    return queue.getQueueStatus();
+  });
+
+  ipcMain.handle('queue-discard', () => {
+    queue.clearQueue();
+    scheduleQueueRetry();
+    sendQueueStatus();
+    return true;
+  });
+
+  // Automation API: current server state, and a new token that invalidates the old one
+  ipcMain.handle('get-automation-status', () => {
+    return getAutomationStatus();
+  });
+
+  ipcMain.handle('regenerate-automation-token', async () => {
+    store.set('automationToken', generateToken());
+    log('info', 'Automation API token regenerated');
+    const status = await applyAutomationServer();
+    return { token: store.get('automationToken'), status };
+  });
+
+  // Global hotkeys with the result of their last registration
+  ipcMain.handle('get-hotkeys', () => {
+    return listHotkeys();
+  });
+
+  // Prompt presets
+  ipcMain.handle('get-presets', () => {
+    return listPresets(store);
+  });
+
+  ipcMain.handle('save-preset', (event, preset) => {
+    try {
+      const saved = savePreset(store, preset);
+      log('info', `Saved prompt preset: ${saved.name}`);
+      return { success: true, preset: saved };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('delete-preset', (event, id) => {
+    deletePreset(store, id);
+    log('info', `Deleted prompt preset: ${id}`);
+    return true;
+  });
+
+  // List displays for the display picker
+  ipcMain.handle('get-displays', () => {
+    return listDisplayOptions();
+  });
+
+  // List available vision providers
+  ipcMain.handle('get-providers', () => {
+    return listProviders();
+  });
+
+  // Replace or remove a provider's API key; returns the key status of every provider
+  ipcMain.handle('set-api-key', (event, { provider, apiKey }) => {
+    const providerId = getProvider(provider).id;
+    if (!apiKey || !apiKey.trim()) {
+      return { success: false, error: 'Enter an API key' };
+    }
+    setApiKey(store, providerId, apiKey);
+    log('info', `API key updated for ${providerId}`);
+    return { success: true, apiKeys: listKeyStatus(store) };
+  });
+
+  ipcMain.handle('clear-api-key', (event, provider) => {
+    const providerId = getProvider(provider).id;
+    clearApiKey(store, providerId);
+    log('info', `API key cleared for ${providerId}`);
+    return { success: true, apiKeys: listKeyStatus(store) };
+  });
+
+  // Test a provider configuration from the settings form
+  // Uses the stored key unless a new one is being entered
+  ipcMain.handle('test-connection', async (event, config) => {
+    try {
+      const providerId = getProvider(config.provider).id;
+      await testConnection({ ...config, apiKey: config.apiKey || getApiKey(store, providerId) });
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
   // Check screen capture permission
   ipcMain.handle('check-permission', async () => {
     if (process.platform === 'darwin') {
@@ -291,32 +1834,67 @@ function setupIPC() {
     return true;
   });
 
-  // Show main window (from tray)
+  // Show main window
   ipcMain.on('show-window', () => {
-    if (mainWindow) {
-      mainWindow.show();
-      mainWindow.focus();
-    }
+    showMainWindow();
   });
 }
 
 /**
  * Application initialization
  */
-app.whenReady().then(async () => {
+async function startApp() {
   // Initialize logger
   initLogger();
   log('info', 'Application starting...');
+  migrateSettings();
+  migrateApiKeys(store);
+  if (!store.get('automationToken')) {
+    store.set('automationToken', generateToken());
+  }
+  history.initHistory();
+  initUsage();
+  queue.initQueue();
 
   // Create main window
   createWindow();
 
   // Create system tray
-  tray = createTray(mainWindow, store);
+  tray = createTray({
+    showWindow: () => showMainWindow(),
+    captureNow: triggerCapture,
+    captureRegion: triggerRegionCapture,
+    toggleAutoCapture,
+    openSettings: () => showMainWindow('open-settings'),
+    showResult: (id) => showMainWindow('show-history-entry', id),
+    copyLastAnalysis,
+    snooze
+  }, {
+    autoCapture: store.get('autoCapture'),
+    recent: history.getRecentEntries(TRAY_RECENT_COUNT)
+  });
+
+  // Pause auto-capture outside active hours and while idle, locked or asleep
+  initPauseMonitor(store, handlePauseChange);
+
+  // Generate hourly or daily digests if scheduled
+  initDigestScheduler(store, (range) => generateDigest(range, { scheduled: true }));
 
   // Set up IPC communication
   setupIPC();
 
+  // Register system-wide shortcuts
+  applyHotkeys();
+
+  // Start the automation API if enabled
+  await applyAutomationServer();
+
+  // Analyze captures queued while offline in an earlier session
+  scheduleQueueRetry();
+  if (net.isOnline()) {
+    processQueue();
+  }
+
   // Restore auto-capture if it was enabled
   if (store.get('autoCapture')) {
     const hasPermission = await requestScreenCapturePermission();
@@ -333,10 +1911,38 @@ app.whenReady().then(async () => {
       mainWindow.show();
     }
   });
-});
+}
+
+// One instance at a time: later launches show the running window, and
+// command line runs are captured by the running instance when there is one
+if (cliOptions && (cliOptions.help || cliOptions.error)) {
+  if (cliOptions.help) {
+    process.stdout.write(HELP_TEXT);
+    app.exit(EXIT_CODES.SUCCESS);
+  } else {
+    process.stderr.write(`${cliOptions.error}\n\n${HELP_TEXT}`);
+    app.exit(EXIT_CODES.USAGE);
+  }
+} else if (cliOptions) {
+  const responseFile = path.join(app.getPath('temp'), `${CLI_RESPONSE_PREFIX}${crypto.randomUUID()}.json`);
+  if (app.requestSingleInstanceLock({ cli: cliOptions, responseFile })) {
+    // Nothing else is running; capture here without holding the lock
+    app.releaseSingleInstanceLock();
+    app.whenReady().then(runHeadless);
+  } else {
+    waitForCliResponse(responseFile);
+  }
+} else if (app.requestSingleInstanceLock()) {
+  app.on('second-instance', handleSecondInstance);
+  app.whenReady().then(startApp);
+} else {
+  app.quit();
+}
 
 // Quit when all windows are closed (except on macOS)
 app.on('window-all-closed', () => {
+  // Command line runs have no window and exit on their own
+  if (cliOptions) return;
   if (process.platform !== 'darwin') {
     app.quit();
   }
@@ -346,9 +1952,22 @@ app.on('window-all-closed', () => {
 app.on('before-quit', () => {
   app.isQuitting = true;
   stopAutoCapture();
+  stopPauseMonitor();
+  stopDigestScheduler();
+  if (queueRetryId) {
+    clearInterval(queueRetryId);
+    queueRetryId = null;
+  }
+  stopAutomationServer();
+  history.flushHistory();
   log('info', 'Application shutting down');
 });
 
+// Global shortcuts must be released before exiting
+app.on('will-quit', () => {
+  unregisterHotkeys();
+});
+
 // Handle uncaught exceptions
 process.on('uncaughtException', (error) => {
   log('error', `Uncaught exception: ${error.message}`);
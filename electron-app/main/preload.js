@@ -8,18 +8,91 @@ const { contextBridge, ipcRenderer } = require('electron');
 
 // Expose protected methods to the renderer process
 contextBridge.exposeInMainWorld('electronAPI', {
-  // Capture screenshot and analyze immediately
-  captureNow: () => ipcRenderer.invoke('capture-now'),
+  // Capture screenshot and analyze immediately, optionally with { presetId, question }
+  // where question replaces the preset's prompt
+  captureNow: (options) => ipcRenderer.invoke('capture-now', options),
+  
+  // Questions asked with captureNow, newest first
+  getRecentQuestions: () => ipcRenderer.invoke('get-recent-questions'),
+  
+  // Select a screen region with the overlay and analyze it
+  captureRegion: () => ipcRenderer.invoke('capture-region'),
+  
+  // Stop limiting auto-capture to the saved watch region
+  clearWatchRegion: () => ipcRenderer.invoke('clear-watch-region'),
+  
+  // Capture a display with redaction masks applied, for the settings preview
+  previewRedaction: (request) => ipcRenderer.invoke('preview-redaction', request),
   
   // Toggle automatic capture mode
   toggleAutoCapture: (enabled) => ipcRenderer.invoke('toggle-auto-capture', enabled),
   
+  // Auto-capture pause: { paused, reason, message, until }; snoozing for 0 minutes resumes
+  getPauseState: () => ipcRenderer.invoke('get-pause-state'),
+  snoozeAutoCapture: (minutes) => ipcRenderer.invoke('snooze-auto-capture', minutes),
+  
   // Get current settings
   getSettings: () => ipcRenderer.invoke('get-settings'),
   
   // Update settings
   updateSettings: (settings) => ipcRenderer.invoke('update-settings', settings),
   
+  // Ask a follow-up question about a previous capture
+  askFollowUp: (request) => ipcRenderer.invoke('ask-follow-up', request),
+  
+  // Capture history: list({ page, pageSize, query, severity, application }), get(id), delete(id), clear()
+  listHistory: (options) => ipcRenderer.invoke('history-list', options),
+  listHistoryApplications: () => ipcRenderer.invoke('history-applications'),
+  
+  // Timeline of analyses and skipped/failed captures in { from, to }, oldest first
+  getTimeline: (range) => ipcRenderer.invoke('history-timeline', range),
+  getHistoryThumbnails: (ids) => ipcRenderer.invoke('history-thumbnails', ids),
+  // Screenshots of an entry as data URLs: { images, source: 'saved'|'upload'|'thumbnail' }
+  getHistoryScreenshots: (id) => ipcRenderer.invoke('history-screenshots', id),
+  
+  // Digest of a time window ({ window: 'hour'|'today'|'custom', from, to }), saved to history
+  generateDigest: (range) => ipcRenderer.invoke('generate-digest', range),
+  getHistoryEntry: (id) => ipcRenderer.invoke('history-get', id),
+  deleteHistoryEntry: (id) => ipcRenderer.invoke('history-delete', id),
+  clearHistory: () => ipcRenderer.invoke('history-clear'),
+  importHistory: (entries) => ipcRenderer.invoke('history-import', entries),
+  
+  // Token usage and estimated cost: { today, month, models, budgets }
+  getUsage: () => ipcRenderer.invoke('get-usage'),
+  
+  // Captures queued while offline: { length, oldest }
+  getQueue: () => ipcRenderer.invoke('get-queue'),
+  retryQueue: () => ipcRenderer.invoke('queue-retry'),
+  discardQueue: () => ipcRenderer.invoke('queue-discard'),
+  
+  // Local automation API: { running, port, error }, and a fresh access token
+  getAutomationStatus: () => ipcRenderer.invoke('get-automation-status'),
+  regenerateAutomationToken: () => ipcRenderer.invoke('regenerate-automation-token'),
+  
+  // Global hotkeys: [{ id, label, accelerator, registered, error }]
+  getHotkeys: () => ipcRenderer.invoke('get-hotkeys'),
+  
+  // Export({ id } or { from, to }, format, images) through a save dialog
+  exportHistory: (request) => ipcRenderer.invoke('history-export', request),
+  
+  // Prompt presets
+  getPresets: () => ipcRenderer.invoke('get-presets'),
+  savePreset: (preset) => ipcRenderer.invoke('save-preset', preset),
+  deletePreset: (id) => ipcRenderer.invoke('delete-preset', id),
+  
+  // List displays available for capture
+  getDisplays: () => ipcRenderer.invoke('get-displays'),
+  
+  // List available vision providers
+  getProviders: () => ipcRenderer.invoke('get-providers'),
+  
+  // Replace or remove a provider's API key; keys themselves are never sent back
+  setApiKey: (provider, apiKey) => ipcRenderer.invoke('set-api-key', { provider, apiKey }),
+  clearApiKey: (provider) => ipcRenderer.invoke('clear-api-key', provider),
+  
+  // Test a provider configuration
+  testConnection: (config) => ipcRenderer.invoke('test-connection', config),
+  
   // Check if screen capture permission is granted
   checkPermission: () => ipcRenderer.invoke('check-permission'),
   
@@ -34,16 +107,82 @@ contextBridge.exposeInMainWorld('electronAPI', {
     return () => ipcRenderer.removeListener('analyzing', callback);
   },
   
+  onAnalysisRetry: (callback) => {
+    ipcRenderer.on('analysis-retry', (event, retry) => callback(retry));
+    return () => ipcRenderer.removeListener('analysis-retry', callback);
+  },
+  
+  onCaptureSkipped: (callback) => {
+    ipcRenderer.on('capture-skipped', (event, data) => callback(data));
+    return () => ipcRenderer.removeListener('capture-skipped', callback);
+  },
+  
+  onAnalysisChunk: (callback) => {
+    ipcRenderer.on('analysis-chunk', (event, data) => callback(data));
+    return () => ipcRenderer.removeListener('analysis-chunk', callback);
+  },
+  
+  onFollowUpChunk: (callback) => {
+    ipcRenderer.on('follow-up-chunk', (event, data) => callback(data));
+    return () => ipcRenderer.removeListener('follow-up-chunk', callback);
+  },
+  
   onCaptureComplete: (callback) => {
     ipcRenderer.on('capture-complete', (event, data) => callback(data));
     return () => ipcRenderer.removeListener('capture-complete', callback);
   },
   
+  onWatchRegionChanged: (callback) => {
+    ipcRenderer.on('watch-region-changed', (event, region) => callback(region));
+    return () => ipcRenderer.removeListener('watch-region-changed', callback);
+  },
+  
+  onOpenSettings: (callback) => {
+    ipcRenderer.on('open-settings', callback);
+    return () => ipcRenderer.removeListener('open-settings', callback);
+  },
+  
+  onShowHistoryEntry: (callback) => {
+    ipcRenderer.on('show-history-entry', (event, id) => callback(id));
+    return () => ipcRenderer.removeListener('show-history-entry', callback);
+  },
+  
+  onDigestComplete: (callback) => {
+    ipcRenderer.on('digest-complete', (event, data) => callback(data));
+    return () => ipcRenderer.removeListener('digest-complete', callback);
+  },
+  
+  onUsageUpdated: (callback) => {
+    ipcRenderer.on('usage-updated', callback);
+    return () => ipcRenderer.removeListener('usage-updated', callback);
+  },
+  
+  onQueueUpdated: (callback) => {
+    ipcRenderer.on('queue-updated', (event, status) => callback(status));
+    return () => ipcRenderer.removeListener('queue-updated', callback);
+  },
+  
+  onBudgetAlert: (callback) => {
+    ipcRenderer.on('budget-alert', (event, alert) => callback(alert));
+    return () => ipcRenderer.removeListener('budget-alert', callback);
+  },
+  
   onAutoCaptureStatus: (callback) => {
     ipcRenderer.on('auto-capture-status', (event, status) => callback(status));
     return () => ipcRenderer.removeListener('auto-capture-status', callback);
   },
   
+  // Interval until the next auto-capture: { interval, adaptive }
+  onCaptureInterval: (callback) => {
+    ipcRenderer.on('capture-interval', (event, data) => callback(data));
+    return () => ipcRenderer.removeListener('capture-interval', callback);
+  },
+  
+  onPauseChanged: (callback) => {
+    ipcRenderer.on('auto-capture-pause', (event, pause) => callback(pause));
+    return () => ipcRenderer.removeListener('auto-capture-pause', callback);
+  },
+  
   // Show main window (useful when called from tray)
   showWindow: () => ipcRenderer.send('show-window'),
   
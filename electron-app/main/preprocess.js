@@ -0,0 +1,167 @@
+/**
+ * Image Preprocessing Module
+ * Shrinks and re-encodes screenshots right before upload so large screens
+ * don't cost a full-resolution PNG; history, change detection and the
+ * offline queue keep the original captures
+ */
+
+const { nativeImage, BrowserWindow } = require('electron');
+const { log } = require('./logger');
+
+const MEDIA_TYPES = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp'
+};
+
+// Images that fit this box lose nothing at low detail
+const LOW_DETAIL_MAX_SIZE = 512;
+
+/**
+ * Fit a size into maximum dimensions, keeping the aspect ratio
+ *
+ * @param {Object} size - { width, height }
+ * @param {number} maxWidth - Maximum width (0 = no limit)
+ * @param {number} maxHeight - Maximum height (0 = no limit)
+ * @returns {Object} { width, height }, never larger than the input
+ */
+function fitSize({ width, height }, maxWidth, maxHeight) {
+  const scale = Math.min(
+    1,
+    maxWidth > 0 ? maxWidth / width : 1,
+    maxHeight > 0 ? maxHeight / height : 1
+  );
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale))
+  };
+}
+
+/**
+ * Convert an image to grayscale using Rec. 601 luma
+ *
+ * @param {NativeImage} image - Source image
+ * @returns {NativeImage} Grayscale copy
+ */
+function toGrayscale(image) {
+  const size = image.getSize();
+  const bitmap = image.toBitmap();
+
+  // Pixels are in BGRA order
+  for (let i = 0; i < bitmap.length; i += 4) {
+    const luma = Math.round(0.114 * bitmap[i] + 0.587 * bitmap[i + 1] + 0.299 * bitmap[i + 2]);
+    bitmap[i] = luma;
+    bitmap[i + 1] = luma;
+    bitmap[i + 2] = luma;
+  }
+
+  return nativeImage.createFromBitmap(bitmap, size);
+}
+
+/**
+ * Encode images as WebP with Chromium's canvas encoder
+ * nativeImage has no WebP support, so a hidden window does the encoding
+ *
+ * @param {Array<NativeImage>} images - Images to encode
+ * @param {number} quality - Quality from 1 to 100
+ * @returns {Promise<Array<Buffer>>} WebP data per image
+ */
+async function encodeWebP(images, quality) {
+  const encoder = new BrowserWindow({
+    show: false,
+    width: 1,
+    height: 1,
+    webPreferences: {
+      contextIsolation: true,
+      nodeIntegration: false,
+      sandbox: true
+    }
+  });
+
+  try {
+    await encoder.loadURL('about:blank');
+
+    const results = [];
+    for (const image of images) {
+      const dataUrl = await encoder.webContents.executeJavaScript(`(async () => {
+        const image = new Image();
+        image.src = ${JSON.stringify(image.toDataURL())};
+        await image.decode();
+        const canvas = document.createElement('canvas');
+        canvas.width = image.naturalWidth;
+        canvas.height = image.naturalHeight;
+        canvas.getContext('2d').drawImage(image, 0, 0);
+        return canvas.toDataURL('image/webp', ${quality / 100});
+      })()`);
+
+      // Browsers fall back to PNG for formats they can't encode
+      if (!dataUrl.startsWith('data:image/webp;base64,')) {
+        throw new Error('WebP encoding is not supported');
+      }
+      results.push(Buffer.from(dataUrl.slice(dataUrl.indexOf(',') + 1), 'base64'));
+    }
+    return results;
+  } finally {
+    encoder.destroy();
+  }
+}
+
+/**
+ * Prepare screenshots for upload
+ *
+ * @param {Array<string>} base64Images - Base64 PNG screenshots
+ * @param {Object} options - { maxWidth, maxHeight, format: 'png'|'jpeg'|'webp', quality,
+ *   grayscale, detail: 'auto'|'low'|'high' }
+ * @returns {Promise<Array>} [{ data, mediaType, detail, width, height, bytes, original }] where
+ *   original is { width, height, bytes } of the screenshot
+ */
+async function preprocessImages(base64Images, options) {
+  const format = MEDIA_TYPES[options.format] ? options.format : 'jpeg';
+  const quality = Math.min(100, Math.max(1, Math.round(options.quality) || 85));
+
+  const prepared = base64Images.map(base64Image => {
+    const buffer = Buffer.from(base64Image, 'base64');
+    let image = nativeImage.createFromBuffer(buffer);
+    const original = { ...image.getSize(), bytes: buffer.length };
+
+    const size = fitSize(original, options.maxWidth, options.maxHeight);
+    if (size.width !== original.width || size.height !== original.height) {
+      image = image.resize({ ...size, quality: 'best' });
+    }
+    if (options.grayscale) {
+      image = toGrayscale(image);
+    }
+
+    return { image, size, original };
+  });
+
+  let encoded = null;
+  let mediaFormat = format;
+  if (format === 'webp') {
+    try {
+      encoded = await encodeWebP(prepared.map(item => item.image), quality);
+    } catch (error) {
+      log('warn', `WebP encoding failed, using JPEG: ${error.message}`);
+      mediaFormat = 'jpeg';
+    }
+  }
+  if (!encoded) {
+    encoded = prepared.map(({ image }) => (mediaFormat === 'png' ? image.toPNG() : image.toJPEG(quality)));
+  }
+
+  return prepared.map(({ size, original }, index) => ({
+    data: encoded[index].toString('base64'),
+    mediaType: MEDIA_TYPES[mediaFormat],
+    detail: options.detail === 'low' || options.detail === 'high'
+      ? options.detail
+      : (size.width <= LOW_DETAIL_MAX_SIZE && size.height <= LOW_DETAIL_MAX_SIZE ? 'low' : 'high'),
+    width: size.width,
+    height: size.height,
+    bytes: encoded[index].length,
+    original
+  }));
+}
+
+module.exports = {
+  preprocessImages
+};
@@ -0,0 +1,162 @@
+/**
+ * Prompt Presets Module
+ * Built-in and user-defined prompt presets with template variables
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_PRESET_ID = 'general';
+
+const DEFAULT_SYSTEM_PROMPT = `You are an AI assistant analyzing the user's screen. 
+Your job is to:
+1. Describe what you see on the screen
+2. Identify any tasks or activities the user appears to be working on
+3. Provide helpful suggestions or insights
+4. If the user appears to be stuck or confused, offer guidance
+5. Be concise but thorough
+
+Always be helpful and proactive in your analysis.`;
+
+const DEFAULT_USER_PROMPT = 'Analyze this screenshot and provide helpful insights about what I\'m working on. If you see any issues or ways I could be more productive, let me know.';
+
+const BUILT_IN_PRESETS = [
+  {
+    id: DEFAULT_PRESET_ID,
+    name: 'General assistance',
+    systemPrompt: DEFAULT_SYSTEM_PROMPT,
+    userPrompt: DEFAULT_USER_PROMPT
+  },
+  {
+    id: 'debug-error',
+    name: 'Debug this error',
+    systemPrompt: `You are an expert software engineer helping the user debug a problem visible on their screen.
+Find the error message, stack trace or failing output, explain the most likely root cause and give concrete steps to fix it.
+Quote the relevant lines you can read. If the cause is uncertain, list the top candidates in order of likelihood.`,
+    userPrompt: 'I\'m working in "{{windowTitle}}". What is going wrong here and how do I fix it?'
+  },
+  {
+    id: 'summarize-document',
+    name: 'Summarize document',
+    systemPrompt: `You are an assistant that summarizes documents shown on the user's screen.
+Produce a short summary followed by the key points as a bulleted list. Mention any deadlines, decisions or action items explicitly.
+Only summarize what is visible; do not invent content.`,
+    userPrompt: 'Summarize the document on my screen.'
+  },
+  {
+    id: 'review-code',
+    name: 'Review my code',
+    systemPrompt: `You are a senior engineer doing a code review of the code visible on the user's screen.
+Point out bugs, edge cases, security problems and readability issues, most important first.
+Suggest concrete changes with short code snippets. Skip praise and nitpicks that do not matter.`,
+    userPrompt: 'Review the code on my screen ({{windowTitle}}).'
+  }
+];
+
+/**
+ * List built-in and custom presets
+ * 
+ * @param {Store} store - Electron store instance
+ * @returns {Array} Presets, built-ins flagged with builtIn: true
+ */
+function listPresets(store) {
+  return [
+    ...BUILT_IN_PRESETS.map(preset => ({ ...preset, builtIn: true })),
+    ...store.get('customPresets').map(preset => ({ ...preset, builtIn: false }))
+  ];
+}
+
+/**
+ * Get a preset by id, falling back to the default preset
+ * 
+ * @param {Store} store - Electron store instance
+ * @param {string} id - Preset identifier
+ * @returns {Object} Preset
+ */
+function getPreset(store, id) {
+  const presets = listPresets(store);
+  return presets.find(preset => preset.id === id)
+    || presets.find(preset => preset.id === DEFAULT_PRESET_ID);
+}
+
+/**
+ * Create or update a custom preset
+ * 
+ * @param {Store} store - Electron store instance
+ * @param {Object} preset - { id?, name, systemPrompt, userPrompt }
+ * @returns {Object} The saved preset
+ */
+function savePreset(store, preset) {
+  if (BUILT_IN_PRESETS.some(builtIn => builtIn.id === preset.id)) {
+    throw new Error('Built-in presets cannot be modified');
+  }
+
+  const name = (preset.name || '').trim();
+  if (!name) {
+    throw new Error('Preset name is required');
+  }
+
+  const saved = {
+    id: preset.id || `custom-${crypto.randomUUID()}`,
+    name,
+    systemPrompt: (preset.systemPrompt || '').trim() || DEFAULT_SYSTEM_PROMPT,
+    userPrompt: (preset.userPrompt || '').trim() || DEFAULT_USER_PROMPT
+  };
+
+  const customPresets = store.get('customPresets');
+  const index = customPresets.findIndex(existing => existing.id === saved.id);
+  if (index === -1) {
+    customPresets.push(saved);
+  } else {
+    customPresets[index] = saved;
+  }
+  store.set('customPresets', customPresets);
+
+  return { ...saved, builtIn: false };
+}
+
+/**
+ * Delete a custom preset
+ * 
+ * @param {Store} store - Electron store instance
+ * @param {string} id - Preset identifier
+ */
+function deletePreset(store, id) {
+  store.set('customPresets', store.get('customPresets').filter(preset => preset.id !== id));
+}
+
+/**
+ * Check whether a template references any of the given variables
+ * 
+ * @param {string} template - Prompt template
+ * @param {Array<string>} names - Variable names
+ * @returns {boolean} True if at least one variable is used
+ */
+function usesVariables(template, names) {
+  return names.some(name => new RegExp(`{{\\s*${name}\\s*}}`).test(template));
+}
+
+/**
+ * Replace {{variable}} placeholders in a prompt template
+ * Unknown variables are left untouched so typos stay visible
+ * 
+ * @param {string} template - Prompt template
+ * @param {Object} variables - Variable values
+ * @returns {string} Rendered prompt
+ */
+function renderTemplate(template, variables) {
+  return template.replace(/{{\s*(\w+)\s*}}/g, (match, name) => {
+    return Object.prototype.hasOwnProperty.call(variables, name) ? String(variables[name]) : match;
+  });
+}
+
+module.exports = {
+  DEFAULT_PRESET_ID,
+  DEFAULT_SYSTEM_PROMPT,
+  DEFAULT_USER_PROMPT,
+  listPresets,
+  getPreset,
+  savePreset,
+  deletePreset,
+  usesVariables,
+  renderTemplate
+};
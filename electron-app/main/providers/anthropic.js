@@ -0,0 +1,188 @@
+/**
+ * Anthropic Provider
+ * Messages API backend for Claude vision models
+ */
+
+const axios = require('axios');
+const { readEventStream } = require('./sse');
+
+const API_VERSION = '2023-06-01';
+
+/**
+ * Convert provider-neutral messages into Messages API content blocks
+ *
+ * @param {Array} messages - Messages of shape { role, text, images }
+ * @returns {Array} Messages API message list
+ */
+function toAnthropicMessages(messages) {
+  return messages.map(message => ({
+    role: message.role,
+    content: [
+      // Images first, as recommended for vision prompts
+      ...(message.images || []).map(image => ({
+        type: 'image',
+        source: {
+          type: 'base64',
+          media_type: image.mediaType,
+          data: image.data
+        }
+      })),
+      {
+        type: 'text',
+        text: message.text
+      }
+    ]
+  }));
+}
+
+function buildHeaders(config) {
+  return {
+    'x-api-key': config.apiKey,
+    'anthropic-version': API_VERSION,
+    'Content-Type': 'application/json'
+  };
+}
+
+/**
+ * Convert a Messages API usage object to { inputTokens, outputTokens }
+ *
+ * @param {Object} usage - { input_tokens, output_tokens }, may be missing
+ * @returns {Object|null} Token counts, or null if not reported
+ */
+function toUsage(usage) {
+  if (!usage) return null;
+  return {
+    inputTokens: usage.input_tokens || 0,
+    outputTokens: usage.output_tokens || 0
+  };
+}
+
+/**
+ * Estimate the input tokens of an image
+ * Images are scaled down to fit 1568 pixels on the long edge and about
+ * 1.15 megapixels, then cost roughly one token per 750 pixels
+ *
+ * @param {Object} image - { width, height }
+ * @returns {number} Estimated tokens
+ */
+function estimateImageTokens({ width, height }) {
+  const scale = Math.min(1, 1568 / Math.max(width, height), Math.sqrt(1150000 / (width * height)));
+  return Math.ceil(width * scale * height * scale / 750);
+}
+
+/**
+ * Send a Messages API request
+ * Streams the completion when request.onToken is given. The Messages API can't
+ * enforce request.responseSchema, so structured output relies on the prompt.
+ *
+ * @param {Object} config - Resolved { baseUrl, model, apiKey, timeout }
+ * @param {Object} request - { systemPrompt, messages, maxTokens, onToken }
+ * @returns {Promise<{text: string, usage: Object|null}>} Completion text and
+ *   { inputTokens, outputTokens } if reported
+ */
+async function analyze(config, request) {
+  const stream = typeof request.onToken === 'function';
+
+  const response = await axios.post(
+    `${config.baseUrl}/v1/messages`,
+    {
+      model: config.model,
+      system: request.systemPrompt,
+      messages: toAnthropicMessages(request.messages),
+      max_tokens: request.maxTokens,
+      stream
+    },
+    {
+      headers: buildHeaders(config),
+      timeout: config.timeout,
+      responseType: stream ? 'stream' : 'json'
+    }
+  );
+
+  if (!stream) {
+    const text = (response.data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    return { text, usage: toUsage(response.data.usage) };
+  }
+
+  let text = '';
+  let usage = null;
+  await readEventStream(response.data, ({ event, data }) => {
+    const payload = JSON.parse(data);
+
+    if (event === 'error') {
+      throw new Error(`API error: ${payload.error?.message || 'Stream error'}`);
+    }
+
+    // Input tokens arrive with message_start, the running output count with message_delta
+    if (event === 'message_start') {
+      usage = toUsage(payload.message?.usage);
+    }
+    if (event === 'message_delta' && payload.usage && usage) {
+      usage.outputTokens = payload.usage.output_tokens || usage.outputTokens;
+    }
+
+    if (event === 'content_block_delta' && payload.delta?.type === 'text_delta') {
+      text += payload.delta.text;
+      request.onToken(payload.delta.text);
+    }
+  });
+
+  return { text, usage };
+}
+
+/**
+ * Verify the key by listing models
+ *
+ * @param {Object} config - Resolved provider settings
+ * @returns {Promise<boolean>} True if the key was accepted
+ */
+async function testConnection(config) {
+  await axios.get(`${config.baseUrl}/v1/models`, {
+    headers: buildHeaders(config),
+    timeout: 10000
+  });
+  return true;
+}
+
+/**
+ * Map an HTTP error response to a user-facing error
+ *
+ * @param {Error} error - Axios error with a response
+ * @returns {Error} Friendly error
+ */
+function mapError(error) {
+  const status = error.response.status;
+  const message = error.response.data?.error?.message || 'Unknown API error';
+
+  switch (status) {
+    case 401:
+      return new Error('Invalid API key. Please check your Anthropic API key in Settings.');
+    case 403:
+      return new Error('This Anthropic API key does not have access to the selected model.');
+    case 429:
+      return new Error('Rate limit exceeded. Please wait a moment before trying again.');
+    case 500:
+    case 502:
+    case 503:
+    case 529:  // Overloaded
+      return new Error('Anthropic service is temporarily unavailable. Please try again later.');
+    default:
+      return new Error(`API error: ${message}`);
+  }
+}
+
+module.exports = {
+  id: 'anthropic',
+  label: 'Anthropic',
+  defaultBaseUrl: 'https://api.anthropic.com',
+  defaultModel: 'claude-3-5-sonnet-latest',
+  requiresApiKey: true,
+  analyze,
+  testConnection,
+  mapError,
+  estimateImageTokens
+};
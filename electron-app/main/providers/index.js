@@ -0,0 +1,49 @@
+/**
+ * Provider Registry
+ * Vision backends selectable in Settings. Every provider exposes the same
+ * shape: analyze(), testConnection(), mapError() and estimateImageTokens()
+ * for its own API.
+ */
+
+const { openaiProvider, openaiCompatibleProvider } = require('./openai');
+const anthropicProvider = require('./anthropic');
+
+const DEFAULT_PROVIDER = 'openai';
+
+const providers = [
+  openaiProvider,
+  openaiCompatibleProvider,
+  anthropicProvider
+];
+
+/**
+ * Look up a provider by id, falling back to the default provider
+ *
+ * @param {string} id - Provider identifier
+ * @returns {Object} Provider implementation
+ */
+function getProvider(id) {
+  return providers.find(provider => provider.id === id)
+    || providers.find(provider => provider.id === DEFAULT_PROVIDER);
+}
+
+/**
+ * Describe available providers for the settings UI
+ *
+ * @returns {Array} Serializable provider descriptions
+ */
+function listProviders() {
+  return providers.map(({ id, label, defaultBaseUrl, defaultModel, requiresApiKey }) => ({
+    id,
+    label,
+    defaultBaseUrl,
+    defaultModel,
+    requiresApiKey
+  }));
+}
+
+module.exports = {
+  DEFAULT_PROVIDER,
+  getProvider,
+  listProviders
+};
@@ -0,0 +1,249 @@
+/**
+ * OpenAI Provider
+ * Chat Completions backend, shared by OpenAI itself and by any
+ * OpenAI-compatible server (Ollama, LM Studio, vLLM, ...)
+ */
+
+const axios = require('axios');
+const { readEventStream } = require('./sse');
+
+/**
+ * Convert provider-neutral messages into Chat Completions messages
+ *
+ * @param {string} systemPrompt - System prompt
+ * @param {Array} messages - Messages of shape { role, text, images }
+ * @returns {Array} Chat Completions message list
+ */
+function toChatMessages(systemPrompt, messages) {
+  const chatMessages = [
+    {
+      role: 'system',
+      content: systemPrompt
+    }
+  ];
+
+  for (const message of messages) {
+    if (!message.images || message.images.length === 0) {
+      chatMessages.push({ role: message.role, content: message.text });
+      continue;
+    }
+
+    chatMessages.push({
+      role: message.role,
+      content: [
+        {
+          type: 'text',
+          text: message.text
+        },
+        ...message.images.map(image => ({
+          type: 'image_url',
+          image_url: {
+            url: `data:${image.mediaType};base64,${image.data}`,
+            detail: image.detail || 'high'  // Use high detail for better analysis
+          }
+        }))
+      ]
+    });
+  }
+
+  return chatMessages;
+}
+
+/**
+ * Convert a Chat Completions usage object to { inputTokens, outputTokens }
+ *
+ * @param {Object} usage - { prompt_tokens, completion_tokens }, may be missing
+ * @returns {Object|null} Token counts, or null if not reported
+ */
+function toUsage(usage) {
+  if (!usage) return null;
+  return {
+    inputTokens: usage.prompt_tokens || 0,
+    outputTokens: usage.completion_tokens || 0
+  };
+}
+
+/**
+ * Estimate the input tokens of an image
+ * Low detail is a flat cost; high detail scales the image to fit 2048x2048 with
+ * the short side at most 768 pixels and charges per 512-pixel tile
+ *
+ * @param {Object} image - { width, height, detail }
+ * @returns {number} Estimated tokens
+ */
+function estimateImageTokens({ width, height, detail }) {
+  if (detail === 'low') return 85;
+
+  const fit = Math.min(1, 2048 / Math.max(width, height));
+  const shortSide = Math.min(1, 768 / (Math.min(width, height) * fit));
+  const scale = fit * shortSide;
+  const tiles = Math.ceil(width * scale / 512) * Math.ceil(height * scale / 512);
+  return 85 + 170 * tiles;
+}
+
+/**
+ * Create a provider speaking the OpenAI Chat Completions protocol
+ *
+ * @param {Object} options - Provider description
+ * @param {string} options.id - Provider identifier stored in settings
+ * @param {string} options.label - Human readable name
+ * @param {string} options.defaultBaseUrl - Base URL used when none is configured
+ * @param {string} options.defaultModel - Model used when none is configured
+ * @param {boolean} options.requiresApiKey - Whether requests fail without a key
+ * @param {boolean} options.supportsJsonSchema - Whether the server enforces response_format JSON schemas
+ * @returns {Object} Provider implementation
+ */
+function createOpenAIProvider({ id, label, defaultBaseUrl, defaultModel, requiresApiKey, supportsJsonSchema = false }) {
+  function buildHeaders(config) {
+    const headers = {
+      'Content-Type': 'application/json'
+    };
+    // Local servers usually accept any key, so only send one when present
+    if (config.apiKey) {
+      headers['Authorization'] = `Bearer ${config.apiKey}`;
+    }
+    return headers;
+  }
+
+  /**
+   * Send a chat completion request
+   * Streams the completion when request.onToken is given; request.responseSchema
+   * ({ name, schema }) is enforced where the server supports it
+   *
+   * @param {Object} config - Resolved { baseUrl, model, apiKey, timeout }
+   * @param {Object} request - { systemPrompt, messages, maxTokens, onToken, responseSchema }
+   * @returns {Promise<{text: string, usage: Object|null}>} Completion text and
+   *   { inputTokens, outputTokens } if the server reported usage
+   */
+  async function analyze(config, request) {
+    const stream = typeof request.onToken === 'function';
+
+    const response = await axios.post(
+      `${config.baseUrl}/chat/completions`,
+      {
+        model: config.model,
+        messages: toChatMessages(request.systemPrompt, request.messages),
+        max_tokens: request.maxTokens,
+        stream,
+        // Ask for a final chunk with token usage when streaming
+        ...(stream && { stream_options: { include_usage: true } }),
+        ...(supportsJsonSchema && request.responseSchema && {
+          response_format: {
+            type: 'json_schema',
+            json_schema: { ...request.responseSchema, strict: true }
+          }
+        })
+      },
+      {
+        headers: buildHeaders(config),
+        timeout: config.timeout,
+        responseType: stream ? 'stream' : 'json'
+      }
+    );
+
+    if (!stream) {
+      return {
+        text: response.data.choices?.[0]?.message?.content || '',
+        usage: toUsage(response.data.usage)
+      };
+    }
+
+    let text = '';
+    let usage = null;
+    await readEventStream(response.data, ({ data }) => {
+      if (data === '[DONE]') return;
+
+      const chunk = JSON.parse(data);
+      if (chunk.error) {
+        throw new Error(`API error: ${chunk.error.message || 'Stream error'}`);
+      }
+
+      if (chunk.usage) {
+        usage = toUsage(chunk.usage);
+      }
+
+      const delta = chunk.choices?.[0]?.delta?.content;
+      if (delta) {
+        text += delta;
+        request.onToken(delta);
+      }
+    });
+
+    return { text, usage };
+  }
+
+  /**
+   * Verify the base URL and key by listing models
+   *
+   * @param {Object} config - Resolved provider settings
+   * @returns {Promise<boolean>} True if the server accepted the request
+   */
+  async function testConnection(config) {
+    await axios.get(`${config.baseUrl}/models`, {
+      headers: buildHeaders(config),
+      timeout: 10000
+    });
+    return true;
+  }
+
+  /**
+   * Map an HTTP error response to a user-facing error
+   *
+   * @param {Error} error - Axios error with a response
+   * @param {Object} config - Resolved provider settings
+   * @returns {Error} Friendly error
+   */
+  function mapError(error, config) {
+    const status = error.response.status;
+    const message = error.response.data?.error?.message || 'Unknown API error';
+
+    switch (status) {
+      case 401:
+        return new Error(`Invalid API key. Please check your ${label} API key in Settings.`);
+      case 404:
+        return new Error(`Model "${config.model}" or endpoint not found at ${config.baseUrl}.`);
+      case 429:
+        return new Error('Rate limit exceeded. Please wait a moment before trying again.');
+      case 500:
+      case 502:
+      case 503:
+        return new Error(`${label} service is temporarily unavailable. Please try again later.`);
+      default:
+        return new Error(`API error: ${message}`);
+    }
+  }
+
+  return {
+    id,
+    label,
+    defaultBaseUrl,
+    defaultModel,
+    requiresApiKey,
+    analyze,
+    testConnection,
+    mapError,
+    estimateImageTokens
+  };
+}
+
+const openaiProvider = createOpenAIProvider({
+  id: 'openai',
+  label: 'OpenAI',
+  defaultBaseUrl: 'https://api.openai.com/v1',
+  defaultModel: 'gpt-4o',  // Vision-capable model
+  requiresApiKey: true,
+  supportsJsonSchema: true
+});
+
+const openaiCompatibleProvider = createOpenAIProvider({
+  id: 'openai-compatible',
+  label: 'OpenAI-compatible server',
+  defaultBaseUrl: 'http://localhost:11434/v1',  // Ollama
+  defaultModel: 'llava',
+  requiresApiKey: false
+});
+
+module.exports = {
+  openaiProvider,
+  openaiCompatibleProvider
+};
@@ -0,0 +1,119 @@
+/**
+ * Server-Sent Events Helpers
+ * Parses streamed HTTP responses shared by the streaming providers
+ */
+
+/**
+ * Read a server-sent event stream until it ends
+ * 
+ * @param {Readable} stream - Response body stream
+ * @param {Function} onEvent - Called with { event, data } for every event
+ * @returns {Promise<void>} Resolves when the stream ends
+ */
+function readEventStream(stream, onEvent) {
+  return new Promise((resolve, reject) => {
+    let buffer = '';
+    // A \r ending a chunk may be the first half of a \r\n split across chunks
+    let carry = '';
+    let failed = false;
+
+    const fail = (error) => {
+      if (failed) return;
+      failed = true;
+      stream.destroy();
+      reject(error);
+    };
+
+    const dispatch = (block) => {
+      let event = 'message';
+      const data = [];
+
+      for (const line of block.split('\n')) {
+        if (line.startsWith(':')) continue;  // Comment / keep-alive
+
+        const separator = line.indexOf(':');
+        const field = separator === -1 ? line : line.slice(0, separator);
+        const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+
+        if (field === 'event') {
+          event = value;
+        } else if (field === 'data') {
+          data.push(value);
+        }
+      }
+
+      if (data.length > 0) {
+        onEvent({ event, data: data.join('\n') });
+      }
+    };
+
+    stream.setEncoding('utf8');
+
+    stream.on('data', (chunk) => {
+      let text = carry + chunk;
+      carry = '';
+      if (text.endsWith('\r')) {
+        carry = '\r';
+        text = text.slice(0, -1);
+      }
+      buffer += text.replace(/\r\n?/g, '\n');
+
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const block = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+        try {
+          dispatch(block);
+        } catch (error) {
+          fail(error);
+          return;
+        }
+      }
+    });
+
+    stream.on('end', () => {
+      if (failed) return;
+      if (carry) {
+        buffer += '\n';
+      }
+      try {
+        if (buffer.trim()) {
+          dispatch(buffer);
+        }
+        resolve();
+      } catch (error) {
+        fail(error);
+      }
+    });
+
+    stream.on('error', fail);
+  });
+}
+
+/**
+ * Collect a whole response body stream and parse it as JSON when possible
+ * Used for error responses of streaming requests
+ * 
+ * @param {Readable} stream - Response body stream
+ * @returns {Promise<Object|string>} Parsed body
+ */
+function readStreamBody(stream) {
+  return new Promise((resolve) => {
+    let body = '';
+    stream.setEncoding('utf8');
+    stream.on('data', (chunk) => { body += chunk; });
+    stream.on('end', () => {
+      try {
+        resolve(JSON.parse(body));
+      } catch (error) {
+        resolve(body);
+      }
+    });
+    stream.on('error', () => resolve(body));
+  });
+}
+
+module.exports = {
+  readEventStream,
+  readStreamBody
+};
@@ -0,0 +1,153 @@
+/**
+ * Capture Queue Module
+ * Captures taken while the provider is unreachable, kept on disk under
+ * userData until they can be analyzed
+ */
+
+const { app } = require('electron');
+const Store = require('electron-store');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { log } = require('./logger');
+
+// Oldest captures are dropped beyond this many
+const MAX_QUEUED = 50;
+
+let queueStore = null;
+let imageDir = null;
+
+/**
+ * Initialize the queue store
+ * Must be called after the app is ready
+ */
+function initQueue() {
+  queueStore = new Store({
+    name: 'queue',
+    defaults: {
+      items: []  // Oldest first
+    }
+  });
+
+  imageDir = path.join(app.getPath('userData'), 'queue');
+  fs.mkdirSync(imageDir, { recursive: true });
+
+  const count = queueStore.get('items').length;
+  if (count > 0) {
+    log('info', `Capture queue loaded: ${count} waiting`);
+  }
+}
+
+/**
+ * Delete the screenshots of queued items
+ */
+function removeFiles(items) {
+  for (const item of items) {
+    for (const fileName of item.images) {
+      fs.rm(path.join(imageDir, fileName), { force: true }, () => {});
+    }
+  }
+}
+
+/**
+ * Queue a capture for later analysis
+ *
+ * @param {Object} capture - { timestamp, presetId, presetName, systemPrompt, prompt, display }
+ * @param {Array<string>} screenshots - Base64 PNG images of the capture
+ * @returns {Object} The queued item
+ */
+function enqueueCapture(capture, screenshots) {
+  const id = crypto.randomUUID();
+  const images = screenshots.map((screenshot, index) => {
+    const fileName = `${id}-${index}.png`;
+    fs.writeFileSync(path.join(imageDir, fileName), Buffer.from(screenshot, 'base64'));
+    return fileName;
+  });
+
+  const item = { ...capture, id, images };
+  const items = queueStore.get('items');
+  items.push(item);
+
+  if (items.length > MAX_QUEUED) {
+    const dropped = items.splice(0, items.length - MAX_QUEUED);
+    removeFiles(dropped);
+    log('warn', `Capture queue full, dropped ${dropped.length} oldest`);
+  }
+
+  queueStore.set('items', items);
+  log('info', `Queued capture for later analysis (${items.length} waiting)`);
+  return item;
+}
+
+/**
+ * Get the oldest queued capture with its screenshots
+ * Items whose screenshots are missing are discarded
+ *
+ * @returns {Object|null} Queued item with screenshots as base64, or null if the queue is empty
+ */
+function peekQueue() {
+  for (const item of queueStore.get('items')) {
+    try {
+      const screenshots = item.images.map(fileName =>
+        fs.readFileSync(path.join(imageDir, fileName)).toString('base64'));
+      return { ...item, screenshots };
+    } catch (error) {
+      log('warn', `Discarding queued capture with missing screenshots: ${error.message}`);
+      discardQueued(item.id);
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the number of queued captures
+ */
+function getQueueLength() {
+  return queueStore.get('items').length;
+}
+
+/**
+ * Summarize the queue for the status panel
+ *
+ * @returns {Object} { length, oldest } where oldest is the timestamp of the oldest capture
+ */
+function getQueueStatus() {
+  const items = queueStore.get('items');
+  return {
+    length: items.length,
+    oldest: items.length > 0 ? items[0].timestamp : null
+  };
+}
+
+/**
+ * Remove a queued capture and its screenshots
+ *
+ * @param {string} id - Item id
+ */
+function discardQueued(id) {
+  const items = queueStore.get('items');
+  const index = items.findIndex(item => item.id === id);
+  if (index === -1) return;
+
+  removeFiles(items.splice(index, 1));
+  queueStore.set('items', items);
+}
+
+/**
+ * Remove every queued capture
+ */
+function clearQueue() {
+  removeFiles(queueStore.get('items'));
+  queueStore.set('items', []);
+  log('info', 'Capture queue cleared');
+}
+
+module.exports = {
+  initQueue,
+  enqueueCapture,
+  peekQueue,
+  getQueueLength,
+  getQueueStatus,
+  discardQueued,
+  clearQueue
+};
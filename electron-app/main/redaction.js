@@ -0,0 +1,125 @@
+/**
+ * Redaction Module
+ * Blacks out or blurs user-defined rectangles on screenshots before they
+ * leave the machine
+ */
+
+const { nativeImage } = require('electron');
+const { log } = require('./logger');
+
+// Blurred areas are shrunk by this factor and scaled back up, which leaves
+// only colour blobs and makes text unreadable
+const BLUR_FACTOR = 24;
+
+/**
+ * Convert a mask given as fractions of the image into pixel bounds
+ * 
+ * @param {Object} mask - { x, y, width, height } between 0 and 1
+ * @param {Object} size - { width, height } of the image
+ * @returns {Object|null} { x, y, width, height } in pixels, or null if empty
+ */
+function toPixelRect(mask, size) {
+  const left = Math.max(0, Math.floor(mask.x * size.width));
+  const top = Math.max(0, Math.floor(mask.y * size.height));
+  const right = Math.min(size.width, Math.ceil((mask.x + mask.width) * size.width));
+  const bottom = Math.min(size.height, Math.ceil((mask.y + mask.height) * size.height));
+
+  if (right <= left || bottom <= top) {
+    return null;
+  }
+  return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+/**
+ * Fill a rectangle of a BGRA bitmap with opaque black
+ */
+function fillBlack(bitmap, imageWidth, rect) {
+  for (let y = rect.y; y < rect.y + rect.height; y++) {
+    const rowStart = (y * imageWidth + rect.x) * 4;
+    for (let i = 0; i < rect.width * 4; i += 4) {
+      bitmap[rowStart + i] = 0;
+      bitmap[rowStart + i + 1] = 0;
+      bitmap[rowStart + i + 2] = 0;
+      bitmap[rowStart + i + 3] = 255;
+    }
+  }
+}
+
+/**
+ * Replace a rectangle of a BGRA bitmap with a blurred copy of itself
+ */
+function fillBlurred(bitmap, image, rect) {
+  const imageWidth = image.getSize().width;
+  const blurred = image
+    .crop(rect)
+    .resize({
+      width: Math.max(1, Math.round(rect.width / BLUR_FACTOR)),
+      height: Math.max(1, Math.round(rect.height / BLUR_FACTOR)),
+      quality: 'good'
+    })
+    .resize({ width: rect.width, height: rect.height, quality: 'good' })
+    .toBitmap();
+
+  const rowBytes = rect.width * 4;
+  for (let y = 0; y < rect.height; y++) {
+    blurred.copy(bitmap, ((rect.y + y) * imageWidth + rect.x) * 4, y * rowBytes, (y + 1) * rowBytes);
+  }
+}
+
+/**
+ * Apply redaction masks to a screenshot
+ * 
+ * @param {string} base64Image - Base64 PNG image
+ * @param {Array} masks - [{ x, y, width, height, style }] with coordinates as
+ *   fractions of the image and style 'black' or 'blur'
+ * @returns {string} Base64 PNG with the masked areas redacted
+ */
+function redactImage(base64Image, masks) {
+  if (!masks || masks.length === 0) {
+    return base64Image;
+  }
+
+  const image = nativeImage.createFromBuffer(Buffer.from(base64Image, 'base64'));
+  const size = image.getSize();
+  const bitmap = image.toBitmap();
+
+  // Blurs are made from the original pixels, so black masks go last and
+  // a blur overlapping one can't bring back what it hides
+  const ordered = masks.filter(mask => mask.style === 'blur')
+    .concat(masks.filter(mask => mask.style !== 'blur'));
+
+  let applied = 0;
+  for (const mask of ordered) {
+    const rect = toPixelRect(mask, size);
+    if (!rect) continue;
+
+    if (mask.style === 'blur') {
+      fillBlurred(bitmap, image, rect);
+    } else {
+      fillBlack(bitmap, size.width, rect);
+    }
+    applied++;
+  }
+
+  log('info', `Applied ${applied} redaction mask(s)`);
+  return nativeImage.createFromBitmap(bitmap, size).toPNG().toString('base64');
+}
+
+/**
+ * Select the masks that apply to a display
+ * When the display is unknown every mask applies, so a mask bound to a
+ * display is never skipped for a screenshot that may show that display
+ * 
+ * @param {Array} masks - All configured masks
+ * @param {string|null} displayId - Capture display id, null if unknown
+ * @returns {Array} Masks without a display or for this display, or all masks
+ */
+function masksForDisplay(masks, displayId) {
+  if (displayId === null || displayId === undefined) return masks || [];
+  return (masks || []).filter(mask => !mask.displayId || String(mask.displayId) === String(displayId));
+}
+
+module.exports = {
+  redactImage,
+  masksForDisplay
+};
@@ -0,0 +1,14 @@
+/**
+ * Region Overlay Preload Script
+ * Exposes only the selection result channels to the region overlay
+ */
+
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('regionAPI', {
+  // Report the dragged rectangle in overlay pixels
+  submit: (selection) => ipcRenderer.send('region-selected', selection),
+  
+  // Close the overlay without capturing
+  cancel: () => ipcRenderer.send('region-cancelled')
+});
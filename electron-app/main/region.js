@@ -0,0 +1,123 @@
+/**
+ * Region Selection Module
+ * Shows a transparent full-screen overlay where the user drags a rectangle
+ * to capture only part of a display
+ */
+
+const { BrowserWindow, ipcMain, screen } = require('electron');
+const path = require('path');
+const { log } = require('./logger');
+
+// Selections smaller than this (in DIP) are treated as accidental clicks
+const MIN_SELECTION_SIZE = 8;
+
+let overlayWindow = null;
+
+/**
+ * Convert a selection in overlay pixels to fractions of the display
+ * Fractions stay valid when the display resolution or scale changes
+ * 
+ * @param {Object} selection - { x, y, width, height, viewWidth, viewHeight }
+ * @returns {Object} { x, y, width, height } between 0 and 1
+ */
+function normalizeSelection(selection) {
+  const clamp = (value) => Math.min(1, Math.max(0, value));
+  const left = clamp(selection.x / selection.viewWidth);
+  const top = clamp(selection.y / selection.viewHeight);
+  const right = clamp((selection.x + selection.width) / selection.viewWidth);
+  const bottom = clamp((selection.y + selection.height) / selection.viewHeight);
+
+  return {
+    x: left,
+    y: top,
+    width: right - left,
+    height: bottom - top
+  };
+}
+
+/**
+ * Let the user select a region on the display under the mouse cursor
+ * 
+ * @returns {Promise<Object|null>} { region: { displayId, x, y, width, height }, watch }
+ *   with coordinates as fractions of the display, or null if cancelled
+ */
+function selectRegion() {
+  if (overlayWindow) {
+    overlayWindow.focus();
+    return Promise.resolve(null);
+  }
+
+  return new Promise((resolve) => {
+    const display = screen.getDisplayNearestPoint(screen.getCursorScreenPoint());
+    let settled = false;
+
+    overlayWindow = new BrowserWindow({
+      ...display.bounds,
+      frame: false,
+      transparent: true,
+      resizable: false,
+      movable: false,
+      minimizable: false,
+      maximizable: false,
+      fullscreenable: false,
+      skipTaskbar: true,
+      hasShadow: false,
+      enableLargerThanScreen: true,
+      show: false,
+      webPreferences: {
+        preload: path.join(__dirname, 'region-preload.js'),
+        contextIsolation: true,
+        nodeIntegration: false
+      }
+    });
+    const overlay = overlayWindow;
+
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+
+      ipcMain.removeListener('region-selected', onSelected);
+      ipcMain.removeListener('region-cancelled', onCancelled);
+      overlayWindow = null;
+      if (!overlay.isDestroyed()) {
+        overlay.close();
+      }
+      resolve(result);
+    };
+
+    const onSelected = (event, selection) => {
+      if (event.sender !== overlay.webContents) return;
+
+      if (selection.width < MIN_SELECTION_SIZE || selection.height < MIN_SELECTION_SIZE) {
+        log('info', 'Region selection too small, ignoring');
+        finish(null);
+        return;
+      }
+
+      const region = { displayId: display.id, ...normalizeSelection(selection) };
+      log('info', `Region selected on display ${display.id}: ${JSON.stringify(region)}`);
+      finish({ region, watch: Boolean(selection.watch) });
+    };
+
+    const onCancelled = (event) => {
+      if (event.sender !== overlay.webContents) return;
+      log('info', 'Region selection cancelled');
+      finish(null);
+    };
+
+    ipcMain.on('region-selected', onSelected);
+    ipcMain.on('region-cancelled', onCancelled);
+    overlay.on('closed', () => finish(null));
+
+    overlay.setAlwaysOnTop(true, 'screen-saver');
+    overlay.loadFile(path.join(__dirname, '../renderer/region.html'));
+    overlay.once('ready-to-show', () => {
+      overlay.show();
+      overlay.focus();
+    });
+  });
+}
+
+module.exports = {
+  selectRegion
+};
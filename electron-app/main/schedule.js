@@ -0,0 +1,229 @@
+/**
+ * Schedule Module
+ * Decides when auto-capture pauses: outside the active hours of the weekly
+ * schedule, while the system is idle, locked or asleep, and while snoozed.
+ * Auto-capture keeps its timer and skips captures while paused.
+ */
+
+const { powerMonitor } = require('electron');
+const { log } = require('./logger');
+
+// How often idle time and the schedule are checked between captures
+const PAUSE_CHECK_INTERVAL = 15000;
+
+// Weekdays 9-18, weekends off; indexed by Date.getDay()
+const DEFAULT_SCHEDULE = {
+  enabled: false,
+  days: Array.from({ length: 7 }, (_, day) => ({ enabled: day >= 1 && day <= 5, start: '09:00', end: '18:00' }))
+};
+
+let pauseStore = null;
+let onPauseChange = null;
+let checkTimer = null;
+let isLocked = false;
+let isSuspended = false;
+let snoozedUntil = null;
+let lastState = { paused: false, reason: null, message: null, until: null };
+
+/**
+ * Convert "HH:MM" to minutes after midnight
+ */
+function toMinutes(time) {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return (hours || 0) * 60 + (minutes || 0);
+}
+
+/**
+ * Check whether a time falls within the active hours of a schedule
+ * A range whose end is not after its start runs past midnight into the next day
+ *
+ * @param {Object} schedule - { enabled, days: [{ enabled, start, end }] } indexed by weekday
+ * @param {Date} date - Time to check
+ * @returns {boolean} Whether auto-capture may run; always true for a disabled schedule
+ */
+function isWithinSchedule(schedule, date = new Date()) {
+  if (!schedule || !schedule.enabled) return true;
+
+  const now = date.getHours() * 60 + date.getMinutes();
+  const today = schedule.days[date.getDay()];
+  const yesterday = schedule.days[(date.getDay() + 6) % 7];
+
+  if (today.enabled) {
+    const start = toMinutes(today.start);
+    const end = toMinutes(today.end);
+    if (start < end ? now >= start && now < end : now >= start) return true;
+  }
+  // Yesterday's range may still be running
+  return yesterday.enabled
+    && toMinutes(yesterday.end) <= toMinutes(yesterday.start)
+    && now < toMinutes(yesterday.end);
+}
+
+/**
+ * Find when the active hours of a schedule next begin
+ *
+ * @param {Object} schedule - Weekly schedule
+ * @param {Date} date - Time to search from
+ * @returns {Date|null} Start of the next active range, or null if no day is active
+ */
+function nextScheduleStart(schedule, date = new Date()) {
+  for (let offset = 0; offset <= 7; offset++) {
+    const day = schedule.days[(date.getDay() + offset) % 7];
+    if (!day.enabled) continue;
+
+    const start = new Date(date);
+    start.setDate(date.getDate() + offset);
+    start.setHours(0, toMinutes(day.start), 0, 0);
+    if (start > date) return start;
+  }
+  return null;
+}
+
+/**
+ * Format a time for pause messages, with the weekday when it isn't today
+ */
+function formatResumeTime(date) {
+  const sameDay = date.toDateString() === new Date().toDateString();
+  return date.toLocaleString([], {
+    ...(sameDay ? {} : { weekday: 'short' }),
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+}
+
+/**
+ * Work out whether auto-capture should pause right now
+ *
+ * @returns {Object} { paused, reason, message, until } where reason is 'suspended', 'locked',
+ *   'snoozed', 'idle' or 'schedule' and until is when the pause ends, if known
+ */
+function computePauseState() {
+  const now = new Date();
+  if (snoozedUntil && snoozedUntil <= now) {
+    snoozedUntil = null;
+  }
+
+  if (isSuspended) {
+    return { paused: true, reason: 'suspended', message: 'Paused while asleep', until: null };
+  }
+  if (isLocked) {
+    return { paused: true, reason: 'locked', message: 'Paused while locked', until: null };
+  }
+  if (snoozedUntil) {
+    return {
+      paused: true,
+      reason: 'snoozed',
+      message: `Snoozed until ${formatResumeTime(snoozedUntil)}`,
+      until: snoozedUntil.toISOString()
+    };
+  }
+
+  const idleMinutes = pauseStore.get('idleMinutes');
+  if (pauseStore.get('pauseWhenIdle') && powerMonitor.getSystemIdleTime() >= idleMinutes * 60) {
+    return { paused: true, reason: 'idle', message: `Paused after ${idleMinutes} min idle`, until: null };
+  }
+
+  const schedule = pauseStore.get('schedule');
+  if (!isWithinSchedule(schedule, now)) {
+    const next = nextScheduleStart(schedule, now);
+    return {
+      paused: true,
+      reason: 'schedule',
+      message: next ? `Outside active hours until ${formatResumeTime(next)}` : 'Outside active hours',
+      until: next ? next.toISOString() : null
+    };
+  }
+
+  return { paused: false, reason: null, message: null, until: null };
+}
+
+/**
+ * Recompute the pause state and report it if it changed
+ *
+ * @returns {Object} Current pause state
+ */
+function checkPause() {
+  const state = computePauseState();
+  if (state.reason !== lastState.reason || state.message !== lastState.message) {
+    if (state.paused !== lastState.paused || state.reason !== lastState.reason) {
+      log('info', state.paused ? `Auto-capture paused: ${state.message}` : 'Auto-capture resumed');
+    }
+    lastState = state;
+    if (onPauseChange) {
+      onPauseChange(state);
+    }
+  }
+  return lastState;
+}
+
+/**
+ * Start watching for idle, lock and sleep
+ * Must be called after the app is ready
+ *
+ * @param {Store} store - Electron store instance with schedule, pauseWhenIdle and idleMinutes
+ * @param {Function} onChange - Called with the pause state whenever it changes
+ */
+function initPauseMonitor(store, onChange) {
+  pauseStore = store;
+  onPauseChange = onChange;
+
+  powerMonitor.on('lock-screen', () => {
+    isLocked = true;
+    checkPause();
+  });
+  powerMonitor.on('unlock-screen', () => {
+    isLocked = false;
+    checkPause();
+  });
+  powerMonitor.on('suspend', () => {
+    isSuspended = true;
+    checkPause();
+  });
+  powerMonitor.on('resume', () => {
+    isSuspended = false;
+    checkPause();
+  });
+
+  checkTimer = setInterval(checkPause, PAUSE_CHECK_INTERVAL);
+  checkPause();
+}
+
+/**
+ * Stop the periodic pause check
+ */
+function stopPauseMonitor() {
+  if (checkTimer) {
+    clearInterval(checkTimer);
+    checkTimer = null;
+  }
+}
+
+/**
+ * Pause auto-capture for a while, or end the snooze early
+ *
+ * @param {number} minutes - Snooze length; 0 ends the snooze
+ * @returns {Object} Current pause state
+ */
+function snooze(minutes) {
+  snoozedUntil = minutes > 0 ? new Date(Date.now() + minutes * 60 * 1000) : null;
+  log('info', minutes > 0 ? `Auto-capture snoozed for ${minutes} min` : 'Snooze ended');
+  return checkPause();
+}
+
+/**
+ * Get the last computed pause state
+ *
+ * @returns {Object} { paused, reason, message, until }
+ */
+function getPauseState() {
+  return lastState;
+}
+
+module.exports = {
+  DEFAULT_SCHEDULE,
+  initPauseMonitor,
+  stopPauseMonitor,
+  checkPause,
+  snooze,
+  getPauseState
+};
@@ -4,29 +4,81 @@
  */
 
 const screenshot = require('screenshot-desktop');
+const { nativeImage, screen } = require('electron');
 const { log } = require('./logger');
 
 /**
- * Capture the current screen
- * Returns a base64-encoded image string
+ * Capture the screen according to the display mode
+ * Returns base64-encoded PNG images and a label of what was captured
  * 
- * @returns {Promise<string|null>} Base64 image data or null on failure
+ * Modes:
+ * - primary:  the primary display
+ * - display:  the display with options.displayId
+ * - cursor:   the display under the mouse cursor
+ * - stitched: all displays side by side in one image
+ * - separate: all displays as separate images
+ * - region:   part of a display, options.region as fractions of the display
+ * 
+ * options.processDisplayImage(base64, displayId) is applied to every display
+ * screenshot before it is cropped or stitched (used for redaction). displayId
+ * is null when the displays could not be listed.
+ * 
+ * @param {Object} options - { mode, displayId, region, processDisplayImage }
+ * @returns {Promise<{images: Array<string>, display: string}>} Captured images
  */
-async function captureScreen() {
+async function captureScreen(options = {}) {
+  const mode = options.mode || 'primary';
+  const processImage = options.processDisplayImage || (image => image);
+
   try {
-    log('info', 'Initiating screen capture...');
-    
-    // Capture all displays (returns array of buffers)
-    // For simplicity, we capture the primary display
-    const imgBuffer = await screenshot({ format: 'png' });
-    
-    // Convert buffer to base64
-    const base64Image = imgBuffer.toString('base64');
-    
-    log('info', `Screenshot captured: ${Math.round(imgBuffer.length / 1024)}KB`);
-    
-    return base64Image;
-    
+    log('info', `Initiating screen capture (${mode})...`);
+
+    const displays = await getDisplays();
+    const captureOne = async (display) => processImage(await captureDisplay(display.id), String(display.id));
+
+    if (mode === 'region') {
+      return await captureRegion(options.region, displays, captureOne);
+    }
+
+    if (mode === 'stitched' || mode === 'separate') {
+      const ordered = orderLeftToRight(displays);
+      const images = [];
+      for (const display of ordered) {
+        images.push(await captureOne(display));
+      }
+
+      if (mode === 'stitched' && images.length > 1) {
+        return { images: [stitchImages(images)], display: `All displays (${images.length}, stitched)` };
+      }
+      return { images, display: `All displays (${images.length})` };
+    }
+
+    let target = null;
+    if (mode === 'cursor') {
+      target = findDisplayUnderCursor(displays);
+    } else if (mode === 'display') {
+      target = displays.find(display => String(display.id) === String(options.displayId));
+      if (!target) {
+        log('warn', `Display ${options.displayId} not found, capturing the primary display`);
+      }
+    }
+
+    if (!target) {
+      target = matchDisplay(screen.getPrimaryDisplay(), displays);
+    }
+
+    if (!target) {
+      // Displays could not be listed; let screenshot-desktop pick the primary one
+      const imgBuffer = await screenshot({ format: 'png' });
+      log('info', `Screenshot captured: ${Math.round(imgBuffer.length / 1024)}KB`);
+      return { images: [processImage(imgBuffer.toString('base64'), null)], display: 'Primary display' };
+    }
+
+    return {
+      images: [await captureOne(target)],
+      display: describeDisplay(target, displays.indexOf(target))
+    };
+
   } catch (error) {
     log('error', `Screenshot capture failed: ${error.message}`);
     
@@ -65,6 +117,7 @@ async function getDisplays() {
 async function captureDisplay(displayId) {
   try {
     const imgBuffer = await screenshot({ screen: displayId, format: 'png' });
+    log('info', `Screenshot of display ${displayId} captured: ${Math.round(imgBuffer.length / 1024)}KB`);
     return imgBuffer.toString('base64');
   } catch (error) {
     log('error', `Failed to capture display ${displayId}: ${error.message}`);
@@ -72,8 +125,186 @@ async function captureDisplay(displayId) {
   }
 }
 
+/**
+ * Human readable label of a display
+ * 
+ * @param {Object} display - Display from getDisplays()
+ * @param {number} index - Position in the display list
+ * @returns {string} e.g. "Display 2: DELL U2720Q"
+ */
+function describeDisplay(display, index) {
+  return display.name ? `Display ${index + 1}: ${display.name}` : `Display ${index + 1}`;
+}
+
+/**
+ * Physical origin of a display as reported by screenshot-desktop, if known
+ * Windows reports left/top, Linux offsetX/offsetY, macOS neither
+ */
+function captureOrigin(display) {
+  if (typeof display.left === 'number') {
+    return { x: display.left, y: display.top };
+  }
+  if (typeof display.offsetX === 'number') {
+    return { x: display.offsetX, y: display.offsetY };
+  }
+  return null;
+}
+
+/**
+ * Match an Electron display to a screenshot-desktop display
+ * 
+ * @param {Object} electronDisplay - Display from Electron's screen module
+ * @param {Array} displays - Displays from getDisplays()
+ * @returns {Object|null} Matching capture display
+ */
+function matchDisplay(electronDisplay, displays) {
+  // Closest physical origin, where screenshot-desktop reports one
+  const withOrigin = displays.filter(display => captureOrigin(display));
+  if (withOrigin.length === displays.length && displays.length > 0) {
+    const expectedX = electronDisplay.bounds.x * electronDisplay.scaleFactor;
+    const expectedY = electronDisplay.bounds.y * electronDisplay.scaleFactor;
+    const distance = (display) => {
+      const origin = captureOrigin(display);
+      return Math.hypot(origin.x - expectedX, origin.y - expectedY);
+    };
+    return withOrigin.reduce((best, display) => (distance(display) < distance(best) ? display : best));
+  }
+
+  // macOS uses the CoreGraphics display id on both sides
+  const byId = displays.find(display => String(display.id) === String(electronDisplay.id));
+  if (byId) return byId;
+
+  // Otherwise assume both list displays in the same order
+  const index = screen.getAllDisplays().findIndex(display => display.id === electronDisplay.id);
+  return displays[index] || null;
+}
+
+/**
+ * Find the capture display under the mouse cursor
+ * 
+ * @param {Array} displays - Displays from getDisplays()
+ * @returns {Object|null} Capture display
+ */
+function findDisplayUnderCursor(displays) {
+  const electronDisplay = screen.getDisplayNearestPoint(screen.getCursorScreenPoint());
+  return matchDisplay(electronDisplay, displays);
+}
+
+/**
+ * Order capture displays by their horizontal position
+ * 
+ * @param {Array} displays - Displays from getDisplays()
+ * @returns {Array} Displays from left to right
+ */
+function orderLeftToRight(displays) {
+  const position = new Map();
+  for (const electronDisplay of screen.getAllDisplays()) {
+    const match = matchDisplay(electronDisplay, displays);
+    if (match && !position.has(match)) {
+      position.set(match, electronDisplay.bounds.x);
+    }
+  }
+  return displays.slice().sort((a, b) => (position.get(a) || 0) - (position.get(b) || 0));
+}
+
+/**
+ * Capture part of a display
+ * 
+ * @param {Object} region - { displayId, x, y, width, height } with the Electron
+ *   display id and coordinates as fractions of that display
+ * @param {Array} displays - Displays from getDisplays()
+ * @param {Function} captureOne - Captures and processes one display
+ * @returns {Promise<{images: Array<string>, display: string}>} Cropped image
+ */
+async function captureRegion(region, displays, captureOne) {
+  const electronDisplay = screen.getAllDisplays().find(display => display.id === region.displayId)
+    || screen.getPrimaryDisplay();
+  const target = matchDisplay(electronDisplay, displays);
+
+  if (!target) {
+    throw new Error('Could not find the display of the selected region');
+  }
+
+  const image = await captureOne(target);
+  const label = describeDisplay(target, displays.indexOf(target));
+
+  return {
+    images: [cropImage(image, region)],
+    display: `Region of ${label}`
+  };
+}
+
+/**
+ * Crop an image to a rectangle given as fractions of its size
+ * 
+ * @param {string} base64Image - Base64 PNG image
+ * @param {Object} rect - { x, y, width, height } between 0 and 1
+ * @returns {string} Base64 PNG of the cropped image
+ */
+function cropImage(base64Image, rect) {
+  const image = nativeImage.createFromBuffer(Buffer.from(base64Image, 'base64'));
+  const { width, height } = image.getSize();
+
+  const x = Math.round(rect.x * width);
+  const y = Math.round(rect.y * height);
+  const cropped = image.crop({
+    x,
+    y,
+    width: Math.max(1, Math.min(width - x, Math.round(rect.width * width))),
+    height: Math.max(1, Math.min(height - y, Math.round(rect.height * height)))
+  });
+
+  const size = cropped.getSize();
+  log('info', `Cropped screenshot to ${size.width}x${size.height}`);
+  return cropped.toPNG().toString('base64');
+}
+
+/**
+ * Place images side by side in a single PNG
+ * 
+ * @param {Array<string>} base64Images - Base64 PNG images, left to right
+ * @returns {string} Base64 PNG of the combined image
+ */
+function stitchImages(base64Images) {
+  const parts = base64Images.map(data => {
+    const image = nativeImage.createFromBuffer(Buffer.from(data, 'base64'));
+    return { size: image.getSize(), bitmap: image.toBitmap() };
+  });
+
+  const width = parts.reduce((sum, part) => sum + part.size.width, 0);
+  const height = Math.max(...parts.map(part => part.size.height));
+  const canvas = Buffer.alloc(width * height * 4);  // Transparent black background
+
+  let offsetX = 0;
+  for (const part of parts) {
+    const rowBytes = part.size.width * 4;
+    for (let y = 0; y < part.size.height; y++) {
+      part.bitmap.copy(canvas, (y * width + offsetX) * 4, y * rowBytes, (y + 1) * rowBytes);
+    }
+    offsetX += part.size.width;
+  }
+
+  const stitched = nativeImage.createFromBitmap(canvas, { width, height });
+  log('info', `Stitched ${parts.length} displays into ${width}x${height}`);
+  return stitched.toPNG().toString('base64');
+}
+
+/**
+ * List displays for the settings UI
+ * 
+ * @returns {Promise<Array>} [{ id, label }]
+ */
+async function listDisplayOptions() {
+  const displays = await getDisplays();
+  return displays.map((display, index) => ({
+    id: String(display.id),
+    label: describeDisplay(display, index)
+  }));
+}
+
 module.exports = {
   captureScreen,
   getDisplays,
-  captureDisplay
+  captureDisplay,
+  listDisplayOptions
 };
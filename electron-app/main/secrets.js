@@ -0,0 +1,167 @@
+/**
+ * Secrets Module
+ * Provider API keys encrypted with the operating system's credential
+ * storage through safeStorage. Keys never leave the main process; the
+ * renderer only learns whether a key is set.
+ */
+
+const { safeStorage } = require('electron');
+const { log } = require('./logger');
+
+/**
+ * Check how keys can be protected on this system
+ * On Linux without a keyring, safeStorage falls back to a hardcoded
+ * password, which is no better than plain text
+ *
+ * @returns {Object} { encrypted, warning } where warning explains a missing protection
+ */
+function getKeyStorageStatus() {
+  if (!safeStorage.isEncryptionAvailable()) {
+    return {
+      encrypted: false,
+      warning: 'OS encryption is unavailable, so API keys are stored unencrypted in the settings file.'
+    };
+  }
+
+  if (process.platform === 'linux' && typeof safeStorage.getSelectedStorageBackend === 'function'
+      && safeStorage.getSelectedStorageBackend() === 'basic_text') {
+    return {
+      encrypted: false,
+      warning: 'No system keyring was found, so API keys are only obfuscated. Install GNOME Keyring or KWallet to encrypt them.'
+    };
+  }
+
+  return { encrypted: true, warning: null };
+}
+
+/**
+ * Encode a key for storage, encrypted when possible
+ *
+ * @param {string} apiKey - Plain text key
+ * @returns {Object} { value, encrypted }
+ */
+function sealKey(apiKey) {
+  if (safeStorage.isEncryptionAvailable()) {
+    return { value: safeStorage.encryptString(apiKey).toString('base64'), encrypted: true };
+  }
+  return { value: apiKey, encrypted: false };
+}
+
+/**
+ * Decode a stored key
+ *
+ * @param {Object} sealed - { value, encrypted }
+ * @returns {string} Plain text key, or '' if it can no longer be decrypted
+ */
+function unsealKey(sealed) {
+  if (!sealed || !sealed.value) return '';
+  if (!sealed.encrypted) return sealed.value;
+
+  try {
+    return safeStorage.decryptString(Buffer.from(sealed.value, 'base64'));
+  } catch (error) {
+    // Happens when the OS keychain entry was reset or the settings file was copied from another machine
+    log('error', `Could not decrypt stored API key: ${error.message}`);
+    return '';
+  }
+}
+
+/**
+ * Get the API key of a provider
+ *
+ * @param {Store} store - Electron store instance
+ * @param {string} providerId - Provider identifier
+ * @returns {string} Key, or '' if none is set
+ */
+function getApiKey(store, providerId) {
+  return unsealKey(store.get('apiKeys')[providerId]);
+}
+
+/**
+ * Store the API key of a provider
+ *
+ * @param {Store} store - Electron store instance
+ * @param {string} providerId - Provider identifier
+ * @param {string} apiKey - Plain text key
+ */
+function setApiKey(store, providerId, apiKey) {
+  const apiKeys = store.get('apiKeys');
+  apiKeys[providerId] = sealKey(apiKey.trim());
+  store.set('apiKeys', apiKeys);
+}
+
+/**
+ * Remove the API key of a provider
+ *
+ * @param {Store} store - Electron store instance
+ * @param {string} providerId - Provider identifier
+ */
+function clearApiKey(store, providerId) {
+  const apiKeys = store.get('apiKeys');
+  delete apiKeys[providerId];
+  store.set('apiKeys', apiKeys);
+}
+
+/**
+ * Describe which providers have a key, without revealing the keys
+ *
+ * @param {Store} store - Electron store instance
+ * @returns {Object} Provider id -> { set, encrypted }
+ */
+function listKeyStatus(store) {
+  const status = {};
+  for (const [providerId, sealed] of Object.entries(store.get('apiKeys'))) {
+    const apiKey = unsealKey(sealed);
+    if (!apiKey) continue;
+    status[providerId] = {
+      set: true,
+      encrypted: sealed.encrypted
+    };
+  }
+  return status;
+}
+
+/**
+ * Move plain text keys out of provider settings into encrypted storage,
+ * and encrypt keys saved while encryption was unavailable
+ *
+ * @param {Store} store - Electron store instance
+ */
+function migrateApiKeys(store) {
+  const providerSettings = store.get('providerSettings');
+  const apiKeys = store.get('apiKeys');
+  let migrated = 0;
+
+  for (const [providerId, settings] of Object.entries(providerSettings)) {
+    if (settings.apiKey === undefined) continue;
+    if (settings.apiKey && !apiKeys[providerId]) {
+      apiKeys[providerId] = sealKey(settings.apiKey);
+      migrated++;
+    }
+    delete settings.apiKey;
+  }
+
+  if (safeStorage.isEncryptionAvailable()) {
+    for (const [providerId, sealed] of Object.entries(apiKeys)) {
+      if (!sealed.encrypted) {
+        apiKeys[providerId] = sealKey(sealed.value);
+        migrated++;
+      }
+    }
+  }
+
+  store.set('providerSettings', providerSettings);
+  store.set('apiKeys', apiKeys);
+  if (migrated > 0) {
+    log('info', `Moved ${migrated} API key(s) to ${safeStorage.isEncryptionAvailable() ? 'encrypted' : 'unencrypted'} key storage`);
+  }
+}
+
+module.exports = {
+  getKeyStorageStatus,
+  getApiKey,
+  setApiKey,
+  clearApiKey,
+  listKeyStatus,
+  migrateApiKeys
+};
@@ -0,0 +1,157 @@
+/**
+ * Structured Analysis Module
+ * JSON schema for structured analyses (activity, application, problems and
+ * next steps), parsing and validation of model output, and a Markdown
+ * rendering used wherever plain analysis text is expected
+ */
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+const ANALYSIS_SCHEMA = {
+  type: 'object',
+  properties: {
+    activity: {
+      type: 'string',
+      description: 'What the user is currently doing, in one sentence'
+    },
+    application: {
+      type: 'string',
+      description: 'Name of the main application in focus, e.g. "Visual Studio Code"'
+    },
+    problems: {
+      type: 'array',
+      description: 'Errors, warnings or issues visible on screen; empty if there are none',
+      items: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' },
+          severity: { type: 'string', enum: SEVERITIES },
+          details: { type: 'string' }
+        },
+        required: ['title', 'severity', 'details'],
+        additionalProperties: false
+      }
+    },
+    nextSteps: {
+      type: 'array',
+      description: 'Concrete suggestions for what to do next',
+      items: { type: 'string' }
+    }
+  },
+  required: ['activity', 'application', 'problems', 'nextSteps'],
+  additionalProperties: false
+};
+
+// Sent to every provider; only some of them can enforce the schema themselves
+const STRUCTURED_INSTRUCTIONS = `Respond with a single JSON object and nothing else, matching this JSON schema:
+${JSON.stringify(ANALYSIS_SCHEMA)}
+Use an empty string for an unknown application and an empty array when there are no problems.`;
+
+/**
+ * Pull the JSON object out of a response, ignoring code fences and surrounding prose
+ *
+ * @param {string} text - Model output
+ * @returns {Object|null} Parsed value, or null if no JSON object could be parsed
+ */
+function extractJson(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end < start) return null;
+
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Parse and validate a structured analysis
+ * Small deviations (missing optional text, unknown severities, steps given
+ * as objects) are repaired; anything without an activity is rejected
+ *
+ * @param {string} text - Model output
+ * @returns {Object|null} { activity, application, problems: [{ title, severity, details }],
+ *   nextSteps: [string] }, or null if the output doesn't describe an analysis
+ */
+function parseStructured(text) {
+  const data = extractJson(String(text || ''));
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return null;
+  if (typeof data.activity !== 'string' || !data.activity.trim()) return null;
+
+  const problems = Array.isArray(data.problems) ? data.problems : [];
+  const nextSteps = Array.isArray(data.nextSteps) ? data.nextSteps : [];
+
+  return {
+    activity: data.activity.trim(),
+    application: typeof data.application === 'string' ? data.application.trim() : '',
+    problems: problems
+      .filter(problem => problem && typeof problem.title === 'string' && problem.title.trim())
+      .map(problem => ({
+        title: problem.title.trim(),
+        severity: SEVERITIES.includes(String(problem.severity).toLowerCase())
+          ? String(problem.severity).toLowerCase()
+          : 'medium',
+        details: typeof problem.details === 'string' ? problem.details.trim() : ''
+      })),
+    nextSteps: nextSteps
+      .map(step => (typeof step === 'string' ? step : step && (step.text || step.title)))
+      .filter(step => typeof step === 'string' && step.trim())
+      .map(step => step.trim())
+  };
+}
+
+/**
+ * Get the rank of a severity, higher is worse
+ *
+ * @param {string} severity - One of SEVERITIES
+ * @returns {number} Index in SEVERITIES, or -1 if unknown
+ */
+function severityRank(severity) {
+  return SEVERITIES.indexOf(severity);
+}
+
+/**
+ * Get the worst severity among an analysis' problems
+ *
+ * @param {Object|null} structured - Structured analysis
+ * @returns {string|null} Severity, or null if there are no problems
+ */
+function highestSeverity(structured) {
+  if (!structured || structured.problems.length === 0) return null;
+  return structured.problems.reduce((worst, problem) =>
+    (severityRank(problem.severity) > severityRank(worst) ? problem.severity : worst), 'low');
+}
+
+/**
+ * Render a structured analysis as Markdown
+ * This is the analysis text that search, exports, the tray and follow-ups see
+ *
+ * @param {Object} structured - Structured analysis
+ * @returns {string} Markdown
+ */
+function toMarkdown(structured) {
+  const lines = [`**${structured.application || 'Activity'}:** ${structured.activity}`];
+
+  if (structured.problems.length > 0) {
+    lines.push('', '### Problems');
+    for (const problem of structured.problems) {
+      lines.push(`- **[${problem.severity}] ${problem.title}**${problem.details ? ` — ${problem.details}` : ''}`);
+    }
+  }
+  if (structured.nextSteps.length > 0) {
+    lines.push('', '### Next Steps');
+    structured.nextSteps.forEach((step, index) => lines.push(`${index + 1}. ${step}`));
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  SEVERITIES,
+  ANALYSIS_SCHEMA,
+  STRUCTURED_INSTRUCTIONS,
+  parseStructured,
+  severityRank,
+  highestSeverity,
+  toMarkdown
+};
@@ -1,120 +1,166 @@
 /**
  * System Tray Module
  * Handles system tray / menu bar integration for background operation
+ * Menu items call main-process actions directly so they work while the window is hidden
  */
 
 const { Tray, Menu, nativeImage, app } = require('electron');
 const path = require('path');
 const { log } = require('./logger');
 
+const RECENT_LABEL_LENGTH = 48;
+
+// Snooze lengths offered in the menu, in minutes
+const SNOOZE_OPTIONS = [15, 30, 60, 120];
+
+// Icon color per status, used when no icon file exists for that status
+const STATUS_COLORS = {
+  idle: [138, 79, 255],      // Purple
+  capturing: [245, 158, 11], // Amber
+  error: [239, 68, 68]       // Red
+};
+
 let tray = null;
+let trayActions = {};
+
+// Everything the menu, icon and tooltip are built from
+const trayState = {
+  autoCapture: false,
+  status: 'idle',      // idle, capturing or error
+  error: null,         // Message of the last failed capture
+  pause: null,         // { reason, message } while auto-capture is paused
+  recent: []           // Recent history entries, newest first
+};
 
 /**
  * Create the system tray icon and menu
- * 
- * @param {BrowserWindow} mainWindow - Reference to the main window
- * @param {Store} store - Electron store instance for settings
+ *
+ * @param {Object} actions - Handlers for menu items: { showWindow, captureNow, captureRegion,
+ *   toggleAutoCapture, openSettings, showResult(id), copyLastAnalysis, snooze(minutes) }
+ * @param {Object} initialState - Initial { autoCapture, recent }
  * @returns {Tray} The created tray instance
  */
-function createTray(mainWindow, store) {
-  // Create tray icon (use template image on macOS for proper menu bar appearance)
-  const iconPath = process.platform === 'darwin' 
-    ? path.join(__dirname, '../assets/tray-iconTemplate.png')
-    : path.join(__dirname, '../assets/tray-icon.png');
-  
-  // Create a fallback icon if file doesn't exist
-  let icon;
-  try {
-    icon = nativeImage.createFromPath(iconPath);
-    if (icon.isEmpty()) {
-      // Create a simple default icon
-      icon = createDefaultIcon();
-    }
-  } catch (error) {
-    icon = createDefaultIcon();
-  }
-  
-  tray = new Tray(icon);
-  
-  // Set tooltip
-  tray.setToolTip('AI Screen Assistant');
-  
-  // Build initial context menu
-  const contextMenu = buildContextMenu(mainWindow, store, store.get('autoCapture'));
-  tray.setContextMenu(contextMenu);
-  
+function createTray(actions, initialState = {}) {
+  trayActions = actions;
+  Object.assign(trayState, initialState);
+
+  tray = new Tray(loadIcon(trayState.status));
+
   // Double-click to show window (Windows behavior)
   if (process.platform === 'win32') {
-    tray.on('double-click', () => {
-      if (mainWindow) {
-        mainWindow.show();
-        mainWindow.focus();
-      }
-    });
+    tray.on('double-click', () => trayActions.showWindow());
   }
-  
+
   // Single click to show window (macOS behavior)
   if (process.platform === 'darwin') {
-    tray.on('click', () => {
-      if (mainWindow) {
-        mainWindow.show();
-        mainWindow.focus();
-      }
-    });
+    tray.on('click', () => trayActions.showWindow());
   }
-  
+
+  refreshTray();
   log('info', 'System tray created');
-  
+
   return tray;
 }
 
+/**
+ * Update tray state and rebuild the menu, icon and tooltip
+ *
+ * @param {Object} changes - Any of { autoCapture, status, error, pause, recent }
+ */
+function updateTray(changes) {
+  const statusChanged = changes.status !== undefined && changes.status !== trayState.status;
+  Object.assign(trayState, changes);
+
+  if (!tray) return;
+  if (statusChanged) {
+    tray.setImage(loadIcon(trayState.status));
+  }
+  refreshTray();
+}
+
+/**
+ * Rebuild the menu and tooltip from the current state
+ */
+function refreshTray() {
+  tray.setContextMenu(buildContextMenu());
+
+  const parts = [trayState.autoCapture ? 'Auto-capture ON' : 'Auto-capture OFF'];
+  if (trayState.autoCapture && trayState.pause) {
+    parts.push(trayState.pause.message);
+  }
+  if (trayState.status === 'capturing') {
+    parts.push('Analyzing...');
+  } else if (trayState.status === 'error' && trayState.error) {
+    // Windows truncates tooltips at 127 characters
+    parts.push(`Last capture failed: ${trayState.error.substring(0, 60)}`);
+  }
+  tray.setToolTip(`AI Screen Assistant - ${parts.join(' - ')}`);
+}
+
+/**
+ * Label a history entry for the recent results submenu
+ */
+function recentLabel(entry) {
+  const time = new Date(entry.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  const text = entry.analysis.replace(/\s+/g, ' ').trim();
+  const preview = text.length > RECENT_LABEL_LENGTH ? `${text.substring(0, RECENT_LABEL_LENGTH)}…` : text;
+  return `${time}  ${preview}`;
+}
+
 /**
  * Build the context menu for the tray
- * 
- * @param {BrowserWindow} mainWindow - Reference to the main window
- * @param {Store} store - Electron store instance
- * @param {boolean} isAutoCaptureEnabled - Current auto-capture status
+ *
  * @returns {Menu} The built context menu
  */
-function buildContextMenu(mainWindow, store, isAutoCaptureEnabled) {
+function buildContextMenu() {
+  const recentItems = trayState.recent.length > 0
+    ? trayState.recent.map(entry => ({
+      label: recentLabel(entry),
+      click: () => trayActions.showResult(entry.id)
+    }))
+    : [{ label: 'No results yet', enabled: false }];
+
   return Menu.buildFromTemplate([
     {
       label: 'Show AI Screen Assistant',
-      click: () => {
-        if (mainWindow) {
-          mainWindow.show();
-          mainWindow.focus();
-        }
-      }
+      click: () => trayActions.showWindow()
     },
     { type: 'separator' },
     {
       label: 'Capture Now',
-      click: () => {
-        if (mainWindow) {
-          mainWindow.webContents.send('trigger-capture');
-        }
-      }
+      enabled: trayState.status !== 'capturing',
+      click: () => trayActions.captureNow()
     },
     {
-      label: isAutoCaptureEnabled ? '✓ Auto-Capture Enabled' : 'Auto-Capture Disabled',
-      click: () => {
-        const newState = !isAutoCaptureEnabled;
-        if (mainWindow) {
-          mainWindow.webContents.send('toggle-auto-from-tray', newState);
-        }
-      }
+      label: 'Capture Region',
+      enabled: trayState.status !== 'capturing',
+      click: () => trayActions.captureRegion()
+    },
+    {
+      label: 'Auto-Capture',
+      type: 'checkbox',
+      checked: trayState.autoCapture,
+      click: () => trayActions.toggleAutoCapture()
+    },
+    {
+      label: 'Snooze Auto-Capture',
+      enabled: trayState.autoCapture,
+      submenu: buildSnoozeMenu()
+    },
+    { type: 'separator' },
+    {
+      label: 'Recent Results',
+      submenu: recentItems
+    },
+    {
+      label: 'Copy Last Analysis',
+      enabled: trayState.recent.length > 0,
+      click: () => trayActions.copyLastAnalysis()
     },
     { type: 'separator' },
     {
       label: 'Settings',
-      click: () => {
-        if (mainWindow) {
-          mainWindow.show();
-          mainWindow.focus();
-          mainWindow.webContents.send('open-settings');
-        }
-      }
+      click: () => trayActions.openSettings()
     },
     { type: 'separator' },
     {
@@ -128,63 +174,77 @@ function buildContextMenu(mainWindow, store, isAutoCaptureEnabled) {
 }
 
 /**
- * Update the tray menu when auto-capture status changes
- * 
- * @param {Tray} trayInstance - The tray instance to update
- * @param {boolean} isAutoCaptureEnabled - New auto-capture status
- * @param {Store} store - Electron store instance
+ * Build the snooze submenu, with a way to end a running snooze
+ *
+ * @returns {Array} Menu item templates
+ */
+function buildSnoozeMenu() {
+  const items = SNOOZE_OPTIONS.map(minutes => ({
+    label: minutes < 60 ? `${minutes} Minutes` : `${minutes / 60} Hour${minutes > 60 ? 's' : ''}`,
+    click: () => trayActions.snooze(minutes)
+  }));
+
+  if (trayState.pause && trayState.pause.reason === 'snoozed') {
+    items.push({ type: 'separator' }, { label: 'Resume Now', click: () => trayActions.snooze(0) });
+  }
+  return items;
+}
+
+/**
+ * Load the tray icon for a status
+ * Looks for tray-icon.png, tray-icon-capturing.png and tray-icon-error.png
+ * (with a Template suffix on macOS) and falls back to a generated icon
+ *
+ * @param {string} status - idle, capturing or error
+ * @returns {NativeImage} The icon
  */
-function updateTrayMenu(trayInstance, isAutoCaptureEnabled, store) {
-  if (!trayInstance) return;
-  
-  // Get mainWindow from the global reference
-  const { BrowserWindow } = require('electron');
-  const mainWindow = BrowserWindow.getAllWindows()[0];
-  
-  const contextMenu = buildContextMenu(mainWindow, store, isAutoCaptureEnabled);
-  trayInstance.setContextMenu(contextMenu);
-  
-  // Update tooltip to reflect status
-  const status = isAutoCaptureEnabled ? 'Auto-capture ON' : 'Auto-capture OFF';
-  trayInstance.setToolTip(`AI Screen Assistant - ${status}`);
+function loadIcon(status) {
+  const suffix = status === 'idle' ? '' : `-${status}`;
+  const fileName = process.platform === 'darwin'
+    ? `tray-icon${suffix}Template.png`
+    : `tray-icon${suffix}.png`;
+
+  try {
+    const icon = nativeImage.createFromPath(path.join(__dirname, '../assets', fileName));
+    if (!icon.isEmpty()) {
+      return icon;
+    }
+  } catch (error) {
+    // Fall through to the generated icon
+  }
+  return createDefaultIcon(STATUS_COLORS[status] || STATUS_COLORS.idle);
 }
 
 /**
  * Create a simple default icon programmatically
  * Used as fallback when icon files are missing
- * 
+ *
+ * @param {Array<number>} color - [r, g, b]
  * @returns {NativeImage} A simple default icon
  */
-function createDefaultIcon() {
+function createDefaultIcon([red, green, blue]) {
   // Create a simple 16x16 icon
   const size = 16;
   const canvas = Buffer.alloc(size * size * 4);
-  
-  // Fill with a simple pattern (purple circle)
+
+  // Fill with a filled circle, pixels in BGRA order
   for (let y = 0; y < size; y++) {
     for (let x = 0; x < size; x++) {
       const idx = (y * size + x) * 4;
       const centerX = size / 2;
       const centerY = size / 2;
       const distance = Math.sqrt(Math.pow(x - centerX, 2) + Math.pow(y - centerY, 2));
-      
+
       if (distance <= size / 2 - 1) {
-        // Purple color
-        canvas[idx] = 138;     // R
-        canvas[idx + 1] = 79;  // G
-        canvas[idx + 2] = 255; // B
-        canvas[idx + 3] = 255; // A
-      } else {
-        // Transparent
-        canvas[idx] = 0;
-        canvas[idx + 1] = 0;
-        canvas[idx + 2] = 0;
-        canvas[idx + 3] = 0;
+        canvas[idx] = blue;
+        canvas[idx + 1] = green;
+        canvas[idx + 2] = red;
+        canvas[idx + 3] = 255;
       }
     }
   }
-  
-  return nativeImage.createFromBuffer(canvas, { width: size, height: size });
+
+  return nativeImage.createFromBitmap(canvas, { width: size, height: size });
 }
 
 /**
@@ -199,6 +259,6 @@ function destroyTray() {
 
 module.exports = {
   createTray,
-  updateTrayMenu,
+  updateTray,
   destroyTray
 };
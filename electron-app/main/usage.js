@@ -0,0 +1,254 @@
+/**
+ * Usage Module
+ * Records token usage per request, estimates cost from list prices and
+ * checks spending against the configured daily and monthly budgets
+ */
+
+const Store = require('electron-store');
+const { log } = require('./logger');
+
+// List prices in USD per million tokens, matched by model name prefix
+// (longest match wins). Update when providers change their pricing.
+const MODEL_PRICING = [
+  { prefix: 'gpt-4o-mini', input: 0.15, output: 0.60 },
+  { prefix: 'gpt-4o', input: 2.50, output: 10.00 },
+  { prefix: 'gpt-4.1-nano', input: 0.10, output: 0.40 },
+  { prefix: 'gpt-4.1-mini', input: 0.40, output: 1.60 },
+  { prefix: 'gpt-4.1', input: 2.00, output: 8.00 },
+  { prefix: 'gpt-4-turbo', input: 10.00, output: 30.00 },
+  { prefix: 'o4-mini', input: 1.10, output: 4.40 },
+  { prefix: 'claude-3-5-haiku', input: 0.80, output: 4.00 },
+  { prefix: 'claude-3-haiku', input: 0.25, output: 1.25 },
+  { prefix: 'claude-3-5-sonnet', input: 3.00, output: 15.00 },
+  { prefix: 'claude-3-7-sonnet', input: 3.00, output: 15.00 },
+  { prefix: 'claude-sonnet-4', input: 3.00, output: 15.00 },
+  { prefix: 'claude-3-opus', input: 15.00, output: 75.00 },
+  { prefix: 'claude-opus-4', input: 15.00, output: 75.00 }
+];
+
+// Share of a budget at which a warning is shown
+const WARNING_RATIO = 0.8;
+
+// Days of usage kept
+const RETENTION_DAYS = 400;
+
+let usageStore = null;
+
+/**
+ * Initialize the usage store
+ */
+function initUsage() {
+  usageStore = new Store({
+    name: 'usage',
+    defaults: {
+      days: {},    // 'YYYY-MM-DD' -> 'provider/model' -> totals
+      alerts: {}   // 'daily:warning' etc. -> period the alert was last shown for
+    }
+  });
+}
+
+/**
+ * Local calendar day of a date, e.g. "2024-05-31"
+ */
+function dayKey(date = new Date()) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Local calendar month of a date, e.g. "2024-05"
+ */
+function monthKey(date = new Date()) {
+  return dayKey(date).slice(0, 7);
+}
+
+/**
+ * Find the list price of a model
+ *
+ * @param {string} model - Model name
+ * @returns {Object|null} { input, output } per million tokens, or null if unknown
+ */
+function findPricing(model) {
+  const name = (model || '').toLowerCase();
+  let best = null;
+  for (const price of MODEL_PRICING) {
+    if (name.startsWith(price.prefix) && (!best || price.prefix.length > best.prefix.length)) {
+      best = price;
+    }
+  }
+  return best;
+}
+
+/**
+ * Estimate the cost of a request
+ *
+ * @param {string} model - Model name
+ * @param {Object} usage - { inputTokens, outputTokens }
+ * @param {boolean} free - True for local servers, which cost nothing
+ * @returns {number|null} Cost in USD, or null if the model's price is unknown
+ */
+function estimateCost(model, usage, free = false) {
+  if (free) return 0;
+  const pricing = findPricing(model);
+  if (!pricing) return null;
+  return (usage.inputTokens * pricing.input + usage.outputTokens * pricing.output) / 1e6;
+}
+
+/**
+ * Zeroed usage totals of a model
+ */
+function emptyTotals(provider, model) {
+  return {
+    provider,
+    model,
+    requests: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    cost: 0,
+    unpriced: 0  // Requests whose cost could not be estimated
+  };
+}
+
+/**
+ * Record the usage of one request
+ *
+ * @param {Object} record - { provider, model, usage: { inputTokens, outputTokens } | null, free }
+ * @returns {Object} { inputTokens, outputTokens, cost } with cost null if unknown
+ */
+function recordUsage({ provider, model, usage, free }) {
+  const tokens = usage || { inputTokens: 0, outputTokens: 0 };
+  const cost = estimateCost(model, tokens, free);
+
+  const days = usageStore.get('days');
+  const today = dayKey();
+  const key = `${provider}/${model}`;
+  if (!days[today]) days[today] = {};
+  if (!days[today][key]) days[today][key] = emptyTotals(provider, model);
+  const totals = days[today][key];
+
+  totals.requests++;
+  totals.inputTokens += tokens.inputTokens;
+  totals.outputTokens += tokens.outputTokens;
+  if (cost === null) {
+    totals.unpriced++;
+  } else {
+    totals.cost += cost;
+  }
+
+  // Drop days beyond the retention period
+  const cutoff = dayKey(new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000));
+  for (const day of Object.keys(days)) {
+    if (day < cutoff) delete days[day];
+  }
+
+  usageStore.set('days', days);
+
+  if (!usage) {
+    log('warn', `${provider} did not report token usage for ${model}`);
+  }
+  return { ...tokens, cost };
+}
+
+/**
+ * Add up per-model totals of the days matching a filter
+ */
+function sumDays(filter) {
+  const days = usageStore.get('days');
+  const byModel = {};
+
+  for (const [day, models] of Object.entries(days)) {
+    if (!filter(day)) continue;
+    for (const [key, totals] of Object.entries(models)) {
+      if (!byModel[key]) byModel[key] = emptyTotals(totals.provider, totals.model);
+      const sum = byModel[key];
+      sum.requests += totals.requests;
+      sum.inputTokens += totals.inputTokens;
+      sum.outputTokens += totals.outputTokens;
+      sum.cost += totals.cost;
+      sum.unpriced += totals.unpriced;
+    }
+  }
+
+  const models = Object.values(byModel).sort((a, b) => b.cost - a.cost || b.requests - a.requests);
+  const total = { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0, unpriced: 0 };
+  for (const item of models) {
+    total.requests += item.requests;
+    total.inputTokens += item.inputTokens;
+    total.outputTokens += item.outputTokens;
+    total.cost += item.cost;
+    total.unpriced += item.unpriced;
+  }
+
+  return { total, models };
+}
+
+/**
+ * Get the estimated spend of the current day or month
+ *
+ * @param {string} period - 'daily' or 'monthly'
+ * @returns {number} Cost in USD
+ */
+function getSpend(period) {
+  const today = dayKey();
+  const month = monthKey();
+  return sumDays(day => (period === 'daily' ? day === today : day.startsWith(month))).total.cost;
+}
+
+/**
+ * Summarize usage for the usage panel
+ *
+ * @returns {Object} { today, month, models } where models are this month's per-model totals
+ */
+function getUsageSummary() {
+  const today = dayKey();
+  const month = monthKey();
+  const monthly = sumDays(day => day.startsWith(month));
+
+  return {
+    today: sumDays(day => day === today).total,
+    month: monthly.total,
+    models: monthly.models
+  };
+}
+
+/**
+ * Compare spending with the budgets
+ * Each warning or overrun is flagged as new only the first time it is seen in a period
+ *
+ * @param {Object} budgets - { daily, monthly } in USD; 0 disables a budget
+ * @returns {Array} [{ period, level: 'warning'|'exceeded', spent, budget, isNew }]
+ */
+function checkBudgets({ daily, monthly }) {
+  const alerts = usageStore.get('alerts');
+  const results = [];
+  let changed = false;
+
+  for (const [period, budget, current] of [['daily', daily, dayKey()], ['monthly', monthly, monthKey()]]) {
+    if (!budget) continue;
+
+    const spent = getSpend(period);
+    const level = spent >= budget ? 'exceeded' : spent >= budget * WARNING_RATIO ? 'warning' : null;
+    if (!level) continue;
+
+    const alertKey = `${period}:${level}`;
+    const isNew = alerts[alertKey] !== current;
+    if (isNew) {
+      alerts[alertKey] = current;
+      changed = true;
+    }
+    results.push({ period, level, spent, budget, isNew });
+  }
+
+  if (changed) {
+    usageStore.set('alerts', alerts);
+  }
+  return results;
+}
+
+module.exports = {
+  initUsage,
+  recordUsage,
+  getUsageSummary,
+  checkBudgets
+};
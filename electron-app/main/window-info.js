@@ -0,0 +1,87 @@
+/**
+ * Window Info Module
+ * Best-effort lookup of the foreground window for prompt template variables
+ */
+
+const { execFile } = require('child_process');
+const { log } = require('./logger');
+
+const LOOKUP_TIMEOUT = 2000;
+
+const MAC_SCRIPT = `
+tell application "System Events"
+  set frontApp to first application process whose frontmost is true
+  set appName to name of frontApp
+  set windowTitle to ""
+  try
+    set windowTitle to name of front window of frontApp
+  end try
+end tell
+return appName & linefeed & windowTitle`;
+
+const WINDOWS_SCRIPT = `
+Add-Type @"
+using System;
+using System.Runtime.InteropServices;
+using System.Text;
+public class ForegroundWindow {
+  [DllImport("user32.dll")] public static extern IntPtr GetForegroundWindow();
+  [DllImport("user32.dll")] public static extern int GetWindowText(IntPtr hWnd, StringBuilder text, int count);
+  [DllImport("user32.dll")] public static extern uint GetWindowThreadProcessId(IntPtr hWnd, out uint processId);
+}
+"@
+$handle = [ForegroundWindow]::GetForegroundWindow()
+$title = New-Object System.Text.StringBuilder 512
+[void][ForegroundWindow]::GetWindowText($handle, $title, 512)
+$processId = 0
+[void][ForegroundWindow]::GetWindowThreadProcessId($handle, [ref]$processId)
+(Get-Process -Id $processId).ProcessName
+$title.ToString()`;
+
+/**
+ * Run a command and resolve with its trimmed stdout
+ */
+function run(command, args) {
+  return new Promise((resolve, reject) => {
+    execFile(command, args, { timeout: LOOKUP_TIMEOUT, windowsHide: true }, (error, stdout) => {
+      if (error) {
+        reject(error);
+      } else {
+        resolve(stdout.trim());
+      }
+    });
+  });
+}
+
+/**
+ * Get the application name and title of the foreground window
+ * Note: when a capture is started from this app's own window, that window is the one reported
+ * 
+ * @returns {Promise<{appName: string, windowTitle: string}>} Empty strings when unavailable
+ */
+async function getActiveWindowInfo() {
+  try {
+    if (process.platform === 'darwin') {
+      const [appName = '', windowTitle = ''] = (await run('osascript', ['-e', MAC_SCRIPT])).split('\n');
+      return { appName, windowTitle };
+    }
+
+    if (process.platform === 'win32') {
+      const output = await run('powershell.exe', ['-NoProfile', '-NonInteractive', '-Command', WINDOWS_SCRIPT]);
+      const [appName = '', windowTitle = ''] = output.split(/\r?\n/);
+      return { appName, windowTitle };
+    }
+
+    // Linux (X11) with xdotool installed
+    const windowTitle = await run('xdotool', ['getactivewindow', 'getwindowname']);
+    return { appName: '', windowTitle };
+
+  } catch (error) {
+    log('warn', `Could not determine active window: ${error.message}`);
+    return { appName: '', windowTitle: '' };
+  }
+}
+
+module.exports = {
+  getActiveWindowInfo
+};
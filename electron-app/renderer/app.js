@@ -6,27 +6,147 @@
 // DOM Elements
 const elements = {
   captureBtn: document.getElementById('capture-btn'),
+  regionBtn: document.getElementById('region-btn'),
+  presetSelect: document.getElementById('preset-select'),
+  questionForm: document.getElementById('question-form'),
+  questionInput: document.getElementById('question-input'),
+  questionBtn: document.getElementById('question-btn'),
+  recentQuestions: document.getElementById('recent-questions'),
   autoCaptureToggle: document.getElementById('auto-capture-toggle'),
   intervalDisplay: document.getElementById('interval-display'),
   statusIndicator: document.getElementById('status-indicator'),
   statusDot: document.querySelector('.status-dot'),
   statusText: document.querySelector('.status-text'),
+  queueStatus: document.getElementById('queue-status'),
+  queueText: document.getElementById('queue-text'),
+  retryQueueBtn: document.getElementById('retry-queue'),
+  discardQueueBtn: document.getElementById('discard-queue'),
   permissionStatus: document.getElementById('permission-status'),
   permissionText: document.querySelector('.permission-text'),
   resultsContent: document.getElementById('results-content'),
   lastCaptureTime: document.getElementById('last-capture-time'),
+  copyAnalysisBtn: document.getElementById('copy-analysis'),
+  chatPanel: document.getElementById('chat-panel'),
+  chatMessages: document.getElementById('chat-messages'),
+  chatForm: document.getElementById('chat-form'),
+  chatInput: document.getElementById('chat-input'),
+  chatSend: document.getElementById('chat-send'),
   historyPanel: document.getElementById('history-panel'),
   historyToggle: document.getElementById('history-toggle'),
   historyContent: document.getElementById('history-content'),
+  historySearch: document.getElementById('history-search'),
+  historySeverity: document.getElementById('history-severity'),
+  historyApplication: document.getElementById('history-application'),
+  clearHistoryBtn: document.getElementById('clear-history'),
+  historyList: document.getElementById('history-list'),
+  historyMore: document.getElementById('history-more'),
+  historyViewList: document.getElementById('history-view-list'),
+  historyViewTimeline: document.getElementById('history-view-timeline'),
+  timelinePrev: document.getElementById('timeline-prev'),
+  timelineNext: document.getElementById('timeline-next'),
+  timelineDate: document.getElementById('timeline-date'),
+  timelineZoom: document.getElementById('timeline-zoom'),
+  timelineTrack: document.getElementById('timeline-track'),
+  timelineAxis: document.getElementById('timeline-axis'),
+  timelineItems: document.getElementById('timeline-items'),
+  timelineScreenshot: document.getElementById('timeline-screenshot'),
+  timelineAnalysis: document.getElementById('timeline-analysis'),
+  hotkeyList: document.getElementById('hotkey-list'),
+  toggleDigestBtn: document.getElementById('toggle-digest'),
+  historyDigest: document.getElementById('history-digest'),
+  digestRange: document.getElementById('digest-range'),
+  digestFrom: document.getElementById('digest-from'),
+  digestTo: document.getElementById('digest-to'),
+  generateDigestBtn: document.getElementById('generate-digest'),
+  toggleExportBtn: document.getElementById('toggle-export'),
+  historyExport: document.getElementById('history-export'),
+  exportFormat: document.getElementById('export-format'),
+  exportImages: document.getElementById('export-images'),
+  exportFrom: document.getElementById('export-from'),
+  exportTo: document.getElementById('export-to'),
+  exportRangeBtn: document.getElementById('export-range'),
   settingsBtn: document.getElementById('settings-btn'),
   settingsModal: document.getElementById('settings-modal'),
   closeSettings: document.getElementById('close-settings'),
   cancelSettings: document.getElementById('cancel-settings'),
   saveSettings: document.getElementById('save-settings'),
+  providerSelect: document.getElementById('provider-select'),
+  baseUrlInput: document.getElementById('base-url'),
+  modelInput: document.getElementById('model-name'),
+  apiKeyLabel: document.getElementById('api-key-label'),
   apiKeyInput: document.getElementById('api-key'),
+  apiKeySet: document.getElementById('api-key-set'),
+  apiKeyMask: document.getElementById('api-key-mask'),
+  apiKeyEntry: document.getElementById('api-key-entry'),
+  apiKeyHint: document.getElementById('api-key-hint'),
+  replaceApiKeyBtn: document.getElementById('replace-api-key'),
+  clearApiKeyBtn: document.getElementById('clear-api-key'),
+  saveApiKeyBtn: document.getElementById('save-api-key'),
+  testConnectionBtn: document.getElementById('test-connection'),
+  connectionResult: document.getElementById('connection-result'),
   toggleApiKey: document.getElementById('toggle-api-key'),
   captureInterval: document.getElementById('capture-interval'),
+  adaptiveIntervalToggle: document.getElementById('adaptive-interval-toggle'),
+  intervalMin: document.getElementById('interval-min'),
+  intervalMax: document.getElementById('interval-max'),
   intervalValue: document.getElementById('interval-value'),
+  displaySelect: document.getElementById('display-select'),
+  watchRegionText: document.getElementById('watch-region-text'),
+  clearWatchRegionBtn: document.getElementById('clear-watch-region'),
+  maskDisplay: document.getElementById('mask-display'),
+  maskStyle: document.getElementById('mask-style'),
+  refreshRedactionPreview: document.getElementById('refresh-redaction-preview'),
+  redactionPreview: document.getElementById('redaction-preview'),
+  redactionPreviewImage: document.getElementById('redaction-preview-image'),
+  redactionMasks: document.getElementById('redaction-masks'),
+  redactionDraft: document.getElementById('redaction-draft'),
+  maskList: document.getElementById('mask-list'),
+  skipUnchangedToggle: document.getElementById('skip-unchanged-toggle'),
+  changeThreshold: document.getElementById('change-threshold'),
+  changeThresholdValue: document.getElementById('change-threshold-value'),
+  imageFormat: document.getElementById('image-format'),
+  imageDetail: document.getElementById('image-detail'),
+  imageMaxWidth: document.getElementById('image-max-width'),
+  imageMaxHeight: document.getElementById('image-max-height'),
+  imageQuality: document.getElementById('image-quality'),
+  imageQualityValue: document.getElementById('image-quality-value'),
+  imageGrayscaleToggle: document.getElementById('image-grayscale-toggle'),
+  dailyBudget: document.getElementById('daily-budget'),
+  monthlyBudget: document.getElementById('monthly-budget'),
+  snoozeSelect: document.getElementById('snooze-select'),
+  snoozeResume: document.getElementById('snooze-resume'),
+  scheduleToggle: document.getElementById('schedule-toggle'),
+  scheduleDays: document.getElementById('schedule-days'),
+  pauseIdleToggle: document.getElementById('pause-idle-toggle'),
+  idleMinutes: document.getElementById('idle-minutes'),
+  automationToggle: document.getElementById('automation-toggle'),
+  automationPort: document.getElementById('automation-port'),
+  automationStatus: document.getElementById('automation-status'),
+  automationToken: document.getElementById('automation-token'),
+  copyAutomationTokenBtn: document.getElementById('copy-automation-token'),
+  regenerateAutomationTokenBtn: document.getElementById('regenerate-automation-token'),
+  usagePanel: document.getElementById('usage-panel'),
+  usageToggle: document.getElementById('usage-toggle'),
+  usageTodayCost: document.getElementById('usage-today-cost'),
+  usageTodayDetail: document.getElementById('usage-today-detail'),
+  usageTodayBar: document.getElementById('usage-today-bar'),
+  usageMonthCost: document.getElementById('usage-month-cost'),
+  usageMonthDetail: document.getElementById('usage-month-detail'),
+  usageMonthBar: document.getElementById('usage-month-bar'),
+  usageModels: document.getElementById('usage-models'),
+  structuredOutputToggle: document.getElementById('structured-output-toggle'),
+  keepScreenshotsToggle: document.getElementById('keep-screenshots-toggle'),
+  digestSchedule: document.getElementById('digest-schedule'),
+  digestTime: document.getElementById('digest-time'),
+  autoCapturePreset: document.getElementById('auto-capture-preset'),
+  presetEditorSelect: document.getElementById('preset-editor-select'),
+  presetName: document.getElementById('preset-name'),
+  presetSystemPrompt: document.getElementById('preset-system-prompt'),
+  presetUserPrompt: document.getElementById('preset-user-prompt'),
+  newPresetBtn: document.getElementById('new-preset'),
+  duplicatePresetBtn: document.getElementById('duplicate-preset'),
+  savePresetBtn: document.getElementById('save-preset'),
+  deletePresetBtn: document.getElementById('delete-preset'),
   notificationsToggle: document.getElementById('notifications-toggle'),
   minimizeTrayToggle: document.getElementById('minimize-tray-toggle'),
   loadingOverlay: document.getElementById('loading-overlay'),
@@ -38,10 +158,84 @@ const elements = {
 let state = {
   isAutoCaptureEnabled: false,
   captureInterval: 10000,
-  analysisHistory: [],
-  settings: {}
+  // Interval until the next auto-capture, which varies in adaptive mode
+  effectiveInterval: null,
+  // Why auto-capture is paused: { paused, reason, message, until }
+  pause: null,
+  // Loaded page(s) of the history list
+  history: {
+    items: [],
+    total: 0,
+    page: 0,
+    query: '',
+    // Structured filters; '' for any
+    severity: '',
+    application: ''
+  },
+  // 'list' or 'timeline'
+  historyView: 'list',
+  // Day shown in the timeline, its captures (oldest first) and the selected one
+  timeline: {
+    date: null,
+    items: [],
+    positions: [],
+    selected: -1,
+    thumbnails: new Map(),
+    scrubbing: false
+  },
+  settings: {},
+  providers: [],
+  activeProviderId: null,
+  presets: [],
+  // Preset shown in the preset editor; null while creating a new one
+  editingPresetId: null,
+  displays: [],
+  // Unsaved redaction masks edited in the settings modal
+  maskDraft: [],
+  // Start point of a mask being dragged on the preview, as fractions
+  maskDragStart: null,
+  // Result element receiving streamed text, if a response is streaming
+  streamingElement: null,
+  streamingText: '',
+  // Question typed into the question box while its answer is on the way
+  pendingQuestion: null,
+  // History entry shown in the results panel, target of follow-up questions
+  currentEntry: null,
+  // Chat bubble receiving a streamed follow-up answer
+  chatStreamElement: null,
+  chatStreamText: '',
+  // Unsaved per-provider settings edited in the settings modal
+  providerDraft: {},
+  // Whether a new key is being entered for a provider that already has one
+  replacingApiKey: false
 };
 
+// Weekdays in the active hours editor, Monday first; day is the Date.getDay() index
+const SCHEDULE_DAYS = [
+  { day: 1, name: 'Monday' },
+  { day: 2, name: 'Tuesday' },
+  { day: 3, name: 'Wednesday' },
+  { day: 4, name: 'Thursday' },
+  { day: 5, name: 'Friday' },
+  { day: 6, name: 'Saturday' },
+  { day: 0, name: 'Sunday' }
+];
+
+// Elements waiting for a streamed Markdown re-render, with their text
+const pendingMarkdown = new Map();
+
+// Space before midnight and after the end of the day so edge captures aren't clipped
+const TIMELINE_PADDING = 30;
+// Captures skipped by Shift+Arrow, Page Up and Page Down
+const TIMELINE_STEP = 10;
+// Wait for scrubbing to settle before loading full screenshots
+const TIMELINE_DETAIL_DELAY = 120;
+const HOUR_MS = 60 * 60 * 1000;
+
+let timelineObserver = null;
+let timelineDetailTimer = null;
+const pendingThumbnails = new Set();
+
 /**
  * Initialize the application
  */
@@ -58,8 +252,18 @@ async function init() {
   // Set up IPC listeners
   setupIPCListeners();
   
-  // Load history from localStorage
-  loadHistory();
+  // Load history from the main process
+  await migrateLegacyHistory();
+  await loadHistory();
+  
+  // Suggest questions asked in earlier sessions
+  await loadRecentQuestions();
+  
+  // Show captures still queued from an earlier session
+  renderQueueStatus(await window.electronAPI.getQueue());
+  
+  // Warn about hotkeys that could not be registered at startup
+  await reportHotkeyConflicts();
   
   console.log('App initialized');
 }
@@ -70,19 +274,57 @@ async function init() {
 async function loadSettings() {
   try {
     state.settings = await window.electronAPI.getSettings();
+    state.providers = await window.electronAPI.getProviders();
+    state.presets = await window.electronAPI.getPresets();
+    state.pause = await window.electronAPI.getPauseState();
     
     // Update UI with current settings
     elements.autoCaptureToggle.checked = state.settings.autoCapture;
     state.isAutoCaptureEnabled = state.settings.autoCapture;
     state.captureInterval = state.settings.captureInterval;
+    state.effectiveInterval = state.settings.effectiveInterval;
     
     updateIntervalDisplay();
     updateAutoCapturStatus();
     
     // Update settings modal inputs
-    elements.apiKeyInput.value = state.settings.openaiApiKey || '';
+    populateProviderSettings();
+    renderPresetOptions();
+    await populateDisplayOptions();
+    renderWatchRegion();
+    state.maskDraft = (state.settings.redactionMasks || []).slice();
+    renderMasks();
     elements.captureInterval.value = state.settings.captureInterval / 1000;
     elements.intervalValue.textContent = `${state.settings.captureInterval / 1000} seconds`;
+    elements.adaptiveIntervalToggle.checked = state.settings.adaptiveInterval;
+    elements.intervalMin.value = state.settings.captureIntervalMin / 1000;
+    elements.intervalMax.value = state.settings.captureIntervalMax / 1000;
+    updateIntervalControls();
+    elements.skipUnchangedToggle.checked = state.settings.skipUnchanged;
+    elements.changeThreshold.value = state.settings.changeThreshold;
+    elements.changeThresholdValue.textContent = `${state.settings.changeThreshold}% change`;
+    elements.imageFormat.value = state.settings.imageFormat;
+    elements.imageDetail.value = state.settings.imageDetail;
+    elements.imageMaxWidth.value = state.settings.imageMaxWidth;
+    elements.imageMaxHeight.value = state.settings.imageMaxHeight;
+    elements.imageQuality.value = state.settings.imageQuality;
+    elements.imageQualityValue.textContent = `Quality ${state.settings.imageQuality}`;
+    elements.imageGrayscaleToggle.checked = state.settings.imageGrayscale;
+    updateImageQualityState();
+    elements.dailyBudget.value = state.settings.dailyBudget || '';
+    elements.monthlyBudget.value = state.settings.monthlyBudget || '';
+    renderSchedule(state.settings.schedule);
+    elements.pauseIdleToggle.checked = state.settings.pauseWhenIdle;
+    elements.idleMinutes.value = state.settings.idleMinutes;
+    elements.automationToggle.checked = state.settings.automationEnabled;
+    elements.automationPort.value = state.settings.automationPort;
+    elements.automationToken.value = state.settings.automationToken;
+    renderAutomationStatus(state.settings.automationStatus);
+    elements.structuredOutputToggle.checked = state.settings.structuredOutput;
+    elements.keepScreenshotsToggle.checked = state.settings.keepScreenshots;
+    elements.digestSchedule.value = state.settings.digestSchedule.mode;
+    elements.digestTime.value = state.settings.digestSchedule.time;
+    updateDigestTimeState();
     elements.notificationsToggle.checked = state.settings.showNotifications;
     elements.minimizeTrayToggle.checked = state.settings.minimizeToTray;
     
@@ -125,14 +367,94 @@ function setupEventListeners() {
   // Capture Now button
   elements.captureBtn.addEventListener('click', handleCaptureNow);
   
+  // Region capture button
+  elements.regionBtn.addEventListener('click', handleRegionCapture);
+  
+  // Free-form question about the screen
+  elements.questionForm.addEventListener('submit', handleAskQuestion);
+  
+  // Preset picker next to the capture button
+  elements.presetSelect.addEventListener('change', handlePresetChange);
+  
   // Auto-capture toggle
   elements.autoCaptureToggle.addEventListener('change', handleAutoCaptureToggle);
   
+  // Follow-up questions
+  elements.chatForm.addEventListener('submit', handleFollowUp);
+  
   // History panel toggle
   elements.historyToggle.addEventListener('click', () => {
     elements.historyPanel.classList.toggle('expanded');
   });
   
+  // History search, paging and clearing
+  let searchTimer = null;
+  elements.historySearch.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => {
+      state.history.query = elements.historySearch.value.trim();
+      loadHistory();
+    }, 250);
+  });
+  elements.historySeverity.addEventListener('change', () => {
+    state.history.severity = elements.historySeverity.value;
+    loadHistory();
+  });
+  elements.historyApplication.addEventListener('change', () => {
+    state.history.application = elements.historyApplication.value;
+    loadHistory();
+  });
+  elements.historyMore.addEventListener('click', () => loadHistory(state.history.page + 1));
+  
+  // Timeline view: day navigation, zoom and scrubbing with keyboard and mouse
+  elements.historyViewList.addEventListener('click', () => setHistoryView('list'));
+  elements.historyViewTimeline.addEventListener('click', () => setHistoryView('timeline'));
+  elements.timelinePrev.addEventListener('click', () => shiftTimelineDate(-1));
+  elements.timelineNext.addEventListener('click', () => shiftTimelineDate(1));
+  elements.timelineDate.addEventListener('change', () => {
+    if (!elements.timelineDate.value) return;
+    state.timeline.date = elements.timelineDate.value;
+    loadTimeline();
+  });
+  elements.timelineZoom.addEventListener('change', () => {
+    renderTimeline();
+    selectTimelineItem(state.timeline.selected);
+  });
+  elements.timelineTrack.addEventListener('keydown', handleTimelineKey);
+  elements.timelineTrack.addEventListener('pointerdown', handleTimelinePointer);
+  elements.timelineTrack.addEventListener('pointermove', handleTimelinePointer);
+  elements.timelineTrack.addEventListener('pointerup', endTimelineScrub);
+  elements.timelineTrack.addEventListener('pointercancel', endTimelineScrub);
+  elements.timelineTrack.addEventListener('wheel', (e) => {
+    // Scroll the time axis with a regular mouse wheel
+    if (Math.abs(e.deltaY) > Math.abs(e.deltaX)) {
+      e.preventDefault();
+      elements.timelineTrack.scrollLeft += e.deltaY;
+    }
+  }, { passive: false });
+  elements.clearHistoryBtn.addEventListener('click', handleClearHistory);
+  
+  // Usage panel toggle, refreshed whenever it is opened
+  elements.usageToggle.addEventListener('click', () => {
+    elements.usagePanel.classList.toggle('expanded');
+    if (elements.usagePanel.classList.contains('expanded')) {
+      loadUsage();
+    }
+  });
+  
+  // Export
+  elements.toggleDigestBtn.addEventListener('click', () => {
+    elements.historyDigest.classList.toggle('visible');
+  });
+  elements.digestRange.addEventListener('change', () => {
+    elements.historyDigest.classList.toggle('custom-range', elements.digestRange.value === 'custom');
+  });
+  elements.generateDigestBtn.addEventListener('click', handleGenerateDigest);
+  elements.toggleExportBtn.addEventListener('click', () => {
+    elements.historyExport.classList.toggle('visible');
+  });
+  elements.exportRangeBtn.addEventListener('click', handleExportRange);
+  
   // Settings modal
   elements.settingsBtn.addEventListener('click', openSettings);
   elements.closeSettings.addEventListener('click', closeSettings);
@@ -142,27 +464,103 @@ function setupEventListeners() {
   // Close modal on backdrop click
   elements.settingsModal.querySelector('.modal-backdrop').addEventListener('click', closeSettings);
   
+  // Provider selection
+  elements.providerSelect.addEventListener('change', () => {
+    storeProviderDraft(state.activeProviderId);
+    showProviderSettings(elements.providerSelect.value);
+  });
+  
+  // Preset editor
+  elements.presetEditorSelect.addEventListener('change', () => {
+    showPresetInEditor(elements.presetEditorSelect.value);
+  });
+  elements.newPresetBtn.addEventListener('click', () => showPresetInEditor(null));
+  elements.duplicatePresetBtn.addEventListener('click', duplicatePreset);
+  elements.savePresetBtn.addEventListener('click', handleSavePreset);
+  elements.deletePresetBtn.addEventListener('click', handleDeletePreset);
+  
+  // Privacy masks
+  elements.refreshRedactionPreview.addEventListener('click', refreshRedactionPreview);
+  elements.maskDisplay.addEventListener('change', refreshRedactionPreview);
+  elements.redactionPreview.addEventListener('mousedown', startMaskDrag);
+  document.addEventListener('mousemove', updateMaskDrag);
+  document.addEventListener('mouseup', finishMaskDrag);
+  
+  // Watch region
+  elements.clearWatchRegionBtn.addEventListener('click', handleClearWatchRegion);
+  
+  // Test provider connection
+  elements.testConnectionBtn.addEventListener('click', handleTestConnection);
+  
   // API key visibility toggle
   elements.toggleApiKey.addEventListener('click', () => {
     const input = elements.apiKeyInput;
     input.type = input.type === 'password' ? 'text' : 'password';
   });
   
+  // API keys are saved and cleared on their own, never with the other settings
+  elements.saveApiKeyBtn.addEventListener('click', handleSaveApiKey);
+  elements.clearApiKeyBtn.addEventListener('click', handleClearApiKey);
+  elements.replaceApiKeyBtn.addEventListener('click', () => {
+    state.replacingApiKey = true;
+    renderApiKeyStatus();
+    elements.apiKeyInput.focus();
+  });
+  
+  // Automation API token
+  elements.copyAutomationTokenBtn.addEventListener('click', () => {
+    if (elements.automationToken.value) {
+      copyText(elements.automationToken.value, 'Token copied');
+    }
+  });
+  elements.regenerateAutomationTokenBtn.addEventListener('click', handleRegenerateAutomationToken);
+  
   // Capture interval slider
   elements.captureInterval.addEventListener('input', (e) => {
     elements.intervalValue.textContent = `${e.target.value} seconds`;
   });
+  elements.adaptiveIntervalToggle.addEventListener('change', updateIntervalControls);
+  
+  // Change threshold slider
+  elements.changeThreshold.addEventListener('input', (e) => {
+    elements.changeThresholdValue.textContent = `${e.target.value}% change`;
+  });
+  
+  // Image upload quality only applies to lossy formats
+  elements.imageQuality.addEventListener('input', (e) => {
+    elements.imageQualityValue.textContent = `Quality ${e.target.value}`;
+  });
+  elements.imageFormat.addEventListener('change', updateImageQualityState);
+  
+  // The digest time only applies to daily digests
+  elements.digestSchedule.addEventListener('change', updateDigestTimeState);
+  
+  // Active hours
+  elements.scheduleToggle.addEventListener('change', () => {
+    elements.scheduleDays.classList.toggle('disabled', !elements.scheduleToggle.checked);
+  });
+  
+  // Snooze auto-capture; the select goes back to its placeholder after each choice
+  elements.snoozeSelect.addEventListener('change', handleSnooze);
+  
+  // Captures queued while offline
+  elements.retryQueueBtn.addEventListener('click', handleRetryQueue);
+  elements.discardQueueBtn.addEventListener('click', handleDiscardQueue);
+  
+  // Copy buttons of rendered code blocks and the whole answer
+  document.addEventListener('click', handleCopyCode);
+  elements.copyAnalysisBtn.addEventListener('click', () => {
+    if (state.currentEntry) {
+      copyText(state.currentEntry.analysis, 'Analysis copied');
+    }
+  });
   
-  // Keyboard shortcuts
+  // Keyboard shortcuts (capture shortcuts are global hotkeys registered by the main process)
   document.addEventListener('keydown', (e) => {
     // Escape to close modal
     if (e.key === 'Escape' && elements.settingsModal.classList.contains('open')) {
       closeSettings();
     }
-    // Ctrl/Cmd + Shift + C for instant capture
-    if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key === 'C') {
-      handleCaptureNow();
-    }
   });
 }
 
@@ -181,20 +579,98 @@ function setupIPCListeners() {
     setLoadingText('Analyzing with AI...');
   });
   
+  // Request failed and will be sent again automatically
+  window.electronAPI.onAnalysisRetry((retry) => {
+    const reason = retry.reason.charAt(0).toUpperCase() + retry.reason.slice(1);
+    const seconds = Math.max(1, Math.round(retry.delay / 1000));
+    setLoadingText(`${reason}, retrying in ${seconds}s (${retry.attempt}/${retry.maxRetries})...`);
+  });
+  
+  // Auto-capture skipped because the screen barely changed
+  window.electronAPI.onCaptureSkipped((data) => {
+    hideLoading();
+    setStatus('skipped', `Skipped at ${formatTime(data.timestamp)}: ${data.change}% change`);
+    refreshTimeline();
+  });
+  
+  // Partial analysis text while the response streams in
+  window.electronAPI.onAnalysisChunk((data) => {
+    appendAnalysisChunk(data.text);
+  });
+  
+  // Partial follow-up answer
+  window.electronAPI.onFollowUpChunk((data) => {
+    if (state.chatStreamElement && state.currentEntry && data.captureId === state.currentEntry.id) {
+      state.chatStreamText += data.text;
+      scheduleMarkdown(state.chatStreamElement, state.chatStreamText);
+      elements.chatMessages.scrollTop = elements.chatMessages.scrollHeight;
+    }
+  });
+  
   // Capture complete
   window.electronAPI.onCaptureComplete((data) => {
     hideLoading();
+    state.streamingElement = null;
     
     if (data.success) {
+      const entry = {
+        id: data.id,
+        presetName: data.presetName,
+        display: data.display,
+        question: data.question,
+        analysis: data.analysis,
+        structured: data.structured,
+        timestamp: data.timestamp,
+        usage: data.usage,
+        thread: []
+      };
       setStatus('ready', 'Ready');
-      displayAnalysis(data.analysis, data.timestamp);
-      addToHistory(data.analysis, data.timestamp);
+      renderPauseStatus();
+      showEntry(entry);
+      loadHistory();
       showToast('Analysis complete', 'success');
+    } else if (data.queued) {
+      setStatus('skipped', 'Offline, capture queued');
+      displayError(data.error);
+      showToast('Offline: capture queued for later', 'warning');
     } else {
       setStatus('error', 'Error');
       displayError(data.error);
       showToast(data.error, 'error');
     }
+    
+    // Successful captures refresh the timeline along with the history list
+    if (!data.success) {
+      refreshTimeline();
+    }
+  });
+  
+  // Adaptive interval changed
+  window.electronAPI.onCaptureInterval((data) => {
+    state.effectiveInterval = data.interval;
+    updateIntervalDisplay();
+  });
+  
+  // Auto-capture paused or resumed
+  window.electronAPI.onPauseChanged((pause) => {
+    state.pause = pause;
+    renderPauseStatus();
+  });
+  
+  // Queue length changed, possibly after queued captures were analyzed
+  window.electronAPI.onQueueUpdated((status) => {
+    renderQueueStatus(status);
+    if (status.analyzed > 0) {
+      loadHistory();
+      showToast(`Analyzed ${status.analyzed} queued ${status.analyzed === 1 ? 'capture' : 'captures'}`, 'success');
+    }
+  });
+  
+  // Watch region saved from the region overlay
+  window.electronAPI.onWatchRegionChanged((region) => {
+    state.settings.watchRegion = region;
+    renderWatchRegion();
+    showToast('Auto-capture will watch the selected region', 'success');
   });
   
   // Auto-capture status changed
@@ -203,6 +679,35 @@ function setupIPCListeners() {
     elements.autoCaptureToggle.checked = enabled;
     updateAutoCapturStatus();
   });
+  
+  // Token usage recorded, and budget warnings or overruns
+  window.electronAPI.onUsageUpdated(() => {
+    if (elements.usagePanel.classList.contains('expanded')) {
+      loadUsage();
+    }
+  });
+  
+  // Digest saved to history; scheduled ones are announced
+  window.electronAPI.onDigestComplete((digest) => {
+    loadHistory();
+    if (digest.scheduled) {
+      showToast(`Digest ready: ${digest.label}`, 'success');
+    }
+  });
+  
+  window.electronAPI.onBudgetAlert((alert) => {
+    showToast(alert.message, alert.level === 'exceeded' ? 'error' : 'warning');
+    loadUsage();
+  });
+  
+  // Tray menu: open settings or show one of the recent results
+  window.electronAPI.onOpenSettings(() => {
+    openSettings();
+  });
+  
+  window.electronAPI.onShowHistoryEntry((id) => {
+    openHistoryEntry(id);
+  });
 }
 
 /**
@@ -212,15 +717,67 @@ async function handleCaptureNow() {
   elements.captureBtn.disabled = true;
   
   try {
-    await window.electronAPI.captureNow();
+    await window.electronAPI.captureNow({ presetId: elements.presetSelect.value });
+  } catch (error) {
+    hideLoading();
+    showToast('Capture failed: ' + error.message, 'error');
+  } finally {
+    elements.captureBtn.disabled = false;
+  }
+}
+
+/**
+ * Capture the screen and ask the question typed into the question box
+ * instead of the preset's prompt
+ */
+async function handleAskQuestion(e) {
+  e.preventDefault();
+  
+  const question = elements.questionInput.value.trim();
+  if (!question) return;
+  
+  elements.questionBtn.disabled = true;
+  elements.captureBtn.disabled = true;
+  state.pendingQuestion = question;
+  
+  try {
+    await window.electronAPI.captureNow({ presetId: elements.presetSelect.value, question });
+    elements.questionInput.value = '';
+    await loadRecentQuestions();
   } catch (error) {
     hideLoading();
     showToast('Capture failed: ' + error.message, 'error');
   } finally {
+    state.pendingQuestion = null;
+    elements.questionBtn.disabled = false;
     elements.captureBtn.disabled = false;
   }
 }
 
+/**
+ * Offer recently asked questions as suggestions in the question box
+ */
+async function loadRecentQuestions() {
+  const questions = await window.electronAPI.getRecentQuestions();
+  elements.recentQuestions.replaceChildren(...questions.map(question => new Option(question)));
+}
+
+/**
+ * Handle "Region" button click
+ */
+async function handleRegionCapture() {
+  elements.regionBtn.disabled = true;
+  
+  try {
+    await window.electronAPI.captureRegion();
+  } catch (error) {
+    hideLoading();
+    showToast('Region capture failed: ' + error.message, 'error');
+  } finally {
+    elements.regionBtn.disabled = false;
+  }
+}
+
 /**
  * Handle auto-capture toggle
  */
@@ -253,14 +810,111 @@ function updateAutoCapturStatus() {
   } else {
     elements.captureBtn.classList.remove('auto-active');
   }
+  updateIntervalDisplay();
+  renderPauseStatus();
+}
+
+/**
+ * Show why auto-capture is paused in the status indicator, and offer
+ * snoozing while auto-capture is on
+ */
+function renderPauseStatus() {
+  const pause = state.isAutoCaptureEnabled && state.pause && state.pause.paused ? state.pause : null;
+  
+  elements.snoozeSelect.classList.toggle('visible', state.isAutoCaptureEnabled);
+  elements.snoozeResume.hidden = !pause || pause.reason !== 'snoozed';
+  
+  // A running capture keeps the indicator until it finishes
+  if (elements.statusDot.classList.contains('capturing')) return;
+  if (pause) {
+    setStatus('paused', pause.message);
+  } else if (elements.statusDot.classList.contains('paused')) {
+    setStatus('ready', 'Ready');
+  }
+}
+
+/**
+ * Snooze auto-capture for the chosen number of minutes, or resume it
+ */
+async function handleSnooze() {
+  const minutes = parseInt(elements.snoozeSelect.value, 10);
+  elements.snoozeSelect.value = '';
+  if (Number.isNaN(minutes)) return;
+  
+  try {
+    state.pause = await window.electronAPI.snoozeAutoCapture(minutes);
+    renderPauseStatus();
+  } catch (error) {
+    showToast('Failed to snooze auto-capture', 'error');
+  }
 }
 
 /**
  * Update interval display
  */
 function updateIntervalDisplay() {
-  const seconds = state.captureInterval / 1000;
-  elements.intervalDisplay.textContent = `Every ${seconds}s`;
+  if (!state.settings.adaptiveInterval) {
+    elements.intervalDisplay.textContent = `Every ${formatInterval(state.captureInterval)}`;
+  } else if (state.isAutoCaptureEnabled && state.effectiveInterval) {
+    elements.intervalDisplay.textContent = `Every ${formatInterval(state.effectiveInterval)} (adaptive)`;
+  } else {
+    const { captureIntervalMin, captureIntervalMax } = state.settings;
+    elements.intervalDisplay.textContent = `Adaptive ${formatInterval(captureIntervalMin)}–${formatInterval(captureIntervalMax)}`;
+  }
+}
+
+/**
+ * Format an interval, e.g. "45s" or "2m 30s"
+ * 
+ * @param {number} ms - Interval in milliseconds
+ */
+function formatInterval(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const rest = seconds % 60;
+  return `${Math.floor(seconds / 60)}m${rest ? ` ${rest}s` : ''}`;
+}
+
+/**
+ * Show how many captures are waiting for the connection to return
+ * 
+ * @param {Object} status - { length, oldest }
+ */
+function renderQueueStatus(status) {
+  elements.queueStatus.classList.toggle('visible', status.length > 0);
+  if (status.length === 0) return;
+  
+  const noun = status.length === 1 ? 'capture' : 'captures';
+  elements.queueText.textContent = `📥 ${status.length} ${noun} queued`;
+  elements.queueStatus.title = `Waiting since ${formatDateTime(status.oldest)}`;
+}
+
+/**
+ * Try analyzing queued captures now
+ */
+async function handleRetryQueue() {
+  elements.retryQueueBtn.disabled = true;
+  
+  try {
+    const status = await window.electronAPI.retryQueue();
+    if (status.length > 0) {
+      showToast(`${status.length} still queued, will retry automatically`, 'warning');
+    }
+  } catch (error) {
+    showToast('Failed to retry queued captures', 'error');
+  } finally {
+    elements.retryQueueBtn.disabled = false;
+  }
+}
+
+/**
+ * Delete queued captures without analyzing them
+ */
+async function handleDiscardQueue() {
+  if (!confirm('Discard all queued captures? They will not be analyzed.')) return;
+  
+  await window.electronAPI.discardQueue();
+  showToast('Queued captures discarded', 'success');
 }
 
 /**
@@ -275,159 +929,1757 @@ function setStatus(status, text) {
 }
 
 /**
- * Display analysis result
+ * Display analysis result, as cards when it is a structured analysis,
+ * below the question it answers if the user asked one
  */
-function displayAnalysis(analysis, timestamp) {
-  elements.resultsContent.innerHTML = `
-    <div class="analysis-text">${escapeHtml(analysis)}</div>
-  `;
+function displayAnalysis(analysis, timestamp, structured = null, question = null) {
+  elements.resultsContent.innerHTML = (question ? `<div class="analysis-question">${escapeHtml(question)}</div>` : '')
+    + (structured
+      ? renderStructured(structured)
+      : `<div class="analysis-text markdown">${window.markdown.render(analysis)}</div>`);
   
   elements.lastCaptureTime.textContent = formatTime(timestamp);
 }
 
 /**
- * Display error message
+ * Render a structured analysis as activity, problem and next step cards
  */
-function displayError(error) {
-  elements.resultsContent.innerHTML = `
-    <div class="error-message">
-      <strong>Error:</strong> ${escapeHtml(error)}
+function renderStructured({ activity, application, problems, nextSteps }) {
+  const cards = [`
+    <div class="analysis-card">
+      <div class="analysis-card-title">Current Activity</div>
+      ${application ? `<div class="analysis-card-app">${escapeHtml(application)}</div>` : ''}
+      <div>${escapeHtml(activity)}</div>
     </div>
-  `;
+  `];
+  
+  if (problems.length > 0) {
+    cards.push(`
+      <div class="analysis-card">
+        <div class="analysis-card-title">Problems</div>
+        ${problems.map(problem => `
+          <div class="problem">
+            <div class="problem-title">
+              <span class="severity-badge ${problem.severity}">${problem.severity}</span>
+              ${escapeHtml(problem.title)}
+            </div>
+            ${problem.details ? `<div class="problem-details">${escapeHtml(problem.details)}</div>` : ''}
+          </div>
+        `).join('')}
+      </div>
+    `);
+  }
+  
+  if (nextSteps.length > 0) {
+    cards.push(`
+      <div class="analysis-card">
+        <div class="analysis-card-title">Next Steps</div>
+        <ol>${nextSteps.map(step => `<li>${escapeHtml(step)}</li>`).join('')}</ol>
+      </div>
+    `);
+  }
+  
+  return `<div class="analysis-cards">${cards.join('')}</div>`;
 }
 
 /**
- * Add analysis to history
+ * Append streamed text to the analysis being received
  */
-function addToHistory(analysis, timestamp) {
-  state.analysisHistory.unshift({
-    analysis,
-    timestamp
-  });
-  
-  // Keep only last 10 items
-  if (state.analysisHistory.length > 10) {
-    state.analysisHistory.pop();
+function appendAnalysisChunk(text) {
+  if (!state.streamingElement) {
+    // First chunk: replace the loading overlay with the live result
+    hideLoading();
+    setStatus('capturing', 'Receiving...');
+    state.currentEntry = null;
+    elements.chatPanel.classList.remove('visible');
+    elements.copyAnalysisBtn.classList.remove('visible');
+    elements.resultsContent.innerHTML = (state.pendingQuestion ? `<div class="analysis-question">${escapeHtml(state.pendingQuestion)}</div>` : '')
+      + '<div class="analysis-text markdown streaming"></div>';
+    state.streamingElement = elements.resultsContent.querySelector('.analysis-text');
+    state.streamingText = '';
+    elements.lastCaptureTime.textContent = '';
   }
   
-  // Save to localStorage
-  localStorage.setItem('analysisHistory', JSON.stringify(state.analysisHistory));
+  state.streamingText += text;
+  scheduleMarkdown(state.streamingElement, state.streamingText);
+}
+
+/**
+ * Render streamed Markdown into an element on the next animation frame,
+ * so fast token streams don't re-render the whole answer for every chunk
+ */
+function scheduleMarkdown(element, text) {
+  if (pendingMarkdown.size === 0) {
+    requestAnimationFrame(() => {
+      pendingMarkdown.forEach((markdownText, target) => {
+        target.innerHTML = window.markdown.render(markdownText);
+      });
+      pendingMarkdown.clear();
+      elements.resultsContent.scrollTop = elements.resultsContent.scrollHeight;
+      elements.chatMessages.scrollTop = elements.chatMessages.scrollHeight;
+    });
+  }
+  pendingMarkdown.set(element, text);
+}
+
+/**
+ * Copy the code of a rendered code block
+ */
+function handleCopyCode(e) {
+  const button = e.target.closest('.copy-code');
+  if (!button) return;
   
-  // Update history UI
-  renderHistory();
+  const code = button.closest('.code-block').querySelector('code').textContent;
+  copyText(code).then(copied => {
+    if (!copied) return;
+    button.textContent = 'Copied';
+    setTimeout(() => { button.textContent = 'Copy'; }, 1500);
+  });
 }
 
 /**
- * Load history from localStorage
+ * Copy text to the clipboard
+ * 
+ * @param {string} text - Text to copy
+ * @param {string} message - Optional toast shown on success
+ * @returns {Promise<boolean>} Whether copying worked
  */
-function loadHistory() {
+async function copyText(text, message) {
   try {
-    const saved = localStorage.getItem('analysisHistory');
-    if (saved) {
-      state.analysisHistory = JSON.parse(saved);
-      renderHistory();
-    }
+    await navigator.clipboard.writeText(text);
+    if (message) showToast(message, 'success');
+    return true;
   } catch (error) {
-    console.error('Failed to load history:', error);
+    showToast('Could not copy to the clipboard', 'error');
+    return false;
   }
 }
 
 /**
- * Render history items
+ * Show a history entry with its follow-up conversation
  */
-function renderHistory() {
-  if (state.analysisHistory.length === 0) {
-    elements.historyContent.innerHTML = '<p class="no-history">No recent analyses</p>';
-    return;
+function showEntry(entry) {
+  state.currentEntry = entry;
+  state.chatStreamElement = null;
+  displayAnalysis(entry.analysis, entry.timestamp, entry.structured, entry.question);
+  if (entry.usage) {
+    elements.lastCaptureTime.textContent += ` · ${formatTokens(entry.usage.inputTokens + entry.usage.outputTokens)} tokens`
+      + (entry.usage.cost ? ` · ${formatCost(entry.usage.cost)}` : '');
   }
+  renderThread();
   
-  elements.historyContent.innerHTML = state.analysisHistory.map((item, index) => `
-    <div class="history-item" data-index="${index}">
-      <div class="history-item-time">${formatTime(item.timestamp)}</div>
-      <div class="history-item-preview">${escapeHtml(item.analysis.substring(0, 100))}...</div>
-    </div>
-  `).join('');
-  
-  // Add click handlers
-  elements.historyContent.querySelectorAll('.history-item').forEach(item => {
-    item.addEventListener('click', () => {
-      const index = parseInt(item.dataset.index);
-      const historyItem = state.analysisHistory[index];
-      displayAnalysis(historyItem.analysis, historyItem.timestamp);
-    });
-  });
+  // Follow-ups need the screenshot, so once it's gone the thread is read-only
+  const canFollowUp = entry.canFollowUp !== false;
+  elements.chatInput.disabled = !canFollowUp;
+  elements.chatSend.disabled = !canFollowUp;
+  elements.chatInput.placeholder = canFollowUp
+    ? 'Ask a follow-up question...'
+    : 'The screenshot is no longer available for follow-up questions';
+  elements.chatPanel.classList.add('visible');
+  elements.copyAnalysisBtn.classList.add('visible');
 }
 
 /**
- * Open settings modal
+ * Render the follow-up conversation of the current entry
  */
-function openSettings() {
-  elements.settingsModal.classList.add('open');
+function renderThread() {
+  const thread = state.currentEntry ? state.currentEntry.thread : [];
+  
+  elements.chatMessages.innerHTML = thread.map(turn => turn.role === 'assistant'
+    ? `<div class="chat-message assistant markdown">${window.markdown.render(turn.text)}</div>`
+    : `<div class="chat-message ${turn.role}">${escapeHtml(turn.text)}</div>`
+  ).join('');
+  elements.chatMessages.scrollTop = elements.chatMessages.scrollHeight;
 }
 
 /**
- * Close settings modal
+ * Append a chat bubble to the conversation
  */
-function closeSettings() {
-  elements.settingsModal.classList.remove('open');
+function appendChatMessage(role, text) {
+  const message = document.createElement('div');
+  if (role === 'assistant') {
+    message.className = 'chat-message assistant markdown';
+    message.innerHTML = window.markdown.render(text);
+  } else {
+    message.className = `chat-message ${role}`;
+    message.textContent = text;
+  }
+  elements.chatMessages.appendChild(message);
+  elements.chatMessages.scrollTop = elements.chatMessages.scrollHeight;
+  return message;
 }
 
 /**
- * Save settings
+ * Send a follow-up question about the current entry
  */
-async function saveSettings() {
-  const newSettings = {
-    openaiApiKey: elements.apiKeyInput.value,
-    captureInterval: parseInt(elements.captureInterval.value) * 1000,
-    showNotifications: elements.notificationsToggle.checked,
-    minimizeToTray: elements.minimizeTrayToggle.checked
-  };
+async function handleFollowUp(e) {
+  e.preventDefault();
+  
+  const entry = state.currentEntry;
+  const question = elements.chatInput.value.trim();
+  if (!entry || !question) return;
+  
+  const previousThread = entry.thread.slice();
+  entry.thread.push({ role: 'user', text: question });
+  elements.chatInput.value = '';
+  elements.chatSend.disabled = true;
+  appendChatMessage('user', question);
+  state.chatStreamElement = appendChatMessage('assistant', '');
+  state.chatStreamText = '';
   
   try {
-    await window.electronAPI.updateSettings(newSettings);
-    state.settings = { ...state.settings, ...newSettings };
-    state.captureInterval = newSettings.captureInterval;
-    updateIntervalDisplay();
-    closeSettings();
-    showToast('Settings saved', 'success');
+    // The main process adds both turns to the stored thread
+    const result = await window.electronAPI.askFollowUp({
+      captureId: entry.id,
+      question
+    });
+    
+    if (result.success) {
+      entry.thread.push({ role: 'assistant', text: result.answer });
+      if (state.currentEntry === entry) {
+        renderThread();
+      }
+    } else {
+      failFollowUp(entry, previousThread, question, result.error);
+    }
   } catch (error) {
-    showToast('Failed to save settings', 'error');
+    failFollowUp(entry, previousThread, question, error.message);
+  } finally {
+    state.chatStreamElement = null;
+    elements.chatSend.disabled = elements.chatInput.disabled;
   }
 }
 
 /**
- * Show loading overlay
+ * Roll back an unanswered follow-up question and show the error
  */
-function showLoading(text) {
-  elements.loadingText.textContent = text;
-  elements.loadingOverlay.classList.add('visible');
+function failFollowUp(entry, previousThread, question, error) {
+  // Keep the thread alternating user/assistant for the next attempt
+  entry.thread = previousThread;
+  
+  if (state.currentEntry === entry) {
+    renderThread();
+    appendChatMessage('error', error);
+    elements.chatInput.value = question;
+  }
+  showToast(error, 'error');
 }
 
 /**
- * Hide loading overlay
+ * Display error message
  */
-function hideLoading() {
-  elements.loadingOverlay.classList.remove('visible');
+function displayError(error) {
+  state.currentEntry = null;
+  elements.chatPanel.classList.remove('visible');
+  elements.copyAnalysisBtn.classList.remove('visible');
+  elements.resultsContent.innerHTML = `
+    <div class="error-message">
+      <strong>Error:</strong> ${escapeHtml(error)}
+    </div>
+  `;
 }
 
 /**
- * Set loading text
+ * Move history kept in localStorage by older versions to the main process
  */
-function setLoadingText(text) {
-  elements.loadingText.textContent = text;
+async function migrateLegacyHistory() {
+  try {
+    const saved = localStorage.getItem('analysisHistory');
+    if (!saved) return;
+    
+    await window.electronAPI.importHistory(JSON.parse(saved));
+    localStorage.removeItem('analysisHistory');
+  } catch (error) {
+    console.error('Failed to migrate history:', error);
+  }
 }
 
 /**
- * Show toast notification
+ * Load a page of history; page 0 replaces the list, later pages append
  */
-function showToast(message, type = 'success') {
-  const toast = document.createElement('div');
-  toast.className = `toast toast-${type}`;
-  toast.innerHTML = `<span class="toast-message">${escapeHtml(message)}</span>`;
-  
-  elements.toastContainer.appendChild(toast);
-  
-  // Auto-remove after 4 seconds
+async function loadHistory(page = 0) {
+  try {
+    const result = await window.electronAPI.listHistory({
+      page,
+      pageSize: 20,
+      query: state.history.query,
+      severity: state.history.severity || null,
+      application: state.history.application || null
+    });
+    if (page === 0) {
+      loadHistoryApplications();
+    }
+    
+    state.history.items = page === 0 ? result.items : state.history.items.concat(result.items);
+    state.history.total = result.total;
+    state.history.page = page;
+    renderHistory();
+    if (page === 0) {
+      refreshTimeline();
+    }
+  } catch (error) {
+    console.error('Failed to load history:', error);
+  }
+}
+
+/**
+ * Fill the application filter with the applications found in history
+ */
+async function loadHistoryApplications() {
+  try {
+    const applications = await window.electronAPI.listHistoryApplications();
+    const selected = state.history.application;
+    
+    const options = applications.map(({ name, count }) => new Option(`${name} (${count})`, name));
+    // Keep a selected application even once it has dropped out of history
+    if (selected && !applications.some(({ name }) => name === selected)) {
+      options.push(new Option(selected, selected));
+    }
+    elements.historyApplication.replaceChildren(new Option('All applications', ''), ...options);
+    elements.historyApplication.value = selected;
+  } catch (error) {
+    console.error('Failed to load history applications:', error);
+  }
+}
+
+/**
+ * Render history items
+ */
+function renderHistory() {
+  const { items, total, query, severity, application } = state.history;
+  
+  elements.historyMore.classList.toggle('visible', items.length < total);
+  
+  if (items.length === 0) {
+    elements.historyList.innerHTML = `<p class="no-history">${query || severity || application ? 'No matching analyses' : 'No analyses yet'}</p>`;
+    return;
+  }
+  
+  elements.historyList.innerHTML = items.map(item => `
+    <div class="history-item" data-id="${escapeHtml(item.id)}">
+      ${item.thumbnail
+        ? `<img class="history-thumb" src="${item.thumbnail}" alt="">`
+        : '<div class="history-thumb"></div>'}
+      <div class="history-item-body">
+        <div class="history-item-time">${formatDateTime(item.timestamp)}${[item.presetName, item.application || item.display || item.range].filter(Boolean).map(text => ` · ${escapeHtml(text)}`).join('')}</div>
+        ${item.question ? `<div class="history-item-question">${escapeHtml(item.question)}</div>` : ''}
+        <div class="history-item-preview">${item.type === 'digest' ? '<span class="digest-badge">Digest</span>' : ''}${item.severity ? `<span class="severity-badge ${item.severity}">${item.severity}</span>` : ''}${escapeHtml(window.markdown.toPlainText(item.preview))}</div>
+      </div>
+      <button class="history-item-export" title="Export">⤓</button>
+      <button class="history-item-delete" title="Delete">×</button>
+    </div>
+  `).join('');
+  
+  // Add click handlers
+  elements.historyList.querySelectorAll('.history-item').forEach(item => {
+    item.addEventListener('click', () => openHistoryEntry(item.dataset.id));
+    item.querySelector('.history-item-export').addEventListener('click', (e) => {
+      e.stopPropagation();
+      exportHistory({ id: item.dataset.id });
+    });
+    item.querySelector('.history-item-delete').addEventListener('click', (e) => {
+      e.stopPropagation();
+      handleDeleteHistoryEntry(item.dataset.id);
+    });
+  });
+}
+
+/**
+ * Show a history entry in the results panel
+ */
+async function openHistoryEntry(id) {
+  try {
+    const entry = await window.electronAPI.getHistoryEntry(id);
+    if (entry) {
+      showEntry(entry);
+    } else {
+      showToast('This analysis no longer exists', 'warning');
+      loadHistory();
+    }
+  } catch (error) {
+    showToast('Failed to open analysis', 'error');
+  }
+}
+
+/**
+ * Delete a single history entry
+ */
+async function handleDeleteHistoryEntry(id) {
+  try {
+    await window.electronAPI.deleteHistoryEntry(id);
+    if (state.currentEntry && state.currentEntry.id === id) {
+      state.currentEntry = null;
+      elements.chatPanel.classList.remove('visible');
+    }
+    loadHistory();
+  } catch (error) {
+    showToast('Failed to delete analysis', 'error');
+  }
+}
+
+/**
+ * Switch the history panel between the list and the timeline
+ */
+function setHistoryView(view) {
+  state.historyView = view;
+  elements.historyViewList.classList.toggle('active', view === 'list');
+  elements.historyViewTimeline.classList.toggle('active', view === 'timeline');
+  elements.historyContent.classList.toggle('timeline-view', view === 'timeline');
+  
+  if (view === 'timeline') {
+    if (!state.timeline.date) {
+      state.timeline.date = toDateValue(new Date());
+    }
+    loadTimeline();
+    elements.timelineTrack.focus();
+  }
+}
+
+/**
+ * Format a date as the local YYYY-MM-DD value of a date input
+ */
+function toDateValue(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Get the local midnight starting the day shown in the timeline
+ */
+function timelineDayStart() {
+  return new Date(`${state.timeline.date}T00:00:00`);
+}
+
+/**
+ * Show the previous or next day in the timeline
+ */
+function shiftTimelineDate(days) {
+  const date = timelineDayStart();
+  date.setDate(date.getDate() + days);
+  state.timeline.date = toDateValue(date);
+  loadTimeline();
+}
+
+/**
+ * Reload the timeline if it is showing, keeping the selected capture
+ */
+function refreshTimeline() {
+  if (state.historyView === 'timeline') {
+    loadTimeline(true);
+  }
+}
+
+/**
+ * Load the captures of the shown day
+ * 
+ * @param {boolean} keepSelection - Stay on the selected capture, or follow new
+ *   captures if the newest one was selected
+ */
+async function loadTimeline(keepSelection = false) {
+  const start = timelineDayStart();
+  const end = new Date(start);
+  end.setDate(end.getDate() + 1);
+  elements.timelineDate.value = state.timeline.date;
+  
+  const previous = state.timeline.items[state.timeline.selected];
+  const followLatest = state.timeline.selected === state.timeline.items.length - 1;
+  if (!keepSelection) {
+    state.timeline.thumbnails.clear();
+  }
+  
+  try {
+    const items = await window.electronAPI.getTimeline({ from: start.toISOString(), to: end.toISOString() });
+    state.timeline.items = items;
+    renderTimeline();
+    
+    let index = items.length - 1;
+    if (keepSelection && previous && !followLatest) {
+      const kept = items.findIndex(item => item.id === previous.id);
+      if (kept !== -1) index = kept;
+    }
+    // Only reload the details when a different capture ends up selected
+    const unchanged = keepSelection && previous && items[index] && items[index].id === previous.id;
+    state.timeline.selected = unchanged ? index : -1;
+    selectTimelineItem(index);
+  } catch (error) {
+    console.error('Failed to load timeline:', error);
+  }
+}
+
+/**
+ * Get the horizontal position of a time on the timeline
+ */
+function timelineX(timestamp) {
+  const hourWidth = parseInt(elements.timelineZoom.value, 10);
+  return TIMELINE_PADDING + (new Date(timestamp) - timelineDayStart()) / HOUR_MS * hourWidth;
+}
+
+/**
+ * Draw the time axis and a marker or thumbnail per capture
+ */
+function renderTimeline() {
+  const hourWidth = parseInt(elements.timelineZoom.value, 10);
+  const width = TIMELINE_PADDING * 2 + 24 * hourWidth;
+  const { items } = state.timeline;
+  
+  elements.timelineAxis.style.width = `${width}px`;
+  elements.timelineItems.style.width = `${width}px`;
+  
+  // Hour ticks with labels, plus quarter hours once they have room
+  const ticks = [];
+  for (let quarter = 0; quarter < 24 * 4; quarter++) {
+    const left = TIMELINE_PADDING + quarter / 4 * hourWidth;
+    if (quarter % 4 === 0) {
+      ticks.push(`<div class="timeline-tick" style="left:${left}px">${String(quarter / 4).padStart(2, '0')}:00</div>`);
+    } else if (hourWidth >= 240) {
+      ticks.push(`<div class="timeline-tick minor" style="left:${left}px"></div>`);
+    }
+  }
+  elements.timelineAxis.innerHTML = ticks.join('');
+  
+  state.timeline.positions = items.map(item => timelineX(item.timestamp));
+  elements.timelineItems.innerHTML = items.map((item, index) => `
+    <div class="timeline-item ${item.status}" data-index="${index}"
+         style="left:${state.timeline.positions[index]}px"
+         title="${escapeHtml(`${formatTime(item.timestamp)} · ${describeTimelineItem(item)}`)}"></div>
+  `).join('') + '<div class="timeline-playhead" id="timeline-playhead"></div>';
+  
+  if (items.length === 0) {
+    renderTimelineEmpty('No captures on this day');
+  }
+  observeTimelineThumbnails();
+}
+
+/**
+ * Describe a timeline capture in a few words
+ */
+function describeTimelineItem(item) {
+  if (item.status === 'skipped') return `Skipped, ${item.change}% change`;
+  if (item.status === 'error') return `Failed: ${item.error}`;
+  return item.preview ? window.markdown.toPlainText(item.preview) : 'Analyzed';
+}
+
+/**
+ * Load the thumbnails of analyzed captures as they scroll into view
+ */
+function observeTimelineThumbnails() {
+  if (timelineObserver) {
+    timelineObserver.disconnect();
+  }
+  
+  timelineObserver = new IntersectionObserver((observed) => {
+    for (const { target, isIntersecting } of observed) {
+      if (!isIntersecting) continue;
+      timelineObserver.unobserve(target);
+      
+      const item = state.timeline.items[target.dataset.index];
+      if (state.timeline.thumbnails.has(item.id)) {
+        target.style.backgroundImage = `url("${state.timeline.thumbnails.get(item.id)}")`;
+      } else {
+        pendingThumbnails.add(item.id);
+      }
+    }
+    if (pendingThumbnails.size > 0) {
+      loadTimelineThumbnails();
+    }
+  }, { root: elements.timelineTrack, rootMargin: '0px 300px' });
+  
+  elements.timelineItems.querySelectorAll('.timeline-item.analyzed').forEach(element => {
+    if (state.timeline.items[element.dataset.index].hasThumbnail) {
+      timelineObserver.observe(element);
+    }
+  });
+}
+
+/**
+ * Fetch the thumbnails waiting to be shown in one request
+ */
+async function loadTimelineThumbnails() {
+  const ids = Array.from(pendingThumbnails);
+  pendingThumbnails.clear();
+  
+  try {
+    const thumbnails = await window.electronAPI.getHistoryThumbnails(ids);
+    for (const [id, url] of Object.entries(thumbnails)) {
+      state.timeline.thumbnails.set(id, url);
+    }
+    elements.timelineItems.querySelectorAll('.timeline-item.analyzed').forEach(element => {
+      const url = state.timeline.thumbnails.get(state.timeline.items[element.dataset.index].id);
+      if (url && !element.style.backgroundImage) {
+        element.style.backgroundImage = `url("${url}")`;
+      }
+    });
+  } catch (error) {
+    console.error('Failed to load thumbnails:', error);
+  }
+}
+
+/**
+ * Select a capture, move the playhead to it and show its details
+ * 
+ * @param {number} index - Index into the day's captures; clamped to the valid range
+ */
+function selectTimelineItem(index) {
+  const { items, positions } = state.timeline;
+  if (items.length === 0) {
+    state.timeline.selected = -1;
+    return;
+  }
+  
+  index = Math.max(0, Math.min(items.length - 1, index));
+  const changed = index !== state.timeline.selected;
+  state.timeline.selected = index;
+  
+  elements.timelineItems.querySelectorAll('.timeline-item.selected').forEach(element => element.classList.remove('selected'));
+  const element = elements.timelineItems.querySelector(`.timeline-item[data-index="${index}"]`);
+  if (element) element.classList.add('selected');
+  document.getElementById('timeline-playhead').style.left = `${positions[index]}px`;
+  
+  // Keep the selection in view while scrubbing with the keyboard
+  const track = elements.timelineTrack;
+  if (!state.timeline.scrubbing && (positions[index] < track.scrollLeft + 40 || positions[index] > track.scrollLeft + track.clientWidth - 40)) {
+    track.scrollLeft = positions[index] - track.clientWidth / 2;
+  }
+  
+  if (changed) {
+    renderTimelineDetail(items[index]);
+  }
+}
+
+/**
+ * Move through captures with the arrow keys, Home and End
+ */
+function handleTimelineKey(e) {
+  const { selected, items } = state.timeline;
+  const moves = {
+    ArrowLeft: selected - (e.shiftKey ? TIMELINE_STEP : 1),
+    ArrowRight: selected + (e.shiftKey ? TIMELINE_STEP : 1),
+    PageUp: selected - TIMELINE_STEP,
+    PageDown: selected + TIMELINE_STEP,
+    Home: 0,
+    End: items.length - 1
+  };
+  
+  if (e.key in moves) {
+    e.preventDefault();
+    selectTimelineItem(moves[e.key]);
+  } else if (e.key === 'Enter' && items[selected] && items[selected].status === 'analyzed') {
+    openHistoryEntry(items[selected].id);
+  }
+}
+
+/**
+ * Select the capture nearest the pointer while the track is pressed
+ */
+function handleTimelinePointer(e) {
+  if (e.type === 'pointerdown') {
+    if (e.button !== 0) return;
+    state.timeline.scrubbing = true;
+    elements.timelineTrack.setPointerCapture(e.pointerId);
+    elements.timelineTrack.focus();
+  }
+  if (!state.timeline.scrubbing || state.timeline.items.length === 0) return;
+  
+  const bounds = elements.timelineTrack.getBoundingClientRect();
+  const x = e.clientX - bounds.left + elements.timelineTrack.scrollLeft;
+  selectTimelineItem(nearestTimelineIndex(x));
+}
+
+/**
+ * Stop scrubbing when the pointer is released
+ */
+function endTimelineScrub(e) {
+  state.timeline.scrubbing = false;
+  if (elements.timelineTrack.hasPointerCapture(e.pointerId)) {
+    elements.timelineTrack.releasePointerCapture(e.pointerId);
+  }
+}
+
+/**
+ * Find the capture closest to a position on the track
+ */
+function nearestTimelineIndex(x) {
+  const { positions } = state.timeline;
+  let low = 0;
+  let high = positions.length - 1;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if (positions[middle] < x) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low > 0 && x - positions[low - 1] < positions[low] - x ? low - 1 : low;
+}
+
+/**
+ * Show a message in place of the selected capture's details
+ */
+function renderTimelineEmpty(message) {
+  elements.timelineScreenshot.innerHTML = '';
+  elements.timelineAnalysis.innerHTML = `<div class="timeline-empty">${escapeHtml(message)}</div>`;
+}
+
+/**
+ * Show a capture's screenshot next to its analysis
+ * Analyses show their thumbnail right away and load the full entry once scrubbing settles
+ */
+function renderTimelineDetail(item) {
+  clearTimeout(timelineDetailTimer);
+  const meta = `<div class="timeline-analysis-meta"><span>${formatDateTime(item.timestamp)}${item.display ? ` · ${escapeHtml(item.display)}` : ''}</span></div>`;
+  
+  if (item.status !== 'analyzed') {
+    elements.timelineScreenshot.innerHTML = `<div class="timeline-empty">${item.status === 'skipped' ? 'Not analyzed' : 'No screenshot'}</div>`;
+    elements.timelineAnalysis.innerHTML = meta + (item.status === 'skipped'
+      ? `<p>Skipped: the screen changed ${item.change}%, below the change threshold.</p>`
+      : `<div class="error-message"><strong>Capture failed:</strong> ${escapeHtml(item.error)}</div>`);
+    return;
+  }
+  
+  const thumbnail = state.timeline.thumbnails.get(item.id);
+  elements.timelineScreenshot.innerHTML = thumbnail
+    ? `<div class="timeline-screenshot-label">Thumbnail</div><img src="${thumbnail}" alt="Thumbnail">`
+    : '<div class="timeline-empty">Loading image...</div>';
+  elements.timelineAnalysis.innerHTML = meta
+    + `<div class="markdown">${window.markdown.render(item.preview)}</div>`;
+  
+  timelineDetailTimer = setTimeout(() => loadTimelineDetail(item), TIMELINE_DETAIL_DELAY);
+}
+
+/**
+ * Load the full analysis and the largest available screenshots of a capture
+ */
+async function loadTimelineDetail(item) {
+  try {
+    const [entry, screenshots] = await Promise.all([
+      window.electronAPI.getHistoryEntry(item.id),
+      window.electronAPI.getHistoryScreenshots(item.id)
+    ]);
+    // Another capture was selected in the meantime
+    const selected = state.timeline.items[state.timeline.selected];
+    if (!selected || selected.id !== item.id) return;
+    if (!entry) {
+      renderTimelineEmpty('This analysis no longer exists');
+      return;
+    }
+    
+    // Only saved screenshots are full size; say what else is shown
+    const labels = {
+      saved: 'Screenshot',
+      upload: 'Uploaded image',
+      thumbnail: 'Thumbnail'
+    };
+    const notes = {
+      upload: 'Kept until the app restarts.',
+      thumbnail: 'The full screenshot wasn\'t saved. Turn on "Save full screenshots in history" in Settings to keep full screenshots.'
+    };
+    const label = labels[screenshots.source];
+    elements.timelineScreenshot.innerHTML = screenshots.images.length > 0
+      ? `<div class="timeline-screenshot-label">${label}</div>`
+        + screenshots.images.map(url => `<img src="${url}" alt="${label}">`).join('')
+        + (notes[screenshots.source] ? `<div class="timeline-screenshot-note">${notes[screenshots.source]}</div>` : '')
+      : '<div class="timeline-empty">No image was stored</div>';
+    
+    elements.timelineAnalysis.innerHTML = `
+      <div class="timeline-analysis-meta">
+        <span>${formatDateTime(entry.timestamp)}${[entry.presetName, entry.display || (entry.digest && entry.digest.label)].filter(Boolean).map(text => ` · ${escapeHtml(text)}`).join('')}</span>
+        <button class="btn btn-secondary" id="timeline-open">Open</button>
+      </div>
+      ${entry.structured
+        ? renderStructured(entry.structured)
+        : `<div class="markdown">${window.markdown.render(entry.analysis)}</div>`}
+    `;
+    document.getElementById('timeline-open').addEventListener('click', () => showEntry(entry));
+  } catch (error) {
+    console.error('Failed to load capture details:', error);
+  }
+}
+
+/**
+ * Delete all history after confirmation
+ */
+async function handleClearHistory() {
+  if (!confirm('Delete all saved analyses and thumbnails?')) return;
+  
+  try {
+    await window.electronAPI.clearHistory();
+    state.currentEntry = null;
+    elements.chatPanel.classList.remove('visible');
+    loadHistory();
+    showToast('History cleared', 'warning');
+  } catch (error) {
+    showToast('Failed to clear history', 'error');
+  }
+}
+
+/**
+ * Export history with the selected format and screenshot handling
+ * 
+ * @param {Object} selection - { id } for one analysis or { from, to } for a range
+ */
+async function exportHistory(selection) {
+  try {
+    const result = await window.electronAPI.exportHistory({
+      ...selection,
+      format: elements.exportFormat.value,
+      images: elements.exportImages.value
+    });
+    
+    if (result.success) {
+      showToast(`Exported ${result.count} ${result.count === 1 ? 'analysis' : 'analyses'}`);
+    } else if (!result.canceled) {
+      showToast(result.error || 'Export failed', 'error');
+    }
+  } catch (error) {
+    showToast('Export failed', 'error');
+  }
+}
+
+/**
+ * Export every analysis between the chosen dates (both days included)
+ */
+function handleExportRange() {
+  const from = elements.exportFrom.value;
+  const to = elements.exportTo.value;
+  
+  if (from && to && from > to) {
+    showToast('The start date must be before the end date', 'error');
+    return;
+  }
+  
+  // Date inputs are local days; the end bound is the start of the following day
+  const end = to ? new Date(`${to}T00:00:00`) : null;
+  if (end) end.setDate(end.getDate() + 1);
+  
+  exportHistory({
+    from: from ? new Date(`${from}T00:00:00`).toISOString() : null,
+    to: end ? end.toISOString() : null
+  });
+}
+
+/**
+ * Summarize the analyses of the chosen time window into a digest
+ */
+async function handleGenerateDigest() {
+  const range = { window: elements.digestRange.value };
+  
+  if (range.window === 'custom') {
+    if (!elements.digestFrom.value || !elements.digestTo.value) {
+      showToast('Choose a start and end time', 'error');
+      return;
+    }
+    // datetime-local values are local times
+    range.from = new Date(elements.digestFrom.value).toISOString();
+    range.to = new Date(elements.digestTo.value).toISOString();
+  }
+  
+  elements.generateDigestBtn.disabled = true;
+  elements.generateDigestBtn.textContent = 'Summarizing...';
+  try {
+    const result = await window.electronAPI.generateDigest(range);
+    if (result.success) {
+      showEntry(result.entry);
+      showToast('Digest saved to history', 'success');
+    } else {
+      showToast(result.error, 'error');
+    }
+  } catch (error) {
+    showToast('Failed to generate digest', 'error');
+  } finally {
+    elements.generateDigestBtn.disabled = false;
+    elements.generateDigestBtn.textContent = 'Summarize';
+  }
+}
+
+/**
+ * Load and render token usage and estimated cost
+ */
+async function loadUsage() {
+  try {
+    renderUsage(await window.electronAPI.getUsage());
+  } catch (error) {
+    console.error('Failed to load usage:', error);
+  }
+}
+
+/**
+ * Render the usage panel
+ */
+function renderUsage(summary) {
+  renderUsagePeriod(summary.today, summary.budgets.daily, {
+    cost: elements.usageTodayCost,
+    detail: elements.usageTodayDetail,
+    bar: elements.usageTodayBar
+  });
+  renderUsagePeriod(summary.month, summary.budgets.monthly, {
+    cost: elements.usageMonthCost,
+    detail: elements.usageMonthDetail,
+    bar: elements.usageMonthBar
+  });
+  
+  if (summary.models.length === 0) {
+    elements.usageModels.innerHTML = '<tr><td colspan="5" class="no-history">No usage this month</td></tr>';
+    return;
+  }
+  
+  elements.usageModels.innerHTML = summary.models.map(item => `
+    <tr>
+      <td>${escapeHtml(item.model)}</td>
+      <td>${item.requests}</td>
+      <td>${formatTokens(item.inputTokens)}</td>
+      <td>${formatTokens(item.outputTokens)}</td>
+      <td>${formatCost(item.cost)}${item.unpriced ? ' <span title="No price known for some requests">*</span>' : ''}</td>
+    </tr>
+  `).join('');
+}
+
+/**
+ * Render the total and budget bar of one period
+ */
+function renderUsagePeriod(total, budget, targets) {
+  targets.cost.textContent = formatCost(total.cost) + (budget ? ` / ${formatCost(budget)}` : '');
+  targets.detail.textContent = `${total.requests} requests · ${formatTokens(total.inputTokens + total.outputTokens)} tokens`;
+  
+  targets.bar.classList.toggle('visible', Boolean(budget));
+  if (!budget) return;
+  
+  const ratio = total.cost / budget;
+  targets.bar.classList.toggle('warning', ratio >= 0.8 && ratio < 1);
+  targets.bar.classList.toggle('exceeded', ratio >= 1);
+  targets.bar.firstElementChild.style.width = `${Math.min(100, ratio * 100)}%`;
+}
+
+/**
+ * Format an estimated cost in USD
+ */
+function formatCost(cost) {
+  if (cost > 0 && cost < 0.01) {
+    return `$${cost.toFixed(4)}`;
+  }
+  return `$${cost.toFixed(2)}`;
+}
+
+/**
+ * Format a token count, e.g. 12.3k
+ */
+function formatTokens(count) {
+  if (count >= 1e6) return `${(count / 1e6).toFixed(1)}M`;
+  if (count >= 1e3) return `${(count / 1e3).toFixed(1)}k`;
+  return String(count);
+}
+
+/**
+ * Fill the provider section of the settings modal from saved settings
+ */
+function populateProviderSettings() {
+  elements.providerSelect.innerHTML = state.providers.map(provider => `
+    <option value="${escapeHtml(provider.id)}">${escapeHtml(provider.label)}</option>
+  `).join('');
+  
+  state.providerDraft = JSON.parse(JSON.stringify(state.settings.providerSettings || {}));
+  showProviderSettings(state.settings.provider);
+}
+
+/**
+ * Show the draft settings of a provider in the form
+ */
+function showProviderSettings(providerId) {
+  const provider = state.providers.find(p => p.id === providerId) || state.providers[0];
+  const draft = state.providerDraft[provider.id] || {};
+  
+  state.activeProviderId = provider.id;
+  elements.providerSelect.value = provider.id;
+  elements.baseUrlInput.value = draft.baseUrl || '';
+  elements.baseUrlInput.placeholder = provider.defaultBaseUrl;
+  elements.modelInput.value = draft.model || '';
+  elements.modelInput.placeholder = provider.defaultModel;
+  elements.apiKeyInput.value = '';
+  elements.apiKeyLabel.textContent = provider.requiresApiKey ? 'API Key' : 'API Key (optional)';
+  state.replacingApiKey = false;
+  renderApiKeyStatus();
+  setConnectionResult('', '');
+}
+
+/**
+ * Show whether the selected provider has a key, or the field to enter one
+ */
+function renderApiKeyStatus() {
+  const status = (state.settings.apiKeys || {})[state.activeProviderId];
+  const showEntry = !status || state.replacingApiKey;
+  
+  elements.apiKeySet.classList.toggle('visible', !showEntry);
+  elements.apiKeyEntry.classList.toggle('visible', showEntry);
+  if (status) {
+    elements.apiKeyMask.textContent = 'Key set';
+  }
+  
+  const keyStorage = state.settings.keyStorage || {};
+  if (keyStorage.warning) {
+    elements.apiKeyHint.textContent = keyStorage.warning;
+    elements.apiKeyHint.className = 'setting-hint warning';
+  } else {
+    elements.apiKeyHint.textContent = 'Your API key is encrypted with your system keychain and stays on this machine';
+    elements.apiKeyHint.className = 'setting-hint';
+  }
+}
+
+/**
+ * Save the key entered for the selected provider
+ */
+async function handleSaveApiKey() {
+  const apiKey = elements.apiKeyInput.value.trim();
+  if (!apiKey) {
+    showToast('Enter an API key first', 'warning');
+    return;
+  }
+  
+  elements.saveApiKeyBtn.disabled = true;
+  try {
+    const result = await window.electronAPI.setApiKey(state.activeProviderId, apiKey);
+    if (!result.success) {
+      showToast(result.error, 'error');
+      return;
+    }
+    state.settings.apiKeys = result.apiKeys;
+    state.replacingApiKey = false;
+    elements.apiKeyInput.value = '';
+    renderApiKeyStatus();
+    showToast('API key saved', 'success');
+  } catch (error) {
+    showToast('Failed to save API key', 'error');
+  } finally {
+    elements.saveApiKeyBtn.disabled = false;
+  }
+}
+
+/**
+ * Remove the stored key of the selected provider
+ */
+async function handleClearApiKey() {
+  if (!confirm('Remove the saved API key for this provider?')) return;
+  
+  try {
+    const result = await window.electronAPI.clearApiKey(state.activeProviderId);
+    state.settings.apiKeys = result.apiKeys;
+    state.replacingApiKey = false;
+    renderApiKeyStatus();
+    showToast('API key removed', 'success');
+  } catch (error) {
+    showToast('Failed to remove API key', 'error');
+  }
+}
+
+/**
+ * Show whether the automation API is listening, or why it isn't
+ * 
+ * @param {Object} status - { running, port, error }
+ */
+function renderAutomationStatus(status) {
+  if (status && status.running) {
+    elements.automationStatus.textContent = `Listening on http://127.0.0.1:${status.port}`;
+    elements.automationStatus.className = 'setting-hint';
+  } else if (status && status.error) {
+    elements.automationStatus.textContent = status.error;
+    elements.automationStatus.className = 'setting-hint warning';
+  } else {
+    elements.automationStatus.textContent = 'Off';
+    elements.automationStatus.className = 'setting-hint';
+  }
+}
+
+/**
+ * Replace the automation API token; scripts using the old one stop working
+ */
+async function handleRegenerateAutomationToken() {
+  if (elements.automationToken.value && !confirm('Scripts using the current token will stop working. Continue?')) return;
+  
+  try {
+    const { token, status } = await window.electronAPI.regenerateAutomationToken();
+    state.settings.automationToken = token;
+    state.settings.automationStatus = status;
+    elements.automationToken.value = token;
+    renderAutomationStatus(status);
+    showToast('New token created', 'success');
+  } catch (error) {
+    showToast('Failed to create a new token', 'error');
+  }
+}
+
+/**
+ * Remember the form values of a provider before switching away
+ */
+function storeProviderDraft(providerId) {
+  state.providerDraft[providerId] = {
+    baseUrl: elements.baseUrlInput.value.trim(),
+    model: elements.modelInput.value.trim()
+  };
+}
+
+/**
+ * Test the provider settings currently shown in the form
+ */
+async function handleTestConnection() {
+  storeProviderDraft(state.activeProviderId);
+  elements.testConnectionBtn.disabled = true;
+  setConnectionResult('Testing...', '');
+  
+  try {
+    // A key that is being entered is tested before it is saved; otherwise the stored key is used
+    const result = await window.electronAPI.testConnection({
+      provider: state.activeProviderId,
+      ...state.providerDraft[state.activeProviderId],
+      apiKey: elements.apiKeyInput.value.trim() || undefined
+    });
+    
+    if (result.success) {
+      setConnectionResult('Connection successful', 'success');
+    } else {
+      setConnectionResult(result.error, 'error');
+    }
+  } catch (error) {
+    setConnectionResult('Connection test failed', 'error');
+  } finally {
+    elements.testConnectionBtn.disabled = false;
+  }
+}
+
+/**
+ * Show the connection test result
+ */
+function setConnectionResult(text, status) {
+  elements.connectionResult.textContent = text;
+  elements.connectionResult.className = `setting-hint ${status}`.trim();
+}
+
+/**
+ * Fill every preset picker from the preset library
+ */
+function renderPresetOptions() {
+  const options = state.presets.map(preset => `
+    <option value="${escapeHtml(preset.id)}">${escapeHtml(preset.name)}</option>
+  `).join('');
+  
+  elements.presetSelect.innerHTML = options;
+  elements.autoCapturePreset.innerHTML = options;
+  elements.presetEditorSelect.innerHTML = options;
+  
+  // Deleted presets fall back to the default one
+  elements.presetSelect.value = findPreset(state.settings.selectedPreset).id;
+  elements.autoCapturePreset.value = findPreset(state.settings.autoCapturePreset).id;
+  showPresetInEditor(state.editingPresetId || elements.presetSelect.value);
+}
+
+/**
+ * Fill the display picker with capture modes and connected displays
+ */
+async function populateDisplayOptions() {
+  let displays = [];
+  try {
+    displays = await window.electronAPI.getDisplays();
+  } catch (error) {
+    console.error('Failed to list displays:', error);
+  }
+  state.displays = displays;
+  
+  elements.maskDisplay.innerHTML = `
+    <option value="">All displays</option>
+    ${displays.map(display => `
+      <option value="${escapeHtml(display.id)}">${escapeHtml(display.label)}</option>
+    `).join('')}
+  `;
+  
+  elements.displaySelect.innerHTML = `
+    <option value="primary">Primary display</option>
+    <option value="cursor">Display under the mouse cursor</option>
+    <option value="stitched">All displays, stitched into one image</option>
+    <option value="separate">All displays, as separate images</option>
+    ${displays.map(display => `
+      <option value="display:${escapeHtml(display.id)}">${escapeHtml(display.label)}</option>
+    `).join('')}
+  `;
+  
+  const { displayMode, displayId } = state.settings;
+  elements.displaySelect.value = displayMode === 'display' ? `display:${displayId}` : displayMode;
+  
+  // The configured display may be disconnected
+  if (!elements.displaySelect.value) {
+    elements.displaySelect.value = 'primary';
+  }
+}
+
+/**
+ * Read the display picker as { displayMode, displayId }
+ */
+function readDisplaySelection() {
+  const value = elements.displaySelect.value;
+  if (value.startsWith('display:')) {
+    return { displayMode: 'display', displayId: value.slice('display:'.length) };
+  }
+  return { displayMode: value, displayId: null };
+}
+
+/**
+ * Render mask outlines on the preview and the list of masks
+ */
+function renderMasks() {
+  const displayId = elements.maskDisplay.value;
+  const percent = (value) => `${(value * 100).toFixed(2)}%`;
+  
+  // Outline masks that apply to the previewed display
+  elements.redactionMasks.innerHTML = state.maskDraft
+    .filter(mask => !mask.displayId || mask.displayId === displayId)
+    .map(mask => `
+      <div class="redaction-mask" style="left: ${percent(mask.x)}; top: ${percent(mask.y)}; width: ${percent(mask.width)}; height: ${percent(mask.height)};"></div>
+    `).join('');
+  
+  if (state.maskDraft.length === 0) {
+    elements.maskList.innerHTML = '<p class="setting-hint">No masks. Everything on screen is sent.</p>';
+    return;
+  }
+  
+  elements.maskList.innerHTML = state.maskDraft.map((mask, index) => {
+    const display = state.displays.find(d => d.id === mask.displayId);
+    const scope = mask.displayId ? (display ? display.label : 'Disconnected display') : 'All displays';
+    const style = mask.style === 'blur' ? 'Blur' : 'Black out';
+    return `
+      <div class="mask-item">
+        <span>${escapeHtml(style)} · ${Math.round(mask.width * 100)}% × ${Math.round(mask.height * 100)}% · ${escapeHtml(scope)}</span>
+        <button data-index="${index}">Remove</button>
+      </div>
+    `;
+  }).join('');
+  
+  elements.maskList.querySelectorAll('button').forEach(button => {
+    button.addEventListener('click', () => {
+      state.maskDraft.splice(parseInt(button.dataset.index), 1);
+      renderMasks();
+      refreshRedactionPreview();
+    });
+  });
+}
+
+/**
+ * Capture the selected display with the draft masks applied
+ */
+async function refreshRedactionPreview() {
+  elements.refreshRedactionPreview.disabled = true;
+  
+  try {
+    const result = await window.electronAPI.previewRedaction({
+      masks: state.maskDraft,
+      displayId: elements.maskDisplay.value || null
+    });
+    
+    if (result.success) {
+      elements.redactionPreviewImage.src = result.dataUrl;
+      elements.redactionPreview.classList.add('visible');
+      renderMasks();
+    } else {
+      showToast(result.error, 'error');
+    }
+  } catch (error) {
+    showToast('Failed to preview redaction', 'error');
+  } finally {
+    elements.refreshRedactionPreview.disabled = false;
+  }
+}
+
+/**
+ * Pointer position on the preview as fractions of its size
+ */
+function previewPoint(e) {
+  const bounds = elements.redactionPreview.getBoundingClientRect();
+  return {
+    x: Math.min(1, Math.max(0, (e.clientX - bounds.left) / bounds.width)),
+    y: Math.min(1, Math.max(0, (e.clientY - bounds.top) / bounds.height))
+  };
+}
+
+/**
+ * Rectangle spanned by two preview points
+ */
+function maskRect(a, b) {
+  return {
+    x: Math.min(a.x, b.x),
+    y: Math.min(a.y, b.y),
+    width: Math.abs(a.x - b.x),
+    height: Math.abs(a.y - b.y)
+  };
+}
+
+function startMaskDrag(e) {
+  if (e.button !== 0) return;
+  e.preventDefault();
+  state.maskDragStart = previewPoint(e);
+}
+
+function updateMaskDrag(e) {
+  if (!state.maskDragStart) return;
+  
+  const rect = maskRect(state.maskDragStart, previewPoint(e));
+  Object.assign(elements.redactionDraft.style, {
+    left: `${rect.x * 100}%`,
+    top: `${rect.y * 100}%`,
+    width: `${rect.width * 100}%`,
+    height: `${rect.height * 100}%`
+  });
+  elements.redactionDraft.classList.add('visible');
+}
+
+function finishMaskDrag(e) {
+  if (!state.maskDragStart) return;
+  
+  const rect = maskRect(state.maskDragStart, previewPoint(e));
+  state.maskDragStart = null;
+  elements.redactionDraft.classList.remove('visible');
+  
+  // Ignore clicks and tiny accidental drags
+  if (rect.width < 0.01 || rect.height < 0.01) return;
+  
+  state.maskDraft.push({
+    ...rect,
+    style: elements.maskStyle.value,
+    displayId: elements.maskDisplay.value || null
+  });
+  renderMasks();
+  refreshRedactionPreview();
+}
+
+/**
+ * Describe the saved watch region in settings
+ */
+function renderWatchRegion() {
+  const region = state.settings.watchRegion;
+  const percent = (value) => `${Math.round(value * 100)}%`;
+  
+  elements.watchRegionText.textContent = region
+    ? `${percent(region.width)} × ${percent(region.height)} of the display, at ${percent(region.x)}, ${percent(region.y)}`
+    : 'None, auto-capture uses the display above';
+  elements.clearWatchRegionBtn.disabled = !region;
+}
+
+/**
+ * Remove the watch region so auto-capture uses the whole display again
+ */
+async function handleClearWatchRegion() {
+  try {
+    await window.electronAPI.clearWatchRegion();
+    state.settings.watchRegion = null;
+    renderWatchRegion();
+    showToast('Watch region cleared', 'warning');
+  } catch (error) {
+    showToast('Failed to clear watch region', 'error');
+  }
+}
+
+/**
+ * Find a preset by id, falling back to the first (default) preset
+ */
+function findPreset(id) {
+  return state.presets.find(preset => preset.id === id) || state.presets[0];
+}
+
+/**
+ * Remember the preset chosen next to the capture button
+ */
+async function handlePresetChange() {
+  state.settings.selectedPreset = elements.presetSelect.value;
+  
+  try {
+    await window.electronAPI.updateSettings({ selectedPreset: state.settings.selectedPreset });
+  } catch (error) {
+    showToast('Failed to save preset selection', 'error');
+  }
+}
+
+/**
+ * Show a preset in the editor, or an empty form for a new preset
+ */
+function showPresetInEditor(presetId) {
+  const preset = presetId ? findPreset(presetId) : null;
+  const readOnly = preset ? preset.builtIn : false;
+  
+  state.editingPresetId = preset ? preset.id : null;
+  elements.presetEditorSelect.value = preset ? preset.id : '';
+  elements.presetName.value = preset ? preset.name : '';
+  elements.presetSystemPrompt.value = preset ? preset.systemPrompt : '';
+  elements.presetUserPrompt.value = preset ? preset.userPrompt : '';
+  
+  elements.presetName.disabled = readOnly;
+  elements.presetSystemPrompt.disabled = readOnly;
+  elements.presetUserPrompt.disabled = readOnly;
+  elements.savePresetBtn.disabled = readOnly;
+  elements.deletePresetBtn.disabled = readOnly || !preset;
+  elements.duplicatePresetBtn.disabled = !preset;
+}
+
+/**
+ * Start a new custom preset from the one in the editor
+ */
+function duplicatePreset() {
+  const source = state.editingPresetId ? findPreset(state.editingPresetId) : null;
+  showPresetInEditor(null);
+  
+  if (source) {
+    elements.presetName.value = `${source.name} (copy)`;
+    elements.presetSystemPrompt.value = source.systemPrompt;
+    elements.presetUserPrompt.value = source.userPrompt;
+  }
+}
+
+/**
+ * Save the preset in the editor
+ */
+async function handleSavePreset() {
+  const result = await window.electronAPI.savePreset({
+    id: state.editingPresetId,
+    name: elements.presetName.value,
+    systemPrompt: elements.presetSystemPrompt.value,
+    userPrompt: elements.presetUserPrompt.value
+  });
+  
+  if (!result.success) {
+    showToast(result.error, 'error');
+    return;
+  }
+  
+  state.editingPresetId = result.preset.id;
+  state.presets = await window.electronAPI.getPresets();
+  renderPresetOptions();
+  showToast('Preset saved', 'success');
+}
+
+/**
+ * Delete the custom preset in the editor
+ */
+async function handleDeletePreset() {
+  if (!state.editingPresetId) return;
+  
+  await window.electronAPI.deletePreset(state.editingPresetId);
+  state.editingPresetId = null;
+  state.presets = await window.electronAPI.getPresets();
+  renderPresetOptions();
+  showToast('Preset deleted', 'warning');
+}
+
+/**
+ * Render the hotkey editor from the current registration status
+ */
+async function renderHotkeys() {
+  const hotkeys = await window.electronAPI.getHotkeys();
+  
+  elements.hotkeyList.innerHTML = hotkeys.map(hotkey => `
+    <div class="hotkey-row">
+      <span>${escapeHtml(hotkey.label)}</span>
+      <input type="text" class="hotkey-input" readonly
+        data-action="${hotkey.id}"
+        data-accelerator="${escapeHtml(hotkey.accelerator)}"
+        value="${escapeHtml(formatAccelerator(hotkey.accelerator))}"
+        placeholder="Not set">
+      ${hotkey.error ? `<span class="setting-hint error">${escapeHtml(hotkey.error)}</span>` : ''}
+    </div>
+  `).join('');
+  
+  elements.hotkeyList.querySelectorAll('.hotkey-input').forEach(input => {
+    input.addEventListener('focus', () => input.classList.add('recording'));
+    input.addEventListener('blur', () => input.classList.remove('recording'));
+    input.addEventListener('keydown', recordHotkey);
+  });
+}
+
+/**
+ * Record the pressed key combination into a hotkey input
+ */
+function recordHotkey(e) {
+  const input = e.target;
+  e.preventDefault();
+  e.stopPropagation();
+  
+  if (e.key === 'Escape' || e.key === 'Tab') {
+    input.blur();
+    return;
+  }
+  
+  if (e.key === 'Backspace' || e.key === 'Delete') {
+    input.dataset.accelerator = '';
+    input.value = '';
+    return;
+  }
+  
+  const accelerator = acceleratorFromEvent(e);
+  if (accelerator) {
+    input.dataset.accelerator = accelerator;
+    input.value = formatAccelerator(accelerator);
+  }
+}
+
+/**
+ * Convert a key event to an Electron accelerator, e.g. "CommandOrControl+Shift+C"
+ * Returns null until a complete combination is pressed; plain keys other than
+ * function keys need a modifier so typing elsewhere isn't swallowed
+ */
+function acceleratorFromEvent(e) {
+  const key = acceleratorKey(e.code);
+  if (!key) return null;
+  
+  const isMac = window.electronAPI.platform === 'darwin';
+  const parts = [];
+  if (isMac ? e.metaKey : e.ctrlKey) parts.push('CommandOrControl');
+  if (isMac && e.ctrlKey) parts.push('Control');
+  if (!isMac && e.metaKey) parts.push('Super');
+  if (e.altKey) parts.push('Alt');
+  if (e.shiftKey) parts.push('Shift');
+  
+  if (parts.length === 0 && !/^F\d+$/.test(key)) return null;
+  
+  parts.push(key);
+  return parts.join('+');
+}
+
+/**
+ * Map a KeyboardEvent code to an accelerator key name
+ */
+function acceleratorKey(code) {
+  if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+  if (/^Digit\d$/.test(code)) return code.slice(5);
+  if (/^F\d{1,2}$/.test(code)) return code;
+  
+  const named = {
+    Space: 'Space', Enter: 'Enter', Backquote: '`', Minus: '-', Equal: '=',
+    BracketLeft: '[', BracketRight: ']', Backslash: '\\', Semicolon: ';', Quote: "'",
+    Comma: ',', Period: '.', Slash: '/', ArrowUp: 'Up', ArrowDown: 'Down',
+    ArrowLeft: 'Left', ArrowRight: 'Right', Home: 'Home', End: 'End',
+    PageUp: 'PageUp', PageDown: 'PageDown', Insert: 'Insert'
+  };
+  return named[code] || null;
+}
+
+/**
+ * Show an accelerator with this platform's key names
+ */
+function formatAccelerator(accelerator) {
+  if (!accelerator) return '';
+  const isMac = window.electronAPI.platform === 'darwin';
+  return accelerator
+    .replace('CommandOrControl', isMac ? 'Cmd' : 'Ctrl')
+    .replace('Alt', isMac ? 'Option' : 'Alt');
+}
+
+/**
+ * Read the hotkey bindings from the editor
+ * 
+ * @returns {Object|undefined} Action id -> accelerator, or undefined if the editor isn't rendered yet
+ */
+function readHotkeyInputs() {
+  const inputs = elements.hotkeyList.querySelectorAll('.hotkey-input');
+  if (inputs.length === 0) return undefined;
+  
+  const hotkeys = {};
+  inputs.forEach(input => {
+    hotkeys[input.dataset.action] = input.dataset.accelerator;
+  });
+  return hotkeys;
+}
+
+/**
+ * Warn when hotkeys failed to register
+ * 
+ * @returns {boolean} True if a warning was shown
+ */
+async function reportHotkeyConflicts() {
+  const failed = (await window.electronAPI.getHotkeys()).filter(hotkey => hotkey.error);
+  if (failed.length === 0) return false;
+  
+  const names = failed.map(hotkey => `${hotkey.label} (${formatAccelerator(hotkey.accelerator)})`).join(', ');
+  showToast(`Hotkeys not registered: ${names}. Choose other keys in Settings.`, 'warning');
+  return true;
+}
+
+/**
+ * Fill the active hours editor
+ * 
+ * @param {Object} schedule - { enabled, days: [{ enabled, start, end }] } indexed by weekday
+ */
+function renderSchedule(schedule) {
+  elements.scheduleToggle.checked = schedule.enabled;
+  elements.scheduleDays.classList.toggle('disabled', !schedule.enabled);
+  
+  elements.scheduleDays.innerHTML = SCHEDULE_DAYS.map(({ day, name }) => {
+    const hours = schedule.days[day];
+    return `
+      <div class="schedule-day" data-day="${day}">
+        <label class="checkbox-label">
+          <input type="checkbox" class="schedule-day-enabled" ${hours.enabled ? 'checked' : ''}>
+          <span>${name}</span>
+        </label>
+        <input type="time" class="schedule-day-start" value="${escapeHtml(hours.start)}">
+        <span>to</span>
+        <input type="time" class="schedule-day-end" value="${escapeHtml(hours.end)}">
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Read the active hours editor
+ * 
+ * @returns {Object} { enabled, days } indexed by weekday
+ */
+function readSchedule() {
+  const days = [];
+  elements.scheduleDays.querySelectorAll('.schedule-day').forEach(row => {
+    days[Number(row.dataset.day)] = {
+      enabled: row.querySelector('.schedule-day-enabled').checked,
+      start: row.querySelector('.schedule-day-start').value || '00:00',
+      end: row.querySelector('.schedule-day-end').value || '00:00'
+    };
+  });
+  return { enabled: elements.scheduleToggle.checked, days };
+}
+
+/**
+ * Use the fixed interval slider or the adaptive bounds, whichever applies
+ */
+function updateIntervalControls() {
+  const adaptive = elements.adaptiveIntervalToggle.checked;
+  elements.captureInterval.disabled = adaptive;
+  elements.intervalMin.disabled = !adaptive;
+  elements.intervalMax.disabled = !adaptive;
+}
+
+/**
+ * Enable the digest time only for daily digests
+ */
+function updateDigestTimeState() {
+  elements.digestTime.disabled = elements.digestSchedule.value !== 'daily';
+}
+
+/**
+ * Enable the quality slider only for lossy upload formats
+ */
+function updateImageQualityState() {
+  elements.imageQuality.disabled = elements.imageFormat.value === 'png';
+}
+
+/**
+ * Open settings modal
+ */
+function openSettings() {
+  populateProviderSettings();
+  renderPresetOptions();
+  populateDisplayOptions().then(renderMasks);
+  renderHotkeys();
+  state.maskDraft = (state.settings.redactionMasks || []).slice();
+  elements.redactionPreview.classList.remove('visible');
+  elements.settingsModal.classList.add('open');
+}
+
+/**
+ * Close settings modal
+ */
+function closeSettings() {
+  elements.settingsModal.classList.remove('open');
+}
+
+/**
+ * Save settings
+ */
+async function saveSettings() {
+  storeProviderDraft(state.activeProviderId);
+  
+  const intervalMin = Math.max(2, parseInt(elements.intervalMin.value, 10) || 5) * 1000;
+  const intervalMax = Math.max(intervalMin, (parseInt(elements.intervalMax.value, 10) || 120) * 1000);
+  
+  const newSettings = {
+    provider: state.activeProviderId,
+    providerSettings: state.providerDraft,
+    captureInterval: parseInt(elements.captureInterval.value) * 1000,
+    adaptiveInterval: elements.adaptiveIntervalToggle.checked,
+    captureIntervalMin: intervalMin,
+    captureIntervalMax: intervalMax,
+    autoCapturePreset: elements.autoCapturePreset.value,
+    ...readDisplaySelection(),
+    redactionMasks: state.maskDraft,
+    skipUnchanged: elements.skipUnchangedToggle.checked,
+    changeThreshold: parseFloat(elements.changeThreshold.value),
+    structuredOutput: elements.structuredOutputToggle.checked,
+    keepScreenshots: elements.keepScreenshotsToggle.checked,
+    digestSchedule: {
+      mode: elements.digestSchedule.value,
+      time: elements.digestTime.value || '18:00'
+    },
+    showNotifications: elements.notificationsToggle.checked,
+    minimizeToTray: elements.minimizeTrayToggle.checked,
+    imageFormat: elements.imageFormat.value,
+    imageDetail: elements.imageDetail.value,
+    imageMaxWidth: Math.max(0, parseInt(elements.imageMaxWidth.value, 10) || 0),
+    imageMaxHeight: Math.max(0, parseInt(elements.imageMaxHeight.value, 10) || 0),
+    imageQuality: parseInt(elements.imageQuality.value, 10),
+    imageGrayscale: elements.imageGrayscaleToggle.checked,
+    dailyBudget: Math.max(0, parseFloat(elements.dailyBudget.value) || 0),
+    monthlyBudget: Math.max(0, parseFloat(elements.monthlyBudget.value) || 0),
+    schedule: readSchedule(),
+    pauseWhenIdle: elements.pauseIdleToggle.checked,
+    idleMinutes: Math.max(1, parseInt(elements.idleMinutes.value, 10) || 5),
+    automationEnabled: elements.automationToggle.checked,
+    automationPort: parseInt(elements.automationPort.value, 10) || state.settings.automationPort,
+    hotkeys: readHotkeyInputs()
+  };
+  
+  try {
+    await window.electronAPI.updateSettings(newSettings);
+    state.settings = { ...state.settings, ...newSettings };
+    state.captureInterval = newSettings.captureInterval;
+    updateIntervalDisplay();
+    loadUsage();
+    closeSettings();
+    const automationStatus = await window.electronAPI.getAutomationStatus();
+    state.settings.automationStatus = automationStatus;
+    renderAutomationStatus(automationStatus);
+    if (newSettings.automationEnabled && automationStatus.error) {
+      showToast(`Automation API: ${automationStatus.error}`, 'error');
+    } else if (!await reportHotkeyConflicts()) {
+      showToast('Settings saved', 'success');
+    }
+  } catch (error) {
+    showToast('Failed to save settings', 'error');
+  }
+}
+
+/**
+ * Show loading overlay
+ */
+function showLoading(text) {
+  elements.loadingText.textContent = text;
+  elements.loadingOverlay.classList.add('visible');
+}
+
+/**
+ * Hide loading overlay
+ */
+function hideLoading() {
+  elements.loadingOverlay.classList.remove('visible');
+}
+
+/**
+ * Set loading text
+ */
+function setLoadingText(text) {
+  elements.loadingText.textContent = text;
+}
+
+/**
+ * Show toast notification
+ */
+function showToast(message, type = 'success') {
+  const toast = document.createElement('div');
+  toast.className = `toast toast-${type}`;
+  toast.innerHTML = `<span class="toast-message">${escapeHtml(message)}</span>`;
+  
+  elements.toastContainer.appendChild(toast);
+  
+  // Auto-remove after 4 seconds
   setTimeout(() => {
     toast.style.animation = 'slideIn 0.3s ease reverse';
     setTimeout(() => toast.remove(), 300);
@@ -446,13 +2698,27 @@ function formatTime(timestamp) {
   });
 }
 
+/**
+ * Format timestamp with the date unless it is today
+ */
+function formatDateTime(timestamp) {
+  const date = new Date(timestamp);
+  if (date.toDateString() === new Date().toDateString()) {
+    return formatTime(timestamp);
+  }
+  return `${date.toLocaleDateString()} ${formatTime(timestamp)}`;
+}
+
 /**
  * Escape HTML to prevent XSS
+ * Quotes are escaped too, so the result is safe in attribute values
  */
 function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text;
-  return div.innerHTML;
+  return div.innerHTML
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
 }
 
 // Initialize when DOM is ready
@@ -0,0 +1,105 @@
+/**
+ * Region Overlay Script
+ * Tracks the dragged rectangle and reports it to the main process
+ */
+
+const selectionEl = document.getElementById('region-selection');
+const sizeEl = document.getElementById('region-size');
+const toolbarEl = document.getElementById('region-toolbar');
+
+// Drag start point and current rectangle, in overlay pixels
+let dragStart = null;
+let rect = null;
+
+/**
+ * Rectangle spanned by two points
+ */
+function rectFromPoints(a, b) {
+  return {
+    x: Math.min(a.x, b.x),
+    y: Math.min(a.y, b.y),
+    width: Math.abs(a.x - b.x),
+    height: Math.abs(a.y - b.y)
+  };
+}
+
+/**
+ * Draw the selection rectangle
+ */
+function renderSelection() {
+  selectionEl.style.left = `${rect.x}px`;
+  selectionEl.style.top = `${rect.y}px`;
+  selectionEl.style.width = `${rect.width}px`;
+  selectionEl.style.height = `${rect.height}px`;
+
+  const scale = window.devicePixelRatio || 1;
+  sizeEl.textContent = `${Math.round(rect.width * scale)} × ${Math.round(rect.height * scale)}`;
+}
+
+/**
+ * Place the toolbar below the selection, or above it near the bottom edge
+ */
+function positionToolbar() {
+  const margin = 8;
+  const toolbarHeight = toolbarEl.offsetHeight;
+  const below = rect.y + rect.height + margin;
+  const top = below + toolbarHeight > window.innerHeight ? Math.max(margin, rect.y - toolbarHeight - margin) : below;
+  const left = Math.min(Math.max(margin, rect.x + rect.width - toolbarEl.offsetWidth), window.innerWidth - toolbarEl.offsetWidth - margin);
+
+  toolbarEl.style.top = `${top}px`;
+  toolbarEl.style.left = `${left}px`;
+}
+
+/**
+ * Send the selection to the main process
+ */
+function submit(watch) {
+  if (!rect) return;
+  window.regionAPI.submit({
+    ...rect,
+    viewWidth: window.innerWidth,
+    viewHeight: window.innerHeight,
+    watch
+  });
+}
+
+document.addEventListener('mousedown', (e) => {
+  if (e.button !== 0 || toolbarEl.contains(e.target)) return;
+
+  dragStart = { x: e.clientX, y: e.clientY };
+  rect = rectFromPoints(dragStart, dragStart);
+  document.body.className = 'selecting';
+  renderSelection();
+});
+
+document.addEventListener('mousemove', (e) => {
+  if (!dragStart) return;
+  rect = rectFromPoints(dragStart, { x: e.clientX, y: e.clientY });
+  renderSelection();
+});
+
+document.addEventListener('mouseup', () => {
+  if (!dragStart) return;
+  dragStart = null;
+
+  if (rect.width < 2 || rect.height < 2) {
+    rect = null;
+    document.body.className = '';
+    return;
+  }
+
+  document.body.className = 'selected';
+  positionToolbar();
+});
+
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape') {
+    window.regionAPI.cancel();
+  } else if (e.key === 'Enter') {
+    submit(false);
+  }
+});
+
+document.getElementById('region-capture').addEventListener('click', () => submit(false));
+document.getElementById('region-watch').addEventListener('click', () => submit(true));
+document.getElementById('region-cancel').addEventListener('click', () => window.regionAPI.cancel());
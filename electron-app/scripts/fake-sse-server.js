@@ -0,0 +1,136 @@
+/**
+ * Fake OpenAI-compatible Server
+ * Streams a canned analysis over server-sent events so streaming can be
+ * exercised without a real provider.
+ *
+ * Usage:
+ *   node scripts/fake-sse-server.js
+ *
+ * Then select "OpenAI-compatible server" in Settings with the base URL
+ * http://localhost:8787/v1
+ *
+ * Environment:
+ *   PORT         - Port to listen on (default 8787)
+ *   DELAY_MS     - Delay between streamed tokens (default 50)
+ *   ERROR_STATUS - Respond to completions with this HTTP status instead
+ *   ERROR_COUNT  - Only fail this many completions, then succeed (default: all)
+ *   RETRY_AFTER  - Retry-After header value sent with error responses
+ */
+
+const http = require('http');
+
+const PORT = parseInt(process.env.PORT || '8787', 10);
+const DELAY_MS = parseInt(process.env.DELAY_MS || '50', 10);
+const ERROR_STATUS = parseInt(process.env.ERROR_STATUS || '0', 10);
+const ERROR_COUNT = parseInt(process.env.ERROR_COUNT || '0', 10);
+const RETRY_AFTER = process.env.RETRY_AFTER || '';
+
+let failedCompletions = 0;
+
+const CANNED_ANALYSIS = `You appear to be editing code in a text editor.
+
+1. The file on screen defines several functions.
+2. There are no visible errors.
+3. Consider committing your work soon.`;
+
+// Token counts reported for every completion
+const FAKE_USAGE = { prompt_tokens: 1200, completion_tokens: 60, total_tokens: 1260 };
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(body || '{}'));
+      } catch (error) {
+        resolve({});
+      }
+    });
+  });
+}
+
+async function streamCompletion(res, model, includeUsage) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+
+  // Split into word-sized tokens, keeping whitespace
+  const tokens = CANNED_ANALYSIS.match(/\S+\s*/g) || [];
+
+  for (const token of tokens) {
+    const chunk = {
+      id: 'chatcmpl-fake',
+      object: 'chat.completion.chunk',
+      model,
+      choices: [{ index: 0, delta: { content: token }, finish_reason: null }]
+    };
+    res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+    await new Promise(resolve => setTimeout(resolve, DELAY_MS));
+  }
+
+  res.write(`data: ${JSON.stringify({
+    id: 'chatcmpl-fake',
+    object: 'chat.completion.chunk',
+    model,
+    choices: [{ index: 0, delta: {}, finish_reason: 'stop' }]
+  })}\n\n`);
+
+  if (includeUsage) {
+    res.write(`data: ${JSON.stringify({
+      id: 'chatcmpl-fake',
+      object: 'chat.completion.chunk',
+      model,
+      choices: [],
+      usage: FAKE_USAGE
+    })}\n\n`);
+  }
+  res.write('data: [DONE]\n\n');
+  res.end();
+}
+
+const server = http.createServer(async (req, res) => {
+  console.log(`${req.method} ${req.url}`);
+
+  if (req.method === 'GET' && req.url === '/v1/models') {
+    sendJson(res, 200, { object: 'list', data: [{ id: 'fake-vision', object: 'model' }] });
+    return;
+  }
+
+  if (req.method === 'POST' && req.url === '/v1/chat/completions') {
+    const body = await readBody(req);
+
+    if (ERROR_STATUS && (!ERROR_COUNT || failedCompletions < ERROR_COUNT)) {
+      failedCompletions++;
+      sendJson(res, ERROR_STATUS, { error: { message: `Simulated error ${ERROR_STATUS}` } },
+        RETRY_AFTER ? { 'Retry-After': RETRY_AFTER } : {});
+      return;
+    }
+
+    if (body.stream) {
+      await streamCompletion(res, body.model, Boolean(body.stream_options?.include_usage));
+    } else {
+      sendJson(res, 200, {
+        id: 'chatcmpl-fake',
+        object: 'chat.completion',
+        model: body.model,
+        choices: [{ index: 0, message: { role: 'assistant', content: CANNED_ANALYSIS }, finish_reason: 'stop' }],
+        usage: FAKE_USAGE
+      });
+    }
+    return;
+  }
+
+  sendJson(res, 404, { error: { message: 'Not found' } });
+});
+
+server.listen(PORT, '127.0.0.1', () => {
+  console.log(`Fake OpenAI-compatible server listening on http://localhost:${PORT}/v1`);
+});
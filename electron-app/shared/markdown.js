@@ -0,0 +1,437 @@
+/**
+ * Markdown Renderer
+ * Converts analysis Markdown to HTML for the results panel, chat and HTML exports.
+ * All text is escaped before any markup is added and only a fixed set of tags
+ * is produced, so model output can never inject HTML or scripts. Links are
+ * limited to http(s) and mailto URLs.
+ */
+
+(function () {
+  // Code block languages: comment syntax, keywords and aliases
+  const SLASH_COMMENTS = '\\/\\/[^\\n]*|\\/\\*[\\s\\S]*?(?:\\*\\/|$)';
+  const HASH_COMMENTS = '#[^\\n]*';
+  const DOUBLE_QUOTED = '"(?:[^"\\\\\\n]|\\\\.)*"?';
+  const SINGLE_QUOTED = "'(?:[^'\\\\\\n]|\\\\.)*'?";
+  const BACKTICK_QUOTED = '`(?:[^`\\\\]|\\\\.)*`?';
+
+  const LANGUAGES = {
+    js: {
+      comments: SLASH_COMMENTS,
+      strings: [DOUBLE_QUOTED, SINGLE_QUOTED, BACKTICK_QUOTED],
+      keywords: 'as async await break case catch class const continue debugger default delete do else enum export extends false finally for from function get if implements import in instanceof interface let new null of private protected public readonly return set static super switch this throw true try type typeof undefined var void while with yield'
+    },
+    c: {
+      comments: SLASH_COMMENTS,
+      strings: [DOUBLE_QUOTED, SINGLE_QUOTED],
+      keywords: 'abstract auto bool break case catch char class const continue default defer do double else enum extends extern false final fn float for func go if impl implements import int interface let long match mod mut namespace new nil null override package private protected pub public return self short sizeof static string struct super switch this throw throws true try type typedef unsigned use using var virtual void volatile where while'
+    },
+    python: {
+      comments: HASH_COMMENTS,
+      strings: [DOUBLE_QUOTED, SINGLE_QUOTED],
+      keywords: 'and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass print raise return self True try while with yield'
+    },
+    shell: {
+      comments: HASH_COMMENTS,
+      strings: [DOUBLE_QUOTED, SINGLE_QUOTED],
+      keywords: 'alias case cd do done echo elif else esac exit export fi for function if in local return set source sudo then unset until while'
+    },
+    sql: {
+      comments: '--[^\\n]*|\\/\\*[\\s\\S]*?(?:\\*\\/|$)',
+      strings: [SINGLE_QUOTED, DOUBLE_QUOTED],
+      keywords: 'add alter and as asc begin between by case commit create delete desc distinct drop else end exists from group having in index inner insert into is join key left like limit not null on or order outer primary references right rollback select set table then union update values view when where with',
+      caseInsensitive: true
+    },
+    json: {
+      comments: null,
+      strings: [DOUBLE_QUOTED],
+      keywords: 'true false null'
+    },
+    css: {
+      comments: '\\/\\*[\\s\\S]*?(?:\\*\\/|$)',
+      strings: [DOUBLE_QUOTED, SINGLE_QUOTED],
+      keywords: 'important inherit initial none auto'
+    },
+    html: {
+      comments: '<!--[\\s\\S]*?(?:-->|$)',
+      strings: [DOUBLE_QUOTED, SINGLE_QUOTED],
+      keywords: '',
+      tags: true
+    }
+  };
+
+  const ALIASES = {
+    javascript: 'js', jsx: 'js', ts: 'js', typescript: 'js', tsx: 'js', mjs: 'js', node: 'js',
+    cpp: 'c', 'c++': 'c', h: 'c', java: 'c', cs: 'c', csharp: 'c', go: 'c', golang: 'c',
+    rust: 'c', rs: 'c', kotlin: 'c', kt: 'c', swift: 'c', php: 'c', scala: 'c',
+    py: 'python', python3: 'python', ruby: 'python', rb: 'python',
+    sh: 'shell', bash: 'shell', zsh: 'shell', console: 'shell', powershell: 'shell', ps1: 'shell',
+    yaml: 'shell', yml: 'shell', toml: 'shell', ini: 'shell', dockerfile: 'shell',
+    scss: 'css', less: 'css', xml: 'html', svg: 'html', vue: 'html'
+  };
+
+  const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+  const FENCE = /^\s*(`{3,}|~{3,})\s*([^\s`]*)/;
+  const TABLE_DIVIDER = /^\s*\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/;
+
+  // Compiled token patterns per language
+  const tokenPatterns = {};
+
+  /**
+   * Escape text for HTML
+   */
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Resolve a fence info string to a language spec name
+   */
+  function resolveLanguage(lang) {
+    const name = (lang || '').toLowerCase();
+    if (LANGUAGES[name]) return name;
+    return ALIASES[name] || null;
+  }
+
+  /**
+   * Build the token pattern of a language: comment, string, number, tag or word
+   */
+  function getTokenPattern(name) {
+    if (!tokenPatterns[name]) {
+      const spec = LANGUAGES[name];
+      const parts = [
+        `(${spec.comments || '(?!)'})`,
+        `(${spec.strings.join('|')})`,
+        '(\\b0x[\\da-fA-F]+\\b|\\b\\d[\\d_]*(?:\\.\\d+)?(?:[eE][+-]?\\d+)?\\b)',
+        `(${spec.tags ? '<\\/?[A-Za-z][\\w:-]*' : '(?!)'})`,
+        '([A-Za-z_$][\\w$]*)'
+      ];
+      tokenPatterns[name] = {
+        regex: new RegExp(parts.join('|'), 'g'),
+        keywords: new Set(spec.keywords.split(' ').filter(Boolean)),
+        caseInsensitive: Boolean(spec.caseInsensitive)
+      };
+    }
+    return tokenPatterns[name];
+  }
+
+  /**
+   * Syntax-highlight code as escaped HTML with hl-* spans
+   *
+   * @param {string} code - Source code
+   * @param {string} lang - Language from the code fence, may be empty
+   * @returns {string} HTML
+   */
+  function highlight(code, lang) {
+    const name = resolveLanguage(lang);
+    if (!name) return escapeHtml(code);
+
+    const { regex, keywords, caseInsensitive } = getTokenPattern(name);
+    const span = (className, text) => `<span class="${className}">${escapeHtml(text)}</span>`;
+    let html = '';
+    let last = 0;
+    let match;
+
+    regex.lastIndex = 0;
+    while ((match = regex.exec(code)) !== null) {
+      if (match[0].length === 0) {
+        regex.lastIndex++;
+        continue;
+      }
+      html += escapeHtml(code.slice(last, match.index));
+      last = regex.lastIndex;
+
+      const [text, comment, string, number, tag, word] = match;
+      if (comment) {
+        html += span('hl-comment', text);
+      } else if (string) {
+        html += span('hl-string', text);
+      } else if (number) {
+        html += span('hl-number', text);
+      } else if (tag) {
+        html += span('hl-keyword', text);
+      } else if (word && keywords.has(caseInsensitive ? word.toLowerCase() : word)) {
+        html += span('hl-keyword', text);
+      } else if (word && code[last] === '(') {
+        html += span('hl-function', text);
+      } else {
+        html += escapeHtml(text);
+      }
+    }
+
+    return html + escapeHtml(code.slice(last));
+  }
+
+  /**
+   * Render a link if the URL uses an allowed scheme, otherwise just its label
+   */
+  function renderLink(url, labelHtml) {
+    if (!/^(https?:\/\/|mailto:)/i.test(url)) return labelHtml;
+    return `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${labelHtml}</a>`;
+  }
+
+  /**
+   * Render inline Markdown: code spans, links, bold, italic and strikethrough
+   *
+   * @param {string} text - Raw text
+   * @param {boolean} allowLinks - False inside link labels
+   * @param {Array} stash - Finished fragments; link labels share the stash of
+   *   their text so code spans stashed before the link are restored in them
+   * @returns {string} HTML
+   */
+  function renderInline(text, allowLinks = true, stash = []) {
+    // Finished HTML fragments are swapped out for placeholders so later
+    // patterns can't match inside them
+    const keep = (html) => `\u0000${stash.push(html) - 1}\u0000`;
+
+    let out = text.replace(/`([^`\n]+)`/g, (match, code) => keep(`<code>${escapeHtml(code)}</code>`));
+
+    if (allowLinks) {
+      out = out
+        .replace(/\[([^\]\n]+)\]\(\s*<?((?:[^()\s>]|\([^()\s]*\))+)>?(?:\s+"[^"]*")?\s*\)/g, (match, label, url) => keep(renderLink(url, renderInline(label, false, stash))))
+        .replace(/\bhttps?:\/\/[^\s<>()\u0000]*[^\s<>().,;:!?'"\u0000]/g, (url) => keep(renderLink(url, escapeHtml(url))));
+    }
+
+    out = escapeHtml(out)
+      .replace(/\*\*(?=\S)([^\n]*?\S)\*\*/g, '<strong>$1</strong>')
+      .replace(/__(?=\S)([^\n]*?\S)__/g, '<strong>$1</strong>')
+      .replace(/(^|[^*\w])\*(?=[^\s*])([^*\n]*?[^\s*])\*(?![*\w])/g, '$1<em>$2</em>')
+      .replace(/(^|[^_\w])_(?=[^\s_])([^_\n]*?[^\s_])_(?![_\w])/g, '$1<em>$2</em>')
+      .replace(/~~(?=\S)([^\n]*?\S)~~/g, '<del>$1</del>');
+
+    return out.replace(/\u0000(\d+)\u0000/g, (match, index) => stash[index]);
+  }
+
+  /**
+   * Render a code block with a language label and copy button
+   */
+  function renderCodeBlock(code, lang) {
+    const label = lang ? `<span class="code-lang">${escapeHtml(lang)}</span>` : '<span></span>';
+    return `<div class="code-block"><div class="code-header">${label}<button type="button" class="copy-code">Copy</button></div>`
+      + `<pre><code>${highlight(code, lang)}</code></pre></div>`;
+  }
+
+  /**
+   * Read a fenced code block starting at lines[start]
+   *
+   * @returns {Object} { html, next } where next is the index after the closing fence
+   */
+  function parseFence(lines, start) {
+    const [, fence, lang] = lines[start].match(FENCE);
+    const indent = lines[start].match(/^\s*/)[0].length;
+    const code = [];
+    let i = start + 1;
+
+    while (i < lines.length && !lines[i].trim().startsWith(fence)) {
+      // Drop the fence's own indentation, e.g. inside list items
+      code.push(lines[i].replace(new RegExp(`^ {0,${indent}}`), ''));
+      i++;
+    }
+
+    return { html: renderCodeBlock(code.join('\n').replace(/\n+$/, ''), lang), next: i + 1 };
+  }
+
+  /**
+   * Split a table row into cells
+   */
+  function splitRow(line) {
+    return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+  }
+
+  /**
+   * Read a table whose header is lines[start]
+   */
+  function parseTable(lines, start) {
+    const header = splitRow(lines[start]);
+    const aligns = splitRow(lines[start + 1]).map(cell => {
+      if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+      if (cell.endsWith(':')) return 'right';
+      return '';
+    });
+    const cell = (tag, text, index) => {
+      const align = aligns[index] ? ` style="text-align: ${aligns[index]}"` : '';
+      return `<${tag}${align}>${renderInline(text)}</${tag}>`;
+    };
+
+    const rows = [];
+    let i = start + 2;
+    while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+      const cells = splitRow(lines[i]);
+      rows.push(`<tr>${header.map((h, index) => cell('td', cells[index] || '', index)).join('')}</tr>`);
+      i++;
+    }
+
+    return {
+      html: `<div class="table-wrap"><table><thead><tr>${header.map((h, index) => cell('th', h, index)).join('')}</tr></thead>`
+        + `<tbody>${rows.join('')}</tbody></table></div>`,
+      next: i
+    };
+  }
+
+  /**
+   * Read a (possibly nested) list starting at lines[start]
+   */
+  function parseList(lines, start) {
+    const first = lines[start].match(LIST_ITEM);
+    const indent = first[1].length;
+    const ordered = /\d/.test(first[2]);
+    const items = [];
+    let i = start;
+
+    while (i < lines.length) {
+      const line = lines[i];
+      const match = line.match(LIST_ITEM);
+      const current = items[items.length - 1];
+
+      if (match && match[1].length === indent && /\d/.test(match[2]) === ordered) {
+        items.push({ text: [match[3]], blocks: [] });
+        i++;
+      } else if (match && match[1].length > indent && current) {
+        const nested = parseList(lines, i);
+        current.blocks.push(nested.html);
+        i = nested.next;
+      } else if (FENCE.test(line) && current && line.match(/^\s*/)[0].length > indent) {
+        const block = parseFence(lines, i);
+        current.blocks.push(block.html);
+        i = block.next;
+      } else if (line.trim() && !match && /^\s/.test(line) && current) {
+        // Continuation of the item's text
+        current.text.push(line.trim());
+        i++;
+      } else if (!line.trim()) {
+        // A blank line only continues the list if more of it follows
+        let next = i + 1;
+        while (next < lines.length && !lines[next].trim()) next++;
+        const following = lines[next] || '';
+        const followingItem = following.match(LIST_ITEM);
+        const continues = followingItem
+          ? followingItem[1].length > indent || (followingItem[1].length === indent && /\d/.test(followingItem[2]) === ordered)
+          : following.match(/^\s*/)[0].length > indent;
+        if (!continues) break;
+        i = next;
+      } else {
+        break;
+      }
+    }
+
+    const tag = ordered ? 'ol' : 'ul';
+    const startNumber = ordered ? parseInt(first[2], 10) : 1;
+    const startAttr = startNumber !== 1 ? ` start="${startNumber}"` : '';
+    const body = items
+      .map(item => `<li>${renderInline(item.text.join('\n')).replace(/\n/g, '<br>')}${item.blocks.join('')}</li>`)
+      .join('');
+
+    return { html: `<${tag}${startAttr}>${body}</${tag}>`, next: i };
+  }
+
+  /**
+   * Check whether a line starts a block other than a paragraph
+   */
+  function startsBlock(lines, i) {
+    const line = lines[i];
+    return FENCE.test(line)
+      || /^#{1,6}\s/.test(line)
+      || /^\s*>/.test(line)
+      || LIST_ITEM.test(line)
+      || /^\s*([-*_])(\s*\1){2,}\s*$/.test(line)
+      || (line.includes('|') && i + 1 < lines.length && TABLE_DIVIDER.test(lines[i + 1]));
+  }
+
+  /**
+   * Render block-level Markdown
+   */
+  function renderBlocks(lines) {
+    const html = [];
+    let i = 0;
+
+    while (i < lines.length) {
+      const line = lines[i];
+      let match;
+
+      if (!line.trim()) {
+        i++;
+      } else if (FENCE.test(line)) {
+        const block = parseFence(lines, i);
+        html.push(block.html);
+        i = block.next;
+      } else if ((match = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/))) {
+        const level = match[1].length;
+        html.push(`<h${level}>${renderInline(match[2])}</h${level}>`);
+        i++;
+      } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+        html.push('<hr>');
+        i++;
+      } else if (/^\s*>/.test(line)) {
+        const quoted = [];
+        while (i < lines.length && /^\s*>/.test(lines[i])) {
+          quoted.push(lines[i].replace(/^\s*>\s?/, ''));
+          i++;
+        }
+        html.push(`<blockquote>${renderBlocks(quoted)}</blockquote>`);
+      } else if (line.includes('|') && i + 1 < lines.length && TABLE_DIVIDER.test(lines[i + 1])) {
+        const table = parseTable(lines, i);
+        html.push(table.html);
+        i = table.next;
+      } else if (LIST_ITEM.test(line)) {
+        const list = parseList(lines, i);
+        html.push(list.html);
+        i = list.next;
+      } else {
+        const paragraph = [];
+        while (i < lines.length && lines[i].trim() && (paragraph.length === 0 || !startsBlock(lines, i))) {
+          paragraph.push(lines[i].trim());
+          i++;
+        }
+        html.push(`<p>${renderInline(paragraph.join('\n')).replace(/\n/g, '<br>')}</p>`);
+      }
+    }
+
+    return html.join('');
+  }
+
+  /**
+   * Render Markdown to sanitized HTML
+   * Unterminated code fences (e.g. while streaming) run to the end of the text
+   *
+   * @param {string} source - Markdown text
+   * @returns {string} HTML
+   */
+  function render(source) {
+    const lines = String(source || '').replace(/\u0000/g, '').replace(/\r\n?/g, '\n').split('\n');
+    return renderBlocks(lines);
+  }
+
+  /**
+   * Strip Markdown syntax for single-line previews
+   *
+   * @param {string} source - Markdown text
+   * @returns {string} Plain text
+   */
+  function toPlainText(source) {
+    return String(source || '')
+      .replace(/^\s*(`{3,}|~{3,}).*$/gm, '')
+      .replace(/^\s{0,3}#{1,6}\s+/gm, '')
+      .replace(/^\s*>\s?/gm, '')
+      .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+      .replace(/(\*\*|__|~~|`|\*)/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  const api = {
+    render,
+    highlight,
+    toPlainText
+  };
+
+  // Loaded with a script tag in the renderer and with require() by HTML exports
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    window.markdown = api;
+  }
+})();